@@ -198,6 +198,13 @@ export class ObserverWsApp {
             case 'get_node_info':
                 ws.send(JSON.stringify({ type: 'node_info', data: AppStaticFncs.extractNodeInfo(this.node) }));
                 break;
+            case 'get_transaction':
+                try {
+                    ws.send(JSON.stringify({ type: 'transaction', data: await this.node.getTransaction(data.txId, data.blockHeight) }));
+                } catch (error) {
+                    ws.send(JSON.stringify({ type: 'error', data: error.message }));
+                }
+                break;
             default:
                 ws.send(JSON.stringify({ type: 'error', data: 'unknown message type' }));
                 break;
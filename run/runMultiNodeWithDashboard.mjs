@@ -22,7 +22,7 @@ async function initMultiNode(local = false, useDevArgon2 = false) {
     
     const factory = new NodeFactory();
     const listenAddress = local ? '/ip4/0.0.0.0/tcp/0' : '/ip4/0.0.0.0/tcp/7777'
-    const multiNode = await factory.createNode(derivedAccounts[0], ['validator', 'miner'], {listenAddress});
+    const multiNode = await factory.createNode(derivedAccounts[0], ['validator', 'miner'], {listenAddress}, { txIndex: true }); // the explorer shows the transactions
     multiNode.minerAddress = derivedAccounts[1].address; // Specify or the miner address will be the same as the validator address
     multiNode.useDevArgon2 = useDevArgon2; // we remove that one ?
     await multiNode.start();
@@ -25,6 +25,8 @@ export class Account {
        this.spendableBalance = 0;
    }
 
+   /** shared with the co-signers to build a multiSig address */
+   get pubKey() { return this.#pubKey; }
    /** @param {Transaction} transaction */
    async signTransaction(transaction) {
        if (typeof this.#privKey !== 'string') { throw new Error('Invalid private key'); }
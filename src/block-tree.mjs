@@ -24,6 +24,7 @@ class BlockTree {
     constructor(genesisBlockHash, options = {}) {
         const {
             maxBlocks = 10000,
+            checkpoints = {}, // height -> hash
             logLevel = 'silent',
             logDestination = undefined  // undefined means log to console
         } = options;
@@ -31,6 +32,8 @@ class BlockTree {
         this.blocks = new LRUCache({ max: maxBlocks });
         this.root = genesisBlockHash;
         this.leaves = new Set([genesisBlockHash]);
+        /** @type {Object<number, string>} */
+        this.checkpoints = checkpoints;
 
         this.logger = pino({
             level: logLevel,
@@ -59,12 +62,20 @@ class BlockTree {
             return false;
         }
 
+        const checkpointHash = block.prevHash ? this.checkpoints[block.height] : undefined;
+        if (checkpointHash && checkpointHash !== block.hash) {
+            this.logger.warn({ blockHash: block.hash, height: block.height, checkpointHash }, 'Block contradicts a checkpoint');
+            return false;
+        }
+
         this.logger.info({ blockHash: block.hash, height: block.height }, 'Adding block');
 
+        const parent = block.prevHash ? this.blocks.get(block.prevHash) : undefined;
         const node = {
             block,
             children: new Set(),
-            subtreeScore: block.score
+            subtreeScore: block.score,
+            chainScore: (parent ? parent.chainScore : 0) + block.score // cumulative score from the root
         };
 
         this.blocks.set(block.hash, node);
@@ -72,7 +83,6 @@ class BlockTree {
 
         if (!block.prevHash) { return true; } // Genesis block
 
-        const parent = this.blocks.get(block.prevHash);
         if (parent) {
             parent.children.add(block.hash);
             this.leaves.delete(block.prevHash);
@@ -197,10 +207,10 @@ class BlockTree {
 
         for (const leaf of this.leaves) {
             const node = this.blocks.get(leaf);
-            this.logger.trace({ leaf, score: node.subtreeScore }, 'Leaf score');
+            this.logger.trace({ leaf, score: node.chainScore }, 'Leaf score');
 
-            if (node.subtreeScore > heaviest.score) {
-                heaviest.score = node.subtreeScore;
+            if (node.chainScore > heaviest.score) {
+                heaviest.score = node.chainScore;
                 heaviest.leaf = leaf;
                 this.logger.debug({ heaviestLeaf: heaviest.leaf, score: heaviest.score }, 'New heaviest leaf');
             }
@@ -225,6 +235,37 @@ class BlockTree {
     getBlockScore(hash) {
         return this.blocks.get(hash)?.subtreeScore ?? 0;
     }
+    /** The cumulative score of the chain ending with this block */
+    getChainScore(hash) {
+        return this.blocks.get(hash)?.chainScore ?? 0;
+    }
+
+    /** Remove a block and its descendants, used to discard an invalid branch
+     * @param {string} hash
+     * @returns {string[]} the removed hashes
+     */
+    removeBranch(hash) {
+        const node = this.blocks.get(hash);
+        if (!node || hash === this.root) { return []; }
+
+        const parent = this.blocks.get(node.block.prevHash);
+        if (parent) {
+            parent.children.delete(hash);
+            if (parent.children.size === 0) { this.leaves.add(node.block.prevHash); }
+            this.#updateSubtreeScores(node.block.prevHash, -node.subtreeScore);
+        }
+
+        const removedHashes = [hash];
+        for (let i = 0; i < removedHashes.length; i++) {
+            const removedNode = this.blocks.get(removedHashes[i]);
+            if (removedNode) { removedHashes.push(...removedNode.children); }
+            this.blocks.delete(removedHashes[i]);
+            this.leaves.delete(removedHashes[i]);
+        }
+
+        this.logger.info({ blockHash: hash, removedCount: removedHashes.length }, 'Branch removed');
+        return removedHashes;
+    }
 
     /** @param {number} heightThreshold */
     pruneOldBlocks(heightThreshold) {
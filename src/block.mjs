@@ -1,8 +1,14 @@
 import utils from './utils.mjs';
 import { HashFunctions } from './conCrypto.mjs';
-import { Transaction_Builder } from './transaction.mjs';
+import { Transaction_Builder, TxIO_Builder } from './transaction.mjs';
 import { TxValidation } from './validation.mjs';
+import { MerkleTree } from './merkle-tree.mjs';
 
+/**
+ * @typedef {import("./fraud-proof.mjs").CandidateProof} CandidateProof
+ * @typedef {import("./transaction.mjs").UTXO} UTXO
+ * @typedef {import("./vss.mjs").StakeReference} StakeReference
+ */
 
 
 /**
@@ -17,6 +23,8 @@ import { TxValidation } from './validation.mjs';
  * @property {number | undefined} timestamp - The timestamp of the block
  * @property {string | undefined} hash - The hash of the block
  * @property {number | undefined} nonce - The nonce of the block
+ * @property {string} utxoSetHash - The digest of the UTXO set after the block, its coinbase and validator outputs excluded
+ * @property {string | undefined} merkleRoot - The Merkle root of the block transactions
  */
 /**
  * @param {number} index - The block height
@@ -29,9 +37,11 @@ import { TxValidation } from './validation.mjs';
  * @param {number | undefined} timestamp - The timestamp of the block
  * @param {string | undefined} hash - The hash of the block
  * @param {number | undefined} nonce - The nonce of the block
+ * @param {string} utxoSetHash - The digest of the UTXO set after the block, its coinbase and validator outputs excluded
+ * @param {string | undefined} merkleRoot - The Merkle root of the block transactions
  * @returns {BlockHeader}
  */
-export const BlockHeader = (index, supply, coinBase, difficulty, legitimacy, prevHash, posTimestamp, timestamp, hash, nonce) => {
+export const BlockHeader = (index, supply, coinBase, difficulty, legitimacy, prevHash, posTimestamp, timestamp, hash, nonce, utxoSetHash, merkleRoot) => {
     return {
         index,
         supply,
@@ -39,6 +49,8 @@ export const BlockHeader = (index, supply, coinBase, difficulty, legitimacy, pre
         difficulty,
         legitimacy,
         prevHash,
+        utxoSetHash,
+        merkleRoot,
         posTimestamp,
         timestamp,
         hash,
@@ -93,6 +105,32 @@ export const BlockMiningData = (index, difficulty, timestamp, posTimestamp) => {
     };
 }
 
+/**
+* @typedef {Object} BlockUndoData
+* @property {number} index - The block height
+* @property {string} hash - The hash of the block
+* @property {UTXO[]} spentUTXOs - The UTXOs consumed by the block, restored when it's reverted
+* @property {string[]} createdAnchors - The anchors of the UTXOs created by the block, removed when it's reverted
+* @property {Object<string, StakeReference> | null} previousSpectrum - The vss spectrum before the block, only if its stakes changed
+*/
+/**
+* @param {number} index - The block height
+* @param {string} hash - The hash of the block
+* @param {UTXO[]} spentUTXOs - The UTXOs consumed by the block
+* @param {string[]} createdAnchors - The anchors of the UTXOs created by the block
+* @param {Object<string, StakeReference> | null} previousSpectrum - The vss spectrum before the block
+* @returns {BlockUndoData}
+ */
+export const BlockUndoData = (index, hash, spentUTXOs = [], createdAnchors = [], previousSpectrum = null) => {
+    return {
+        index,
+        hash,
+        spentUTXOs,
+        createdAnchors,
+        previousSpectrum
+    };
+}
+
 /**
 * @typedef {Object} BlockData
 * @property {number} index - The index of the block
@@ -101,6 +139,8 @@ export const BlockMiningData = (index, difficulty, timestamp, posTimestamp) => {
 * @property {number} difficulty - The difficulty of the block
 * @property {number} legitimacy - The legitimacy of the validator who created the block candidate
 * @property {string} prevHash - The hash of the previous block
+* @property {string} utxoSetHash - The digest of the UTXO set after the block, its coinbase and validator outputs excluded
+* @property {string | undefined} merkleRoot - The Merkle root of the transactions (set with the coinbase)
 * @property {Transaction[]} Txs - The transactions in the block
 * @property {number} posTimestamp - The timestamp of the block creation
 * @property {number | undefined} timestamp - The timestamp of the block
@@ -118,9 +158,11 @@ export const BlockMiningData = (index, difficulty, timestamp, posTimestamp) => {
  * @param {number | undefined} timestamp - The timestamp of the block
  * @param {string | undefined} hash - The hash of the block
  * @param {number | undefined} nonce - The nonce of the block
+ * @param {string} utxoSetHash - The digest of the UTXO set after the block, its coinbase and validator outputs excluded
+ * @param {string | undefined} merkleRoot - The Merkle root of the transactions
  * @returns {BlockData}
  */
-export const BlockData = (index, supply, coinBase, difficulty, legitimacy, prevHash, Txs, posTimestamp, timestamp, hash, nonce) => {
+export const BlockData = (index, supply, coinBase, difficulty, legitimacy, prevHash, Txs, posTimestamp, timestamp, hash, nonce, utxoSetHash, merkleRoot) => {
     return {
         index,
         supply,
@@ -128,6 +170,8 @@ export const BlockData = (index, supply, coinBase, difficulty, legitimacy, prevH
         difficulty,
         legitimacy,
         prevHash,
+        utxoSetHash,
+        merkleRoot,
 
         // Proof of stake dependent
         posTimestamp, // timestamp of the block's creation
@@ -146,15 +190,14 @@ export class BlockUtils {
      * @param {boolean} excludeCoinbaseAndPos
      */
     static async getBlockTxsHash(blockData, excludeCoinbaseAndPos = false) {
-        const txsIDStrArray = blockData.Txs.map(tx => tx.id).filter(id => id);
+        const Txs = blockData.Txs.filter(tx => tx.id);
 
-        let firstTxIsCoinbase = blockData.Txs[0] ? Transaction_Builder.isMinerOrValidatorTx(blockData.Txs[0]) : false;
-        if (excludeCoinbaseAndPos && firstTxIsCoinbase) { txsIDStrArray.shift(); }
-        firstTxIsCoinbase = blockData.Txs[0] ? Transaction_Builder.isMinerOrValidatorTx(blockData.Txs[0]) : false;
-        if (excludeCoinbaseAndPos && firstTxIsCoinbase) { txsIDStrArray.shift(); }
+        let firstTxIsCoinbase = Txs[0] ? Transaction_Builder.isMinerOrValidatorTx(Txs[0]) : false;
+        if (excludeCoinbaseAndPos && firstTxIsCoinbase) { Txs.shift(); }
+        firstTxIsCoinbase = Txs[0] ? Transaction_Builder.isMinerOrValidatorTx(Txs[0]) : false;
+        if (excludeCoinbaseAndPos && firstTxIsCoinbase) { Txs.shift(); }
 
-        const txsIDStr = txsIDStrArray.join('');
-        return await HashFunctions.SHA256(txsIDStr);
+        return await MerkleTree.getRoot(await MerkleTree.getTxsHashes(Txs));
     };
     /**
      * @param {BlockData} blockData
@@ -163,8 +206,17 @@ export class BlockUtils {
      */
     static async getBlockSignature(blockData, isPosHash = false) {
         const txsHash = await this.getBlockTxsHash(blockData, isPosHash);
-        const { index, supply, coinBase, difficulty, legitimacy, prevHash, posTimestamp } = blockData;
-        let signatureStr = `${index}${supply}${coinBase}${difficulty}${legitimacy}${prevHash}${posTimestamp}${txsHash}`;
+        return await this.getBlockSignatureFromTxsHash(blockData, txsHash, isPosHash);
+    }
+    /**
+     * @param {BlockData | CandidateProof} blockData - only the header fields are used
+     * @param {string} txsHash
+     * @param {boolean} isPosHash - if true, exclude blockTimestamp
+     * @returns {Promise<string>} signature Hex
+     */
+    static async getBlockSignatureFromTxsHash(blockData, txsHash, isPosHash = false) {
+        const { index, supply, coinBase, difficulty, legitimacy, prevHash, utxoSetHash, posTimestamp } = blockData;
+        let signatureStr = `${index}${supply}${coinBase}${difficulty}${legitimacy}${prevHash}${utxoSetHash}${posTimestamp}${txsHash}`;
         if (!isPosHash) { signatureStr += blockData.timestamp; }
 
         return await HashFunctions.SHA256(signatureStr);
@@ -174,8 +226,24 @@ export class BlockUtils {
         if (typeof blockData.Txs[0].inputs[0] !== 'string') { throw new Error('Invalid coinbase nonce'); }
         const signatureHex = await this.getBlockSignature(blockData);
 
-        const headerNonce = blockData.nonce;
-        const coinbaseNonce = blockData.Txs[0].inputs[0];
+        return await this.#hashMinerSignature(signatureHex, blockData.nonce, blockData.Txs[0].inputs[0], useDevArgon2);
+    }
+    /** Same as getMinerHash() without the transactions: the Merkle root stands for them, the coinbase brings its nonce
+     * @param {BlockHeader} blockHeader
+     * @param {Transaction} coinbaseTx
+     */
+    static async getHeaderMinerHash(blockHeader, coinbaseTx, useDevArgon2 = false) {
+        if (typeof coinbaseTx.inputs[0] !== 'string') { throw new Error('Invalid coinbase nonce'); }
+        const signatureHex = await this.getBlockSignatureFromTxsHash(blockHeader, blockHeader.merkleRoot);
+
+        return await this.#hashMinerSignature(signatureHex, blockHeader.nonce, coinbaseTx.inputs[0], useDevArgon2);
+    }
+    /**
+     * @param {string} signatureHex
+     * @param {string} headerNonce
+     * @param {string} coinbaseNonce
+     */
+    static async #hashMinerSignature(signatureHex, headerNonce, coinbaseNonce, useDevArgon2 = false) {
         const nonce = `${headerNonce}${coinbaseNonce}`;
 
         const argon2Fnc = useDevArgon2 ? HashFunctions.devArgon2 : HashFunctions.Argon2;
@@ -204,6 +272,28 @@ export class BlockUtils {
         const firstTx = blockData.Txs[0];
         if (firstTx && Transaction_Builder.isMinerOrValidatorTx(firstTx)) { blockData.Txs.shift(); }
     }
+    /** The UTXOs spent by the block: from the utxoCache or created by a previous transaction of the same block
+     * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
+     * @param {BlockData} blockData
+     */
+    static getBlockInputsUTXOs(utxosByAnchor, blockData) {
+        /** @type {Object<string, UTXO>} */
+        const blockOutputsUTXOs = {};
+        /** @type {Object<string, UTXO>} */
+        const inputsUTXOs = {};
+        for (const Tx of blockData.Txs) {
+            if (!Transaction_Builder.isMinerOrValidatorTx(Tx)) {
+                for (const anchor of Tx.inputs) {
+                    const utxo = utxosByAnchor[anchor] || blockOutputsUTXOs[anchor];
+                    if (utxo) { inputsUTXOs[anchor] = utxo; }
+                }
+            }
+
+            for (const utxo of TxIO_Builder.newUTXOsFromTransaction(blockData.index, Tx)) { blockOutputsUTXOs[utxo.anchor] = utxo; }
+        }
+
+        return inputsUTXOs;
+    }
     /**
      * @param {Object<string, UTXO>} utxosByAnchor
      * @param {Transaction[]} Txs 
@@ -226,7 +316,8 @@ export class BlockUtils {
      * @param {BlockData} blockData
      */
     static calculateBlockReward(utxosByAnchor, blockData) {
-        const totalFees = this.calculateTxsTotalFees(utxosByAnchor, blockData.Txs);
+        const inputsUTXOs = this.getBlockInputsUTXOs(utxosByAnchor, blockData);
+        const totalFees = this.calculateTxsTotalFees(inputsUTXOs, blockData.Txs);
         const totalReward = totalFees + blockData.coinBase;
         const powReward = Math.floor(totalReward / 2);
         const posReward = totalReward - powReward;
@@ -243,8 +334,8 @@ export class BlockUtils {
         if (typeof blockDataJSON !== 'string') { throw new Error('Invalid blockDataJSON'); }
 
         const parsed = JSON.parse(blockDataJSON);
-        const { index, supply, coinBase, difficulty, legitimacy, prevHash, Txs, posTimestamp, timestamp, hash, nonce } = parsed;
-        return BlockData(index, supply, coinBase, difficulty, legitimacy, prevHash, Txs, posTimestamp, timestamp, hash, nonce);
+        const { index, supply, coinBase, difficulty, legitimacy, prevHash, Txs, posTimestamp, timestamp, hash, nonce, utxoSetHash, merkleRoot } = parsed;
+        return BlockData(index, supply, coinBase, difficulty, legitimacy, prevHash, Txs, posTimestamp, timestamp, hash, nonce, utxoSetHash, merkleRoot);
     }
     /** @param {BlockData} blockData */
     static cloneBlockData(blockData) {
@@ -267,8 +358,8 @@ export class BlockUtils {
     }
     /** @param {BlockData} blockData */
     static getBlockHeader(blockData) {
-        const { index, supply, coinBase, difficulty, legitimacy, prevHash, posTimestamp, timestamp, hash, nonce } = blockData;
-        return BlockData(index, supply, coinBase, difficulty, legitimacy, prevHash, [], posTimestamp, timestamp, hash, nonce);
+        const { index, supply, coinBase, difficulty, legitimacy, prevHash, posTimestamp, timestamp, hash, nonce, utxoSetHash, merkleRoot } = blockData;
+        return BlockData(index, supply, coinBase, difficulty, legitimacy, prevHash, [], posTimestamp, timestamp, hash, nonce, utxoSetHash, merkleRoot);
     }
     /** 
      * @param {Object<string, UTXO>} utxosByAnchor
@@ -277,12 +368,13 @@ export class BlockUtils {
      */
     static getFinalizedBlockInfo(utxosByAnchor, blockData) {
         const header = this.getBlockHeader(blockData);
-        const totalFees = this.calculateTxsTotalFees(utxosByAnchor, blockData.Txs);
+        const inputsUTXOs = this.getBlockInputsUTXOs(utxosByAnchor, blockData);
+        const totalFees = this.calculateTxsTotalFees(inputsUTXOs, blockData.Txs);
 
         const lastTx = blockData.Txs[blockData.Txs.length - 1];
         const lastTxWieght = Transaction_Builder.getTxWeight(lastTx);
         const ignoreFee = Transaction_Builder.isMinerOrValidatorTx(lastTx);
-        const lowerFeePerByte = ignoreFee ? 0 : (TxValidation.calculateRemainingAmount(utxosByAnchor, lastTx) / lastTxWieght).toFixed(6);
+        const lowerFeePerByte = ignoreFee ? 0 : (TxValidation.calculateRemainingAmount(inputsUTXOs, lastTx) / lastTxWieght).toFixed(6);
 
         const blockBytes = utils.serializer.block_finalized.toBinary_v2(blockData).length; // in bytes
         const nbOfTxs = blockData.Txs.length;
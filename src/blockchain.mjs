@@ -5,13 +5,34 @@ import { BlockTree } from './block-tree.mjs';
 import { ForkChoiceRule } from './fork-rule.mjs';
 import { UtxoCache } from './utxoCache.mjs';
 import { BlockUtils, BlockData } from './block.mjs';
-import { SnapshotManager } from './snapshot-system.mjs';
 import { Vss } from './vss.mjs';
+import { UtxoSetHash } from './utxo-set-hash.mjs';
+import { MerkleTree, MerkleProof } from './merkle-tree.mjs';
+import { StateSnapshot, StateSnapshotUtils } from './state-snapshot.mjs';
+import { LightClient } from './light-client.mjs';
 import utils from './utils.mjs';
 
 /**
 * @typedef {import("../src/block-tree.mjs").TreeNode} TreeNode
 * @typedef {import("../src/block.mjs").BlockInfo} BlockInfo
+* @typedef {import("../src/block.mjs").BlockUndoData} BlockUndoData
+* @typedef {import("../src/state-snapshot.mjs").StateSnapshotInfo} StateSnapshotInfo
+* @typedef {import("../src/light-client.mjs").HeaderProof} HeaderProof
+* @typedef {import("../src/transaction.mjs").Transaction} Transaction
+*/
+
+/**
+* @typedef {Object} TxLocation
+* @property {number} height
+* @property {number} position - The index of the transaction in the block
+*/
+
+/**
+* @typedef {Object} IndexedTransaction
+* @property {Transaction|null} transaction - null if the body of the block is pruned
+* @property {number} blockHeight
+* @property {string} blockHash
+* @property {number} position - The index of the transaction in the block
 */
 
 /**
@@ -24,23 +45,38 @@ export class Blockchain {
      * @param {Object} [options] - Configuration options for the blockchain.
      * @param {number} [options.maxInMemoryBlocks=1000] - Maximum number of blocks to keep in memory.
      * @param {string} [options.logLevel='info'] - The logging level for Pino.
-     * @param {number} [options.snapshotInterval=100] - Interval at which to take full snapshots.
+     * @param {number} [options.snapshotInterval=100] - Interval at which to take full snapshots of the state, served to the new nodes.
+     * @param {number} [options.snapshotChunkSize=1000000] - The snapshots are served by chunks of this size, in bytes.
+     * @param {number} [options.maxReorgDepth=SETTINGS.maxReorgDepth] - The blocks buried deeper are final.
+     * @param {Object<number, string>} [options.checkpoints=SETTINGS.checkpoints] - Block hashes by height, a contradicting branch is refused.
+     * @param {number} [options.maxUndoBlocks=maxReorgDepth] - Number of last blocks that can be reverted by a reorganization, their undo data is persisted.
+     * @param {boolean} [options.prune=false] - Delete the bodies of the blocks buried deeper than pruneDepth, their headers are kept.
+     * @param {number} [options.pruneDepth=max(maxReorgDepth, maxUndoBlocks)] - Can't be lower: the blocks of the reorganization window are needed.
+     * @param {boolean} [options.txIndex=false] - Index the transactions of the main chain by ID, see getTransaction().
      */
     constructor(nodeId, options = {}) {
         const {
             maxInMemoryBlocks = 1000,
             logLevel = 'silent', // 'silent',
             snapshotInterval = 100,
+            snapshotChunkSize = 1_000_000,
+            maxReorgDepth = utils.SETTINGS.maxReorgDepth,
+            checkpoints = utils.SETTINGS.checkpoints,
+            maxUndoBlocks = maxReorgDepth,
+            prune = false,
+            pruneDepth = Math.max(maxReorgDepth, maxUndoBlocks),
+            txIndex = false,
         } = options;
+        if (prune && pruneDepth < Math.max(maxReorgDepth, maxUndoBlocks)) { throw new Error(`pruneDepth can't be lower than the reorganization window: ${pruneDepth}`); }
 
         /** @type {LevelUp} */
         this.db = LevelUp(LevelDown('./databases/blockchainDB' + nodeId));
         /** @type {BlockTree} */
-        this.blockTree = new BlockTree('0000000000000000000000000000000000000000000000000000000000000000');
+        this.blockTree = new BlockTree('0000000000000000000000000000000000000000000000000000000000000000', { checkpoints });
         /** @type {ForkChoiceRule} */
-        this.forkChoiceRule = new ForkChoiceRule(this.blockTree);
-        /** @type {SnapshotManager} */
-        this.snapshotManager = new SnapshotManager();
+        this.forkChoiceRule = new ForkChoiceRule(this.blockTree, maxReorgDepth);
+        /** @type {number} */
+        this.maxReorgDepth = maxReorgDepth;
         /** @type {Map<string, BlockData>} */
         this.inMemoryBlocks = new Map();
         /** @type {Map<number, string>} */
@@ -55,6 +91,22 @@ export class Blockchain {
         this.lastBlock = null;
         /** @type {number} */
         this.snapshotInterval = snapshotInterval;
+        /** @type {number} */
+        this.snapshotChunkSize = snapshotChunkSize;
+        /** @type {number} */
+        this.snapshotHeight = -1; // the state was restored from a snapshot of this height, the blocks below aren't stored
+        /** @type {number} */
+        this.maxUndoBlocks = maxUndoBlocks;
+        /** @type {number} */
+        this.miningDataWindow = maxUndoBlocks + utils.MINING_PARAMS.blocksBeforeAdjustment; // the difficulty adjustment after maxUndoBlocks reverts
+        /** @type {boolean} */
+        this.prune = prune;
+        /** @type {number} */
+        this.pruneDepth = pruneDepth;
+        /** @type {number} */
+        this.prunedHeight = -1; // the bodies of the blocks up to this height are deleted
+        /** @type {boolean} */
+        this.txIndex = txIndex;
         /** @type {Vss} */
         this.vss = new Vss();
         /** @type {pino.Logger} */
@@ -70,6 +122,10 @@ export class Blockchain {
         this.isSyncing = false;
         this.logger.info({ dbPath: './databases/blockchainDB' + nodeId, maxInMemoryBlocks, snapshotInterval }, 'Blockchain instance created');
     }
+    /** @param {Error} error - a database error is a fault of this node, not of the blocks it stores */
+    static isDatabaseError(error) {
+        return error instanceof LevelUp.errors.LevelUPError;
+    }
 
     async init() {
         this.logger.info('Initializing blockchain');
@@ -80,13 +136,14 @@ export class Blockchain {
             throw error;
         }
     }
-    async recoverBlocksFromStorage() {
+    /** @param {number} [fromHeight] - the blocks below are already digested, see loadState() */
+    async recoverBlocksFromStorage(fromHeight = 0) {
         try {
             this.logger.info('Loading blockchain from disk...');
             const storedHeight = await this.db.get('currentHeight').catch(() => '0');
             const storedHeightInt = parseInt(storedHeight, 10);
             const blocksData = [];
-            for (let i = 0; i <= storedHeightInt; i++) {
+            for (let i = fromHeight; i <= storedHeightInt; i++) {
                 const blockData = await this.getBlockFromDiskByHeight(i);
                 if (!blockData) { this.logger.warn({ height: i }, 'Failed to load block from disk'); break; }
 
@@ -134,8 +191,6 @@ export class Blockchain {
                     score: this.calculateBlockScore(block)
                 });
 
-                this.snapshotManager.takeSnapshot(block.index, utxoCache, this.vss);
-
                 this.lastBlock = block;
                 this.currentHeight = block.index;
 
@@ -145,6 +200,7 @@ export class Blockchain {
                     await this.persistBlockToDisk(block);
                     blockInfo = BlockUtils.getFinalizedBlockInfo(utxoCache.utxosByAnchor, block);
                     await this.persistBlockInfoToDisk(blockInfo);
+                    if (this.txIndex) { await this.db.batch(await this.#getTxIndexOperations(block)); }
                 }
 
                 await this.db.put('currentHeight', this.currentHeight.toString());
@@ -157,6 +213,26 @@ export class Blockchain {
             }
         }
     }
+    /**
+     * Stores a block which doesn't extend the tip, it only joins the main chain through a reorganization.
+     * @param {BlockData} block - The block to store.
+     * @returns {boolean} False if the block is already known, contradicts a checkpoint or forks below the finalized height.
+     */
+    addSideBlock(block) {
+        if (block.index <= this.getFinalizedHeight()) { this.logger.warn({ blockHeight: block.index, blockHash: block.hash }, 'Side block below the finalized height'); return false; }
+
+        const added = this.blockTree.addBlock({
+            hash: block.hash,
+            prevHash: block.prevHash,
+            height: block.index,
+            score: this.calculateBlockScore(block)
+        });
+        if (!added) { return false; }
+
+        this.inMemoryBlocks.set(block.hash, block);
+        this.logger.info({ blockHeight: block.index, blockHash: block.hash }, 'Side block added');
+        return true;
+    }
     /**
      * Updates the block indices.
      * @param {BlockData} block - The block to update indices for.
@@ -167,14 +243,14 @@ export class Blockchain {
         this.blockHeightByHash.set(block.hash, block.index);
     }
     /**
-     * Calculates the score for a block.
+     * Calculates the score for a block: the work needed to mine it, from its final difficulty.
      * @param {BlockData} block - The block to calculate the score for.
      * @returns {number} The calculated score.
      * @private
      */
     calculateBlockScore(block) {
-        // TODO: Implement a more sophisticated scoring mechanism
-        return block.index;
+        const { finalDifficulty } = utils.mining.getBlockFinalDifficulty(block);
+        return utils.mining.getDifficultyWork(finalDifficulty);
     }
     /**
      * Retrieves a block by its hash.
@@ -194,6 +270,10 @@ export class Blockchain {
             return this.getBlockFromDiskByHeight(height);
         }
 
+        // a reverted block is no longer indexed by height
+        const serializedBlock = await this.db.get(hash).catch(() => null);
+        if (serializedBlock) { return utils.serializer.block_finalized.fromBinary_v2(serializedBlock); }
+
         this.logger.error({ blockHash: hash }, 'Block not found');
         throw new Error(`Block not found: ${hash}`);
     }
@@ -210,6 +290,7 @@ export class Blockchain {
 
         const oldestBlock = this.inMemoryBlocks.get(oldestBlockHash);
         this.inMemoryBlocks.delete(oldestBlockHash);
+        if (this.blocksByHeight.get(oldestBlock.index) !== oldestBlockHash) { return; } // side block, not persisted
 
         await this.persistBlockToDisk(oldestBlock);
         await this.persistBlockInfoToDisk(BlockUtils.getFinalizedBlockInfo(utxosByAnchor, oldestBlock));
@@ -289,75 +370,393 @@ export class Blockchain {
         }
     }
     /**
-     * Checks if a chain reorganization is needed and handles it if necessary.
-     * @param {UtxoCache} utxoCache - The UTXO cache to use for the
+     * Returns the blocks to revert and to apply if the heaviest branch of the tree isn't the current chain.
+     * @returns {{ revert: string[], apply: string[] } | null} The hashes, revert: from the tip, apply: from the common ancestor.
      */
-    async checkAndHandleReorg(utxoCache) {
+    getReorgPath() {
         const currentTip = this.getLatestBlockHash(); // The hash of the current tip block (the apex)
         const newTip = this.forkChoiceRule.findBestBlock();
 
         this.logger.debug({ currentTip, newTip, currentHeight: this.currentHeight }, 'Checking for chain reorganization');
+        if (newTip === currentTip || !this.forkChoiceRule.shouldReorg(currentTip, newTip)) { return null; }
 
-        const shouldReorg = this.forkChoiceRule.shouldReorg(currentTip, newTip);
-        if (newTip === currentTip || !shouldReorg) {
-            const tipBlock = await this.getBlock(newTip);
-            return [tipBlock];
-        }
+        const reorgPath = this.forkChoiceRule.getReorgPath(currentTip, newTip);
+        if (!reorgPath) { this.logger.error({ currentTip, newTip }, 'Failed to get reorganization path'); return null; }
 
-        const blocksToapply = await this.#getBlocksToapply(utxoCache, newTip);
-        return blocksToapply;
+        return reorgPath;
     }
+    /**
+     * Digests the blocks in the UTXO cache and the VSS, their undo data is kept to revert them during a reorganization.
+     * @param {UtxoCache} utxoCache
+     * @param {Vss} vss
+     * @param {BlockData[]} blocksData
+     */
+    async applyChainReorg(utxoCache, vss, blocksData) {
+        for (const block of blocksData) {
+            const blockDataCloneToDigest = BlockUtils.cloneBlockData(block); // clone to avoid modification
+            const stakesChanges = await utxoCache.digestFinalizedBlocks([blockDataCloneToDigest]);
+            if (!stakesChanges) { continue; }
+
+            const undoData = stakesChanges.blocksUndoData[0];
+            const stakesChanged = stakesChanges.newStakesOutputs.length > 0 || stakesChanges.spentStakesAnchors.length > 0;
+            if (stakesChanged) { undoData.previousSpectrum = { ...vss.spectrum }; }
+
+            vss.newStakes(stakesChanges.newStakesOutputs);
+            vss.removeStakes(stakesChanges.spentStakesAnchors);
+
+            const operations = this.#getStateOperations(utxoCache, vss, undoData, block.index);
+            operations.push({ type: 'put', key: `undo-${undoData.hash}`, value: this.#serialize(undoData) });
+            operations.push({ type: 'put', key: `miningData-${block.index}`, value: this.#serialize(utxoCache.blockMiningData[utxoCache.blockMiningData.length - 1]) });
 
+            // the undo data of the block leaving the reorganization window is deleted, the mining data leaving its window too
+            const expiredHash = this.blocksByHeight.get(undoData.index - this.maxUndoBlocks);
+            if (expiredHash) { operations.push({ type: 'del', key: `undo-${expiredHash}` }); }
+            if (block.index >= this.miningDataWindow) { operations.push({ type: 'del', key: `miningData-${block.index - this.miningDataWindow}` }); }
+            utxoCache.blockMiningData.splice(0, utxoCache.blockMiningData.length - this.miningDataWindow);
+
+            await this.db.batch(operations);
+            if (this.prune) { await this.pruneBlocks(block.index - this.pruneDepth - 1); }
+
+            if (block.index === 0 || block.index % this.snapshotInterval !== 0) { continue; }
+            const utxos = Object.values(utxoCache.utxosByAnchor);
+            await this.saveStateSnapshot(StateSnapshot(block.index, block, utxoCache.utxoSetHash.toHex(), utxos, { ...vss.spectrum }, [...utxoCache.blockMiningData]));
+        }
+    }
     /**
-     * Performs a chain reorganization.
-     * @param {UtxoCache} utxoCache - The UTXO cache to use for the reorg.
-     * @param {string} newTip - The hash of the new tip block.
+     * Deletes the bodies of the main chain blocks up to this height, their header proofs replace them to keep serving the headers.
+     * - The height index and the info of the blocks are kept
+     * @param {number} toHeight
      */
-    async #getBlocksToapply(utxoCache, newTip) {
-        this.logger.info({ newTip }, 'Performing chain reorganization');
+    async pruneBlocks(toHeight) {
+        // no body below the snapshot the chain started from
+        for (let height = Math.max(this.prunedHeight + 1, this.snapshotHeight); height <= toHeight; height++) {
+            const operations = [{ type: 'put', key: 'prunedHeight', value: height.toString() }];
+            if (height <= this.currentHeight - this.miningDataWindow) { operations.push({ type: 'del', key: `miningData-${height}` }); }
+            const block = await this.getBlockByIndex(height);
+            if (block) {
+                operations.push({ type: 'put', key: `header-${block.hash}`, value: this.#serialize(await LightClient.buildHeaderProof(block)) });
+                operations.push({ type: 'del', key: block.hash });
+                this.inMemoryBlocks.delete(block.hash);
+            }
 
-        const reorgPath = this.forkChoiceRule.getReorgPath(this.getLatestBlockHash(), newTip);
-        if (!reorgPath) { this.logger.error('Failed to get reorganization path'); return []; }
+            await this.db.batch(operations);
+            this.prunedHeight = height;
+        }
+    }
+    /** The lowest height of the main chain whose body is stored, the blocks below are pruned or older than the snapshot the chain started from. */
+    getLowestBlockHeight() {
+        return Math.max(this.prunedHeight + 1, this.snapshotHeight, 0);
+    }
+    /**
+     * The header of a main chain block with its coinbase, also available for the pruned blocks.
+     * @param {number} index
+     * @returns {Promise<HeaderProof|null>}
+     */
+    async getHeaderProofByIndex(index) {
+        if (index > this.prunedHeight) {
+            const block = await this.getBlockByIndex(index);
+            return block ? await LightClient.buildHeaderProof(block) : null;
+        }
 
-        const commonAncestorHeight = this.blockTree.getBlockHeight(reorgPath.revert[reorgPath.revert.length - 1]);
-        if (commonAncestorHeight === -1) { this.logger.error('Failed to get common ancestor height'); return []; }
+        const blockHash = await this.db.get(`height-${index}`).catch(() => null);
+        const serializedHeaderProof = blockHash ? await this.db.get(`header-${blockHash.toString()}`).catch(() => null) : null;
+        return serializedHeaderProof ? utils.serializer.rawData.fromBinary_v1(serializedHeaderProof) : null;
+    }
+    /**
+     * Replaces the served snapshot, stored by chunks.
+     * @param {StateSnapshot} snapshot
+     */
+    async saveStateSnapshot(snapshot) {
+        const previousInfo = await this.getStateSnapshotInfo();
+        const chunks = StateSnapshotUtils.toChunks(snapshot, this.snapshotChunkSize);
+        /** @type {StateSnapshotInfo} */
+        const info = { height: snapshot.height, blockHash: snapshot.block.hash, chunksCount: chunks.length };
+
+        const operations = chunks.map((chunk, i) => ({ type: 'put', key: `snapshotChunk-${i}`, value: Buffer.from(chunk) }));
+        for (let i = chunks.length; i < (previousInfo ? previousInfo.chunksCount : 0); i++) { operations.push({ type: 'del', key: `snapshotChunk-${i}` }); }
+        operations.push({ type: 'put', key: 'snapshotInfo', value: this.#serialize(info) });
+        await this.db.batch(operations);
+
+        this.logger.info({ snapshotHeight: snapshot.height, chunksCount: chunks.length }, 'State snapshot saved');
+    }
+    /** @returns {Promise<StateSnapshotInfo|null>} */
+    async getStateSnapshotInfo() {
+        const serializedInfo = await this.db.get('snapshotInfo').catch(() => null);
+        return serializedInfo ? utils.serializer.rawData.fromBinary_v1(serializedInfo) : null;
+    }
+    /**
+     * @param {number} index
+     * @returns {Promise<Uint8Array|null>}
+     */
+    async getStateSnapshotChunk(index) {
+        const chunk = await this.db.get(`snapshotChunk-${index}`).catch(() => null);
+        return chunk ? new Uint8Array(chunk) : null;
+    }
+    /**
+     * Starts an empty chain from a verified snapshot: the state is loaded and persisted, its block becomes the tip.
+     * - The blocks below the snapshot height are not stored, they can't be served nor reverted
+     * @param {StateSnapshot} snapshot
+     * @param {UtxoCache} utxoCache - empty
+     * @param {Vss} vss - empty
+     */
+    async restoreStateSnapshot(snapshot, utxoCache, vss) {
+        if (this.currentHeight !== -1) { throw new Error(`A snapshot can only start an empty chain, current height: ${this.currentHeight}`); }
+
+        const operations = [];
+        for (const utxo of snapshot.utxos) {
+            if (utxoCache.addressesUTXOs[utxo.address] === undefined) { utxoCache.addressesUTXOs[utxo.address] = []; }
+            utxoCache.addressesUTXOs[utxo.address].push(utxo);
+            utxoCache.utxosByAnchor[utxo.anchor] = utxo;
+            utxoCache.addressesBalances[utxo.address] = (utxoCache.addressesBalances[utxo.address] || 0) + utxo.amount;
+            operations.push({ type: 'put', key: `utxo-${utxo.anchor}`, value: this.#serialize(utxo) });
+        }
+        for (const [address, balance] of Object.entries(utxoCache.addressesBalances)) {
+            operations.push({ type: 'put', key: `balance-${address}`, value: balance.toString() });
+        }
+        utxoCache.blockMiningData = snapshot.blockMiningData.slice(-this.miningDataWindow);
+        for (const miningData of utxoCache.blockMiningData) {
+            operations.push({ type: 'put', key: `miningData-${miningData.index}`, value: this.#serialize(miningData) });
+        }
+        utxoCache.utxoSetHash = new UtxoSetHash(snapshot.utxoSetHash);
+        vss.restoreSpectrum(snapshot.spectrum);
+
+        const { block, height } = snapshot;
+        await this.persistBlockToDisk(block);
+        this.updateIndices(block);
+        this.blockTree.addBlock({ hash: block.hash, prevHash: block.prevHash, height, score: this.calculateBlockScore(block) });
+        this.lastBlock = block;
+        this.currentHeight = height;
+        this.snapshotHeight = height;
+
+        operations.push({ type: 'put', key: 'vssSpectrum', value: this.#serialize(vss.spectrum) });
+        operations.push({ type: 'put', key: 'utxoSetHash', value: snapshot.utxoSetHash });
+        operations.push({ type: 'put', key: 'stateHeight', value: height.toString() });
+        operations.push({ type: 'put', key: 'snapshotHeight', value: height.toString() });
+        operations.push({ type: 'put', key: 'currentHeight', value: height.toString() });
+        if (this.txIndex) { operations.push(...await this.#getTxIndexOperations(block)); }
+        await this.db.batch(operations);
+        await this.saveStateSnapshot(snapshot); // served in turn
+
+        this.logger.info({ snapshotHeight: height, nbOfUtxos: snapshot.utxos.length }, 'State restored from snapshot');
+    }
+    /**
+     * The IDs are only unique by block: each one can be located in several blocks.
+     * @param {string} txId
+     * @returns {Promise<TxLocation[]>}
+     */
+    async #getTxLocations(txId) {
+        const serializedLocations = await this.db.get(`tx-${txId}`).catch(() => null);
+        return serializedLocations ? utils.serializer.rawData.fromBinary_v1(serializedLocations) : [];
+    }
+    /**
+     * Adds the transactions of the block to the index, or removes them when the block is reverted.
+     * @param {BlockData} block
+     * @param {boolean} [remove] - default: false
+     */
+    async #getTxIndexOperations(block, remove = false) {
+        const operations = [];
+        for (let position = 0; position < block.Txs.length; position++) {
+            const txId = block.Txs[position].id;
+            const locations = (await this.#getTxLocations(txId)).filter(location => location.height !== block.index);
+            if (!remove) { locations.push({ height: block.index, position }); }
+
+            if (locations.length === 0) { operations.push({ type: 'del', key: `tx-${txId}` }); continue; }
+            operations.push({ type: 'put', key: `tx-${txId}`, value: this.#serialize(locations) });
+        }
 
-        this.snapshotManager.restoreSnapshot(commonAncestorHeight, utxoCache, this.blockTree);
+        return operations;
+    }
+    /**
+     * Finds a transaction of the main chain by ID, needs the txIndex option.
+     * @param {string} txId
+     * @param {number} [blockHeight] - The IDs are only unique by block, the most recent is returned if unknown.
+     * @returns {Promise<IndexedTransaction|null>} null if the transaction isn't found.
+     */
+    async getTransaction(txId, blockHeight) {
+        if (!this.txIndex) { throw new Error('The transactions are not indexed, see the txIndex option'); }
 
-        /*for (const hash of reorgPath.apply) {
-            const block = await this.getBlock(hash);
-            await this.applyBlock(utxoCache, block);
-        }*/
-        this.lastBlock = await this.getBlock(newTip);
-        if (!this.lastBlock) { this.logger.error('Failed to get new tip block'); return false; }
+        const locations = (await this.#getTxLocations(txId)).filter(location => blockHeight === undefined || location.height === blockHeight);
+        const location = locations.sort((a, b) => b.height - a.height)[0];
+        if (!location) { return null; }
 
-        this.currentHeight = this.lastBlock.index;
-        await this.db.put('currentHeight', this.currentHeight.toString());
+        const serializedBlockHash = await this.db.get(`height-${location.height}`).catch(() => null);
+        if (!serializedBlockHash) { return null; } // stale index entry
 
-        const blocksData = [];
-        for (const hash of reorgPath.apply) {
-            const block = await this.getBlock(hash);
-            blocksData.push(block);
+        const blockHash = new TextDecoder().decode(serializedBlockHash);
+        const block = await this.getBlockByIndex(location.height);
+        return { transaction: block ? block.Txs[location.position] : null, blockHeight: location.height, blockHash, position: location.position };
+    }
+    /** @param {any} data */
+    #serialize(data) {
+        return Buffer.from(utils.serializer.rawData.toBinary_v1(data));
+    }
+    /**
+     * The changes of the UTXO set, the balances and the VSS spectrum made by a block, or by its revert.
+     * @param {UtxoCache} utxoCache - already updated
+     * @param {Vss} vss - already updated
+     * @param {BlockUndoData} undoData
+     * @param {number} stateHeight - The height of the last digested block.
+     * @param {string[]} [revertedAddresses] - The owners of the UTXOs removed by the revert.
+     */
+    #getStateOperations(utxoCache, vss, undoData, stateHeight, revertedAddresses = []) {
+        const operations = [];
+        const anchors = new Set([...undoData.spentUTXOs.map(utxo => utxo.anchor), ...undoData.createdAnchors]);
+        const addresses = new Set(revertedAddresses);
+        for (const anchor of anchors) {
+            const utxo = utxoCache.utxosByAnchor[anchor];
+            if (utxo) {
+                operations.push({ type: 'put', key: `utxo-${anchor}`, value: this.#serialize(utxo) });
+                addresses.add(utxo.address);
+            } else {
+                operations.push({ type: 'del', key: `utxo-${anchor}` });
+            }
         }
+        for (const utxo of undoData.spentUTXOs) { addresses.add(utxo.address); }
+        for (const address of addresses) {
+            operations.push({ type: 'put', key: `balance-${address}`, value: (utxoCache.addressesBalances[address] || 0).toString() });
+        }
+
+        if (undoData.previousSpectrum) { operations.push({ type: 'put', key: 'vssSpectrum', value: this.#serialize(vss.spectrum) }); }
+        operations.push({ type: 'put', key: 'utxoSetHash', value: utxoCache.utxoSetHash.toHex() });
+        operations.push({ type: 'put', key: 'stateHeight', value: stateHeight.toString() });
 
-        return blocksData;
-        //this.logger.info({ newTip, newHeight: this.currentHeight }, 'Chain reorganization complete'); not true
+        return operations;
     }
     /**
+     * Retrieves the undo data of a block, only kept for the last maxUndoBlocks blocks.
+     * @param {string} hash
+     * @returns {Promise<BlockUndoData|null>}
+     */
+    async getBlockUndoData(hash) {
+        try {
+            const serializedUndoData = await this.db.get(`undo-${hash}`);
+            /** @type {BlockUndoData} */
+            const undoData = utils.serializer.rawData.fromBinary_v1(serializedUndoData);
+            return undoData;
+        } catch (error) {
+            if (error.type === 'NotFoundError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+    /**
+     * Reverts the tip block: the UTXO cache and the VSS are rolled back, the block is no longer indexed by height.
+     * - The block stays in the tree as a side block
      * @param {UtxoCache} utxoCache
      * @param {Vss} vss
-     * @param {BlockData[]} blocksData
+     * @returns {Promise<BlockData>} The reverted block.
      */
-    async applyChainReorg(utxoCache, vss, blocksData) {
-        for (const block of blocksData) {
-            const blockDataCloneToDigest = BlockUtils.cloneBlockData(block); // clone to avoid modification
-            const newStakesOutputs = await utxoCache.digestFinalizedBlocks([blockDataCloneToDigest]);
-            if (!newStakesOutputs) { continue; }
+    async undoLastBlock(utxoCache, vss) {
+        const block = this.lastBlock;
+        if (!block) { throw new Error('No block to revert'); }
+
+        const undoData = await this.getBlockUndoData(block.hash);
+        if (!undoData) { throw new Error(`No undo data for block #${block.index}: ${block.hash}`); }
+
+        const revertedAddresses = undoData.createdAnchors.map(anchor => utxoCache.utxosByAnchor[anchor]?.address).filter(address => address);
+        await utxoCache.undoFinalizedBlock(undoData);
+        if (undoData.previousSpectrum) { vss.restoreSpectrum(undoData.previousSpectrum); }
+
+        this.blocksByHeight.delete(block.index);
+        this.blockHeightByHash.delete(block.hash);
+        this.currentHeight = block.index - 1;
+        this.lastBlock = this.currentHeight >= 0 ? await this.getBlock(block.prevHash) : null;
+
+        const operations = this.#getStateOperations(utxoCache, vss, undoData, this.currentHeight, revertedAddresses);
+        operations.push({ type: 'del', key: `undo-${block.hash}` });
+        operations.push({ type: 'del', key: `miningData-${block.index}` });
+        operations.push({ type: 'del', key: `height-${block.index}` });
+        operations.push({ type: 'put', key: 'currentHeight', value: this.currentHeight.toString() });
+        if (this.txIndex) { operations.push(...await this.#getTxIndexOperations(block, true)); }
+        await this.db.batch(operations);
+
+        this.logger.info({ blockHeight: block.index, blockHash: block.hash }, 'Block reverted');
+        return block;
+    }
+    /**
+     * @param {string} prefix
+     * @returns {Promise<{ key: string, value: Buffer }[]>}
+     */
+    #getEntriesByPrefix(prefix) {
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            this.db.createReadStream({ gte: prefix, lt: `${prefix}\xff`, keyAsBuffer: false })
+                .on('data', entry => entries.push(entry))
+                .on('error', reject)
+                .on('end', () => resolve(entries));
+        });
+    }
+    /**
+     * Loads the UTXO set with its hash, the balances, the mining data and the VSS spectrum of the last digested block,
+     * then indexes the blocks of the reorganization window. The blocks above the state height have to be digested.
+     * @param {UtxoCache} utxoCache
+     * @param {Vss} vss
+     * @returns {Promise<number>} The height of the loaded state, -1 if none.
+     */
+    async loadState(utxoCache, vss) {
+        const stateHeight = parseInt(await this.db.get('stateHeight').catch(() => '-1'), 10);
+        if (stateHeight === -1) { return -1; }
+
+        for (const { value } of await this.#getEntriesByPrefix('utxo-')) {
+            const utxo = utils.serializer.rawData.fromBinary_v1(value);
+            if (utxoCache.addressesUTXOs[utxo.address] === undefined) { utxoCache.addressesUTXOs[utxo.address] = []; }
+            utxoCache.addressesUTXOs[utxo.address].push(utxo);
+            utxoCache.utxosByAnchor[utxo.anchor] = utxo;
+        }
+        for (const { key, value } of await this.#getEntriesByPrefix('balance-')) {
+            utxoCache.addressesBalances[key.slice('balance-'.length)] = parseInt(value.toString(), 10);
+        }
+        utxoCache.blockMiningData = [];
+        for (let i = Math.max(stateHeight - this.miningDataWindow + 1, 0); i <= stateHeight; i++) {
+            const serializedMiningData = await this.db.get(`miningData-${i}`).catch(() => null);
+            if (serializedMiningData) { utxoCache.blockMiningData.push(utils.serializer.rawData.fromBinary_v1(serializedMiningData)); } // none below the snapshot
+        }
+
+        const utxoSetHash = await this.db.get('utxoSetHash');
+        utxoCache.utxoSetHash = new UtxoSetHash(utxoSetHash.toString());
+
+        const serializedSpectrum = await this.db.get('vssSpectrum').catch(() => null);
+        if (serializedSpectrum) { vss.restoreSpectrum(utils.serializer.rawData.fromBinary_v1(serializedSpectrum)); }
+
+        this.snapshotHeight = parseInt(await this.db.get('snapshotHeight').catch(() => '-1'), 10);
+        this.prunedHeight = parseInt(await this.db.get('prunedHeight').catch(() => '-1'), 10);
+        const windowStart = Math.max(stateHeight - Math.max(this.maxReorgDepth, this.maxUndoBlocks), this.snapshotHeight, 0);
+        for (let i = windowStart; i <= stateHeight; i++) {
+            const block = await this.getBlockFromDiskByHeight(i);
+            if (!block) { throw new Error(`Failed to load block #${i} of the state`); }
 
-            vss.newStakes(newStakesOutputs);
+            this.updateIndices(block);
+            this.blockTree.addBlock({ hash: block.hash, prevHash: block.prevHash, height: block.index, score: this.calculateBlockScore(block) });
+            this.lastBlock = block;
         }
+        this.currentHeight = stateHeight;
+
+        this.logger.info({ stateHeight, nbOfUtxos: Object.keys(utxoCache.utxosByAnchor).length }, 'State loaded from disk');
+        return stateHeight;
+    }
+    /**
+     * Removes an invalid block and its descendants from the tree.
+     * @param {string} hash
+     */
+    removeBranch(hash) {
+        for (const removedHash of this.blockTree.removeBranch(hash)) { this.inMemoryBlocks.delete(removedHash); }
     }
 
+    /**
+     * The blocks up to this height can't be reverted by a reorganization, nor the snapshot the chain started from.
+     * @returns {number} -1 if no block is final yet.
+     */
+    getFinalizedHeight() {
+        return Math.max(this.currentHeight - this.maxReorgDepth, this.snapshotHeight, -1);
+    }
+    /**
+     * Whether the block at this height of the main chain can't be reverted anymore, deposits can be credited.
+     * @param {number} height
+     */
+    isFinal(height) {
+        return height <= this.getFinalizedHeight();
+    }
     /**
      * Gets the hash of the latest block.
      * @returns {string} The hash of the latest block.
@@ -385,4 +784,29 @@ export class Blockchain {
 
         return this.getBlockFromDiskByHeight(index);
     }
+    /**
+     * Proves that a transaction is in a block of the main chain, to verify with MerkleTree.verifyTxInclusion() against the block header.
+     * @param {string} txId
+     * @param {number} [blockHeight] - Required if the transactions are not indexed (txIndex option), else the most recent is proven.
+     * @returns {Promise<MerkleProof|null>} null if the transaction isn't found.
+     */
+    async getTxInclusionProof(txId, blockHeight) {
+        if (blockHeight === undefined) {
+            if (!this.txIndex) { throw new Error('The block height is required when the transactions are not indexed, see the txIndex option'); }
+
+            const locations = await this.#getTxLocations(txId);
+            if (locations.length === 0) { return null; }
+            blockHeight = Math.max(...locations.map(location => location.height));
+        }
+
+        const block = await this.getBlockByIndex(blockHeight);
+        if (!block) { return null; }
+
+        const txIndex = block.Txs.findIndex(tx => tx.id === txId);
+        if (txIndex === -1) { return null; }
+
+        const txsHashes = await MerkleTree.getTxsHashes(block.Txs);
+        const siblings = await MerkleTree.getSiblings(txsHashes, txIndex);
+        return MerkleProof(txId, txsHashes[txIndex], block.hash, block.index, siblings);
+    }
 }
\ No newline at end of file
@@ -1,6 +1,15 @@
+/**
+* @typedef {import("./block-tree.mjs").BlockTree} BlockTree
+*/
+
 export class ForkChoiceRule {
-    constructor(blockTree) {
+    /**
+     * @param {BlockTree} blockTree
+     * @param {number} [maxReorgDepth] - the blocks buried deeper than this are final
+     */
+    constructor(blockTree, maxReorgDepth = Infinity) {
         this.blockTree = blockTree;
+        this.maxReorgDepth = maxReorgDepth;
     }
 
     findBestBlock() {
@@ -11,8 +20,12 @@ export class ForkChoiceRule {
         const commonAncestor = this.blockTree.getCommonAncestor(currentTip, newTip);
         if (!commonAncestor) return false;
 
-        const currentTipScore = this.blockTree.getBlockScore(currentTip);
-        const newTipScore = this.blockTree.getBlockScore(newTip);
+        const reorgDepth = this.blockTree.getBlockHeight(currentTip) - this.blockTree.getBlockHeight(commonAncestor);
+        if (reorgDepth > this.maxReorgDepth) return false;
+
+        // the chain with the most cumulative work wins, not the longest one
+        const currentTipScore = this.blockTree.getChainScore(currentTip);
+        const newTipScore = this.blockTree.getChainScore(newTip);
 
         if (newTipScore > currentTipScore) {
             return true;
@@ -0,0 +1,162 @@
+import { AsymetricFunctions } from './conCrypto.mjs';
+import { Transaction_Builder } from './transaction.mjs';
+import { BlockUtils } from './block.mjs';
+import { TxValidation } from './validation.mjs';
+import utils from './utils.mjs';
+
+/**
+ * @typedef {import("./block.mjs").BlockData} BlockData
+ * @typedef {import("./transaction.mjs").Transaction} Transaction
+ */
+
+/**
+ * @typedef {Object} CandidateProof - The minimal part of a block candidate needed to recompute its posHash
+ * @property {number} index - The block height
+ * @property {number} supply - The total supply before the coinbase reward
+ * @property {number} coinBase - The coinbase reward
+ * @property {number} difficulty - The difficulty of the block
+ * @property {number} legitimacy - The legitimacy of the validator who created the block candidate
+ * @property {string} prevHash - The hash of the previous block
+ * @property {number} posTimestamp - The timestamp of the block creation
+ * @property {string} txsHash - The hash of the candidate's transactions (validator Tx excluded)
+ * @property {Transaction} posTx - The validator Tx signed by the staked address
+ * @property {string} utxoSetHash - The hash of the UTXO set after the block
+ */
+/**
+ * @param {number} index - The block height
+ * @param {number} supply - The total supply before the coinbase reward
+ * @param {number} coinBase - The coinbase reward
+ * @param {number} difficulty - The difficulty of the block
+ * @param {number} legitimacy - The legitimacy of the validator who created the block candidate
+ * @param {string} prevHash - The hash of the previous block
+ * @param {number} posTimestamp - The timestamp of the block creation
+ * @param {string} txsHash - The hash of the candidate's transactions (validator Tx excluded)
+ * @param {Transaction} posTx - The validator Tx signed by the staked address
+ * @param {string} utxoSetHash - The hash of the UTXO set after the block
+ * @returns {CandidateProof}
+ */
+export const CandidateProof = (index, supply, coinBase, difficulty, legitimacy, prevHash, posTimestamp, txsHash, posTx, utxoSetHash) => {
+    return {
+        index,
+        supply,
+        coinBase,
+        difficulty,
+        legitimacy,
+        prevHash,
+        utxoSetHash,
+        posTimestamp,
+        txsHash,
+        posTx
+    };
+}
+
+export class FraudProof {
+    /** @param {BlockData} blockCandidate */
+    static async fromBlockCandidate(blockCandidate) {
+        const posTx = blockCandidate.Txs.find(tx => Transaction_Builder.isMinerOrValidatorTx(tx) === 'validator');
+        if (!posTx) { throw new Error('Invalid block candidate: validator Tx not found'); }
+
+        const Txs = blockCandidate.Txs.filter(tx => !Transaction_Builder.isMinerOrValidatorTx(tx));
+        const txsHash = await BlockUtils.getBlockTxsHash({ Txs });
+
+        const { index, supply, coinBase, difficulty, legitimacy, prevHash, posTimestamp, utxoSetHash } = blockCandidate;
+        return CandidateProof(index, supply, coinBase, difficulty, legitimacy, prevHash, posTimestamp, txsHash, posTx, utxoSetHash);
+    }
+    /** @param {CandidateProof} proof */
+    static toHex(proof) {
+        const encoded = utils.serializer.candidate_proof.toBinary_v2(proof);
+        return utils.convert.uint8Array.toHex(encoded);
+    }
+    /** @param {string} proofHex */
+    static fromHex(proofHex) {
+        if (!utils.typeValidation.hex(proofHex)) { throw new Error('Invalid candidate proof: !== hex'); }
+
+        const encoded = utils.convert.hex.toUint8Array(proofHex);
+        return utils.serializer.candidate_proof.fromBinary_v2(encoded);
+    }
+    /** Decompose the single witness of a fraud proof Tx: "proofAHex:proofBHex"
+     * @param {Transaction} transaction
+     */
+    static decomposeWitness(transaction) {
+        if (!Transaction_Builder.isFraudProofTx(transaction)) { throw new Error('Invalid fraud proof: not a fraud proof Tx'); }
+        if (transaction.witnesses.length !== 1) { throw new Error('Invalid fraud proof: a single witness is expected'); }
+
+        const witnessParts = transaction.witnesses[0].split(':');
+        if (witnessParts.length !== 2) { throw new Error('Invalid fraud proof: witness malformed'); }
+
+        const [proofAHex, proofBHex] = witnessParts;
+        return { proofA: this.fromHex(proofAHex), proofB: this.fromHex(proofBHex) };
+    }
+    /** - Recompute the posHash of the candidate and control the validator's signature
+     * @param {CandidateProof} proof
+     * @returns {Promise<{stakedAddress: string, posHash: string, pubKeyHex: string}>}
+     */
+    static async controlCandidateProof(proof) {
+        const posTx = proof.posTx;
+        if (Transaction_Builder.isMinerOrValidatorTx(posTx) !== 'validator') { throw new Error('Invalid candidate proof: posTx is not a validator Tx'); }
+        if (posTx.witnesses.length !== 1) { throw new Error('Invalid candidate proof: posTx must have a single witness'); }
+
+        const [stakedAddress, posHashInInput] = posTx.inputs[0].split(':');
+        const posHash = await BlockUtils.getBlockSignatureFromTxsHash(proof, proof.txsHash, true);
+        if (posHash !== posHashInInput) { throw new Error('Invalid candidate proof: posHash mismatch'); }
+
+        await TxValidation.controlTransactionHash(posTx);
+        const [signature, pubKeyHex] = posTx.witnesses[0].split(':');
+        const isValid = await AsymetricFunctions.verifySignature(signature, posTx.id, pubKeyHex);
+        if (!isValid) { throw new Error('Invalid candidate proof: wrong signature'); }
+
+        return { stakedAddress, posHash, pubKeyHex };
+    }
+    /** Two proofs are conflicting if the same staked address signed two different candidates extending the same block
+     * @param {CandidateProof} proofA
+     * @param {CandidateProof} proofB
+     */
+    static async controlConflictingProofs(proofA, proofB) {
+        const a = await this.controlCandidateProof(proofA);
+        const b = await this.controlCandidateProof(proofB);
+
+        if (a.stakedAddress !== b.stakedAddress) { throw new Error('Invalid fraud proof: different staked addresses'); }
+        if (a.pubKeyHex !== b.pubKeyHex) { throw new Error('Invalid fraud proof: different signers'); }
+        if (proofA.index !== proofB.index) { throw new Error('Invalid fraud proof: different heights'); }
+        if (proofA.prevHash !== proofB.prevHash) { throw new Error('Invalid fraud proof: different prevHash'); }
+        if (a.posHash === b.posHash) { throw new Error('Invalid fraud proof: identical candidates'); }
+
+        return { offenderAddress: a.stakedAddress, pubKeyHex: a.pubKeyHex };
+    }
+}
+
+/** Remember the candidates received by validators to catch the ones who sign two candidates for the same block */
+export class FraudProofWatcher {
+    constructor(heightTolerance = 6) {
+        /** @type {Object<string, {proof: CandidateProof, posHash: string, reported: boolean}>} */
+        this.proofsByKey = {}; // key: index:prevHash:stakedAddress
+        this.heightTolerance = heightTolerance;
+        this.highestIndex = -1;
+    }
+    /**
+     * @param {BlockData} blockCandidate
+     * @returns {Promise<{offenderAddress: string, proofA: CandidateProof, proofB: CandidateProof} | null>}
+     */
+    async watch(blockCandidate) {
+        const proof = await FraudProof.fromBlockCandidate(blockCandidate);
+        const { stakedAddress, posHash } = await FraudProof.controlCandidateProof(proof);
+        this.#cleanupProofs(proof.index);
+
+        const key = `${proof.index}:${proof.prevHash}:${stakedAddress}`;
+        const known = this.proofsByKey[key];
+        if (!known) { this.proofsByKey[key] = { proof, posHash, reported: false }; return null; }
+        if (known.reported || known.posHash === posHash) { return null; }
+
+        known.reported = true;
+        return { offenderAddress: stakedAddress, proofA: known.proof, proofB: proof };
+    }
+    /** @param {number} index */
+    #cleanupProofs(index) {
+        if (index > this.highestIndex) { this.highestIndex = index; }
+
+        for (const key in this.proofsByKey) {
+            const proofIndex = this.proofsByKey[key].proof.index;
+            if (proofIndex < this.highestIndex - this.heightTolerance) { delete this.proofsByKey[key]; }
+        }
+    }
+}
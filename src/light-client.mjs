@@ -0,0 +1,173 @@
+import { BlockUtils } from './block.mjs';
+import { Transaction_Builder, TxIO_Builder } from './transaction.mjs';
+import { MerkleTree } from './merkle-tree.mjs';
+import utils from './utils.mjs';
+
+/**
+* @typedef {import("./block.mjs").BlockHeader} BlockHeader
+* @typedef {import("./block.mjs").BlockData} BlockData
+* @typedef {import("./transaction.mjs").Transaction} Transaction
+* @typedef {import("./transaction.mjs").UTXO} UTXO
+* @typedef {import("./merkle-tree.mjs").MerkleSibling} MerkleSibling
+* @typedef {import("./merkle-tree.mjs").MerkleProof} MerkleProof
+*/
+
+/**
+* @typedef {Object} BlockMiningData
+* @property {number} index
+* @property {number} difficulty
+* @property {number} timestamp
+* @property {number} posTimestamp
+*/
+
+/**
+* @typedef {Object} HeaderProof
+* @property {BlockHeader} header
+* @property {Transaction} coinbaseTx - Brings the nonce of the proof of work
+* @property {MerkleSibling[]} coinbaseSiblings - Proves that the coinbase is the first transaction of the block
+*/
+/**
+ * @param {BlockHeader} header
+ * @param {Transaction} coinbaseTx - Brings the nonce of the proof of work
+ * @param {MerkleSibling[]} coinbaseSiblings - Proves that the coinbase is the first transaction of the block
+ * @returns {HeaderProof}
+ */
+export const HeaderProof = (header, coinbaseTx, coinbaseSiblings) => {
+    return { header, coinbaseTx, coinbaseSiblings };
+};
+
+/**
+* @typedef {Object} TxProof
+* @property {Transaction} transaction
+* @property {MerkleProof} proof
+*/
+/**
+ * @param {Transaction} transaction
+ * @param {MerkleProof} proof
+ * @returns {TxProof}
+ */
+export const TxProof = (transaction, proof) => {
+    return { transaction, proof };
+};
+
+/** Follows the chain by its headers only, the tracked accounts are proven by the inclusion of their transactions
+ * - Verified: the links, the difficulty rules, the proof of work and the checkpoints
+ * - Trusted: the legitimacy, the validity of the transactions and the spending of the UTXOs, reported by the full peers
+ */
+export class LightClient {
+    /** @param {Object<number, string>} checkpoints - height -> hash */
+    constructor(checkpoints = utils.SETTINGS.checkpoints) {
+        /** @type {BlockHeader[]} */
+        this.headers = []; // by height
+        /** @type {BlockMiningData[]} */
+        this.blockMiningData = [];
+        /** @type {Object<number, string>} */
+        this.checkpoints = checkpoints;
+        /** @type {Object<string, Object<string, UTXO>>} */
+        this.trackedUTXOs = {}; // address -> anchor -> UTXO
+        this.useDevArgon2 = false;
+    }
+
+    /** Used by the full nodes to serve the headers
+     * @param {BlockData} blockData
+     */
+    static async buildHeaderProof(blockData) {
+        const txsHashes = await MerkleTree.getTxsHashes(blockData.Txs);
+        const coinbaseSiblings = await MerkleTree.getSiblings(txsHashes, 0);
+        return HeaderProof(BlockUtils.getBlockHeader(blockData), blockData.Txs[0], coinbaseSiblings);
+    }
+    getCurrentHeight() {
+        return this.headers.length - 1;
+    }
+    getLatestHeaderHash() {
+        const lastHeader = this.headers[this.headers.length - 1];
+        return lastHeader ? lastHeader.hash : '0000000000000000000000000000000000000000000000000000000000000000';
+    }
+    /** The controls of a full node without the transactions: the link, the checkpoint, the difficulty rule, the coinbase inclusion and the proof of work
+     * @param {HeaderProof} headerProof
+     * @param {string} prevHash - The hash of the previous header
+     * @param {BlockMiningData[]} blockMiningData - Of the previous headers, for the difficulty adjustment
+     * @param {Object<number, string>} checkpoints - height -> hash
+     */
+    static async verifyHeaderProof(headerProof, prevHash, blockMiningData, checkpoints = utils.SETTINGS.checkpoints, useDevArgon2 = false) {
+        const { header, coinbaseTx, coinbaseSiblings } = headerProof;
+        if (header.prevHash !== prevHash) { throw new Error(`Invalid header prevHash: ${header.prevHash}`); }
+
+        const checkpointHash = checkpoints[header.index];
+        if (checkpointHash && checkpointHash !== header.hash) { throw new Error(`Header contradicts the checkpoint #${header.index}: ${checkpointHash}`); }
+
+        // the genesis difficulty can't be derived, the next ones follow the adjustment of the candidates
+        const expectedDifficulty = header.index === 0 ? header.difficulty : utils.mining.difficultyAdjustment(blockMiningData, false);
+        if (header.difficulty !== expectedDifficulty) { throw new Error(`Invalid header difficulty: ${header.difficulty}, expected: ${expectedDifficulty}`); }
+
+        // the coinbase is the first transaction: none of its siblings is on the left
+        if (Transaction_Builder.isMinerOrValidatorTx(coinbaseTx) !== 'miner') { throw new Error('Invalid coinbase transaction'); }
+        if (coinbaseSiblings.some(sibling => sibling.isLeft)) { throw new Error('The coinbase is not the first transaction'); }
+        const coinbaseHash = await MerkleTree.getTxHash(coinbaseTx);
+        if (!await MerkleTree.verifySiblings(coinbaseHash, coinbaseSiblings, header.merkleRoot)) { throw new Error('Invalid coinbase inclusion proof'); }
+
+        const { hex, bitsArrayAsString } = await BlockUtils.getHeaderMinerHash(header, coinbaseTx, useDevArgon2);
+        if (header.hash !== hex) { throw new Error(`Invalid header hash: ${header.hash}`); }
+        if (!utils.mining.verifyBlockHashConformToDifficulty(bitsArrayAsString, header).conform) { throw new Error('Header hash not conform!'); }
+    }
+    /** @param {BlockHeader} header */
+    static getBlockMiningData(header) {
+        return { index: header.index, difficulty: header.difficulty, timestamp: header.timestamp, posTimestamp: header.posTimestamp };
+    }
+    /** Verify the header, then append it
+     * @param {HeaderProof} headerProof
+     */
+    async addHeader(headerProof) {
+        const { header } = headerProof;
+        if (header.index !== this.headers.length) { throw new Error(`Invalid header index: ${header.index}, expected: ${this.headers.length}`); }
+        await LightClient.verifyHeaderProof(headerProof, this.getLatestHeaderHash(), this.blockMiningData, this.checkpoints, this.useDevArgon2);
+
+        this.headers.push(header);
+        this.blockMiningData.push(LightClient.getBlockMiningData(header));
+    }
+
+    /** @param {string} address */
+    trackAddress(address) {
+        if (!this.trackedUTXOs[address]) { this.trackedUTXOs[address] = {}; }
+    }
+    /**
+     * @param {Transaction} transaction
+     * @param {MerkleProof} proof
+     */
+    async verifyTxProof(transaction, proof) {
+        const header = this.headers[proof.blockIndex];
+        if (!header) { return false; }
+
+        return await MerkleTree.verifyTxInclusion(transaction, proof, header);
+    }
+    /** Replace the UTXOs of a tracked address by the outputs of the proven transactions, the unproven ones are ignored
+     * @param {string} address
+     * @param {TxProof[]} txProofs - for the current UTXOs of the address, from a full peer
+     * @param {string[]} anchors - the current UTXOs of the address, the spent outputs of the transactions are skipped
+     * @returns {Promise<UTXO[]>} the proven UTXOs
+     */
+    async updateAddressUTXOs(address, txProofs, anchors) {
+        if (!this.trackedUTXOs[address]) { throw new Error(`Address not tracked: ${address}`); }
+
+        /** @type {Object<string, UTXO>} */
+        const provenUTXOs = {};
+        for (const { transaction, proof } of txProofs) {
+            if (!await this.verifyTxProof(transaction, proof)) { continue; }
+
+            const UTXOs = TxIO_Builder.newUTXOsFromTransaction(proof.blockIndex, transaction);
+            for (const utxo of UTXOs) {
+                if (utxo.address !== address || !anchors.includes(utxo.anchor)) { continue; }
+                provenUTXOs[utxo.anchor] = utxo;
+            }
+        }
+
+        this.trackedUTXOs[address] = provenUTXOs;
+        return Object.values(provenUTXOs);
+    }
+    /** @param {string} address */
+    getBalanceAndUTXOs(address) {
+        const UTXOs = Object.values(this.trackedUTXOs[address] || {});
+        const balance = UTXOs.reduce((total, utxo) => total + utxo.amount, 0);
+        return { balance, UTXOs };
+    }
+}
@@ -1,24 +1,60 @@
-import { TxValidation } from './validation.mjs';
-import { Transaction_Builder, Transaction, UTXO } from './transaction.mjs';
+import { TxValidation, UnknownUtxoError } from './validation.mjs';
+import { Transaction_Builder, TxIO_Builder, Transaction, UTXO } from './transaction.mjs';
+import { TransactionPriorityQueue } from './tx-queue.mjs';
 import utils from './utils.mjs';
 /**
- * @typedef {{ [feePerByte: string]: Transaction[] }} TransactionsByFeePerByte
  * @typedef {import('./block.mjs').BlockData} BlockData
  * @typedef {import("./websocketCallback.mjs").WebSocketCallBack} WebSocketCallBack
+ * @typedef {import("./validation-worker-pool.mjs").ValidationWorkerPool} ValidationWorkerPool
  */
 
+/** A rejection depending on the mempool policy or state, not on the validity of the transaction: its sender isn't at fault */
+export class MemPoolPolicyError extends Error { }
+
 export class MemPool { // Store transactions that are not yet included in a block
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxBytes] - above this size, the lowest feePerByte transactions are evicted
+     * @param {number} [options.expiryBlocks] - a pending transaction is evicted after this number of blocks
+     * @param {number} [options.expiryTime] - or after this time (ms)
+     * @param {number} [options.maxTxsPerAddress] - max pending transactions spending the UTXOs of an address
+     */
+    constructor(options = {}) {
+        const {
+            maxBytes = 50_000_000, // ~50MB
+            expiryBlocks = 720,
+            expiryTime = 86_400_000, // 24h
+            maxTxsPerAddress = 25,
+        } = options;
+
+        this.maxBytes = maxBytes;
+        this.expiryBlocks = expiryBlocks;
+        this.expiryTime = expiryTime;
+        this.maxTxsPerAddress = maxTxsPerAddress;
+        this.totalBytes = 0;
+        this.minFeePerByte = utils.SETTINGS.minTransactionFeePerByte; // rises when the mempool is full
+
         /** @type {Object<string, Transaction>} */
         this.transactionsByID = {};
-        /** @type {TransactionsByFeePerByte} */
-        this.transactionsByFeePerByte = {};
+        /** @type {TransactionPriorityQueue} */
+        this.transactionsQueue = new TransactionPriorityQueue(); // highest feePerByte first: block candidates
+        /** @type {TransactionPriorityQueue} */
+        this.evictionQueue = new TransactionPriorityQueue(); // lowest feePerByte first (negated): eviction when full
         /** @type {Object<string, Transaction>} */
         this.transactionByAnchor = {};
+        /** @type {Object<string, UTXO>} */
+        this.virtualUtxosByAnchor = {}; // outputs of the pending transactions, spendable by child transactions
+        this.virtualUtxosHeight = 0; // the virtual UTXOs are anchored at the next block height
+        /** @type {Object<string, string[]>} */
+        this.senderAddressesByTxID = {};
+        /** @type {Object<string, number>} */
+        this.txsCountByAddress = {};
 
         this.maxPubKeysToRemember = 1_000_000; // ~45MB
         this.knownPubKeysAddresses = {}; // used to avoid excessive address ownership confirmation
         this.useDevArgon2 = false;
+        /** @type {ValidationWorkerPool} */
+        this.validationPool = null; // signatures and ownership controlled on the main thread if not set
 
         /** @type {Object<string, WebSocketCallBack>} */
         this.wsCallbacks = {};
@@ -26,16 +62,18 @@ export class MemPool { // Store transactions that are not yet included in a bloc
 
     /**
      * @param {Transaction} transaction
-     * @param {Transaction} collidingTx
+     * @param {string[]} senderAddresses - the owners of the spent UTXOs
      */
-    #addMempoolTransaction(transaction, collidingTx = false) {
-        if (collidingTx) { this.#removeMempoolTransaction(collidingTx); }
+    #addMempoolTransaction(transaction, senderAddresses) {
         // AT THIS STAGE WE HAVE ENSURED THAT THE TRANSACTION IS CONFORM
+        transaction.entryHeight = this.virtualUtxosHeight;
+        transaction.entryTimestamp = Date.now();
+        this.totalBytes += transaction.byteWeight;
 
         // sorted by feePerByte
-        const feePerByte = transaction.feePerByte;
-        this.transactionsByFeePerByte[feePerByte] = this.transactionsByFeePerByte[feePerByte] || [];
-        this.transactionsByFeePerByte[feePerByte].push(transaction);
+        const feePerByte = Number(transaction.feePerByte);
+        this.transactionsQueue.add({ id: transaction.id, feePerByte, size: transaction.byteWeight });
+        this.evictionQueue.add({ id: transaction.id, feePerByte: -feePerByte, size: transaction.byteWeight });
 
         // sorted by anchor
         for (const input of transaction.inputs) { this.transactionByAnchor[input] = transaction; }
@@ -43,6 +81,13 @@ export class MemPool { // Store transactions that are not yet included in a bloc
         // sorted by transaction ID
         this.transactionsByID[transaction.id] = transaction;
 
+        // virtual UTXOs
+        for (const utxo of TxIO_Builder.newUTXOsFromTransaction(this.virtualUtxosHeight, transaction)) { this.virtualUtxosByAnchor[utxo.anchor] = utxo; }
+
+        // pending transactions by address
+        this.senderAddressesByTxID[transaction.id] = senderAddresses;
+        for (const address of senderAddresses) { this.txsCountByAddress[address] = (this.txsCountByAddress[address] || 0) + 1; }
+
         //console.log(`[MEMPOOL] transaction: ${transaction.id} added`);
     }
     /** @param {Transaction} transaction */
@@ -50,14 +95,8 @@ export class MemPool { // Store transactions that are not yet included in a bloc
         // AT THIS STAGE WE HAVE ENSURED THAT THE TRANSACTION IS CONFORM
 
         // remove from: sorted by feePerByte
-        const txFeePerByte = transaction.feePerByte;
-        if (!this.transactionsByFeePerByte[txFeePerByte]) { throw new Error('Transaction not found in mempool'); }
-
-        const txIndex = this.transactionsByFeePerByte[txFeePerByte].findIndex(tx => tx.id === transaction.id);
-        if (txIndex === -1) { throw new Error('Transaction not found in mempool'); }
-
-        this.transactionsByFeePerByte[txFeePerByte].splice(txIndex, 1);
-        if (this.transactionsByFeePerByte[txFeePerByte].length === 0) { delete this.transactionsByFeePerByte[txFeePerByte]; }
+        if (!this.transactionsQueue.remove(transaction.id)) { throw new Error('Transaction not found in mempool'); }
+        this.evictionQueue.remove(transaction.id);
 
         // remove from: sorted by anchor
         const collidingTx = this.#caughtTransactionsAnchorsCollision(transaction);
@@ -69,20 +108,155 @@ export class MemPool { // Store transactions that are not yet included in a bloc
         // remove from: sorted by transaction ID
         delete this.transactionsByID[transaction.id];
 
+        // remove the virtual UTXOs, the descendants have to be removed by the caller
+        for (const anchor of this.#getVirtualAnchors(transaction)) { delete this.virtualUtxosByAnchor[anchor]; }
+
+        // remove from: pending transactions by address
+        for (const address of this.senderAddressesByTxID[transaction.id]) {
+            this.txsCountByAddress[address]--;
+            if (this.txsCountByAddress[address] === 0) { delete this.txsCountByAddress[address]; }
+        }
+        delete this.senderAddressesByTxID[transaction.id];
+        this.totalBytes -= transaction.byteWeight;
+
         //console.log(`[MEMPOOL] transaction: ${transaction.id} removed`);
     }
-    /** -> Use when a new block is accepted
-     * - Remove transactions that are using UTXOs that are already spent
+    /**
+     * @param {Transaction[]} transactions - with their descendants
+     * @param {string} reason - 'replaced' | 'mempoolFull' | 'expired'
+     * @param {string} [replacedBy] - the replace-by-fee transaction ID
+     */
+    #evictTransactions(transactions, reason, replacedBy) {
+        for (const transaction of transactions) {
+            this.#removeMempoolTransaction(transaction);
+
+            const evictionInfo = { evictedTxId: transaction.id, reason };
+            if (replacedBy) { evictionInfo.replacedBy = replacedBy; }
+            if (this.wsCallbacks.onTransactionEvicted) { this.wsCallbacks.onTransactionEvicted.execute(evictionInfo); }
+        }
+    }
+    /** The lowest feePerByte transactions (with their descendants) to evict for the new one to fit, nothing is evicted here
+     * @param {Transaction} transaction
+     * @param {Transaction[]} replacedTxs - by replace-by-fee, their room is already freed
+     * @returns {{evictedTxs: Transaction[], highestEvictedFeePerByte: number}}
+     */
+    #getRoomEvictions(transaction, replacedTxs) {
+        /** @type {Transaction[]} */
+        const evictedTxs = [];
+        let highestEvictedFeePerByte = 0;
+        let totalBytes = this.totalBytes - replacedTxs.reduce((bytes, tx) => bytes + tx.byteWeight, 0);
+        for (const lowest of this.evictionQueue.byPriority()) { // the queue isn't modified during the iteration
+            if (totalBytes + transaction.byteWeight <= this.maxBytes) { break; }
+
+            const lowestTx = this.transactionsByID[lowest.id];
+            if (replacedTxs.includes(lowestTx) || evictedTxs.includes(lowestTx)) { continue; }
+            if (-lowest.feePerByte >= Number(transaction.feePerByte)) { break; }
+
+            const packageTxs = this.#withDescendants([lowestTx]).filter(tx => !replacedTxs.includes(tx) && !evictedTxs.includes(tx));
+            const evictedParent = transaction.inputs.map(anchor => this.#getPendingParent(anchor)).find(parent => packageTxs.includes(parent));
+            if (evictedParent) { throw new MemPoolPolicyError(`Mempool full: parent transaction ${evictedParent.id} feePerByte too low`); }
+
+            evictedTxs.push(...packageTxs);
+            totalBytes -= packageTxs.reduce((bytes, tx) => bytes + tx.byteWeight, 0);
+            highestEvictedFeePerByte = -lowest.feePerByte;
+        }
+        if (totalBytes + transaction.byteWeight > this.maxBytes) { throw new MemPoolPolicyError(`Mempool full: feePerByte ${transaction.feePerByte} too low`); }
+
+        return { evictedTxs, highestEvictedFeePerByte };
+    }
+    /** @param {number} nextBlockHeight */
+    #evictExpiredTransactions(nextBlockHeight) {
+        const now = Date.now();
+        for (const transaction of Object.values(this.transactionsByID)) {
+            if (!this.transactionsByID[transaction.id]) { continue; } // already evicted as a descendant
+
+            const isExpired = nextBlockHeight - transaction.entryHeight >= this.expiryBlocks || now - transaction.entryTimestamp >= this.expiryTime;
+            if (isExpired) { this.#evictTransactions(this.#withDescendants([transaction]), 'expired'); }
+        }
+    }
+    /** The minFeePerByte slowly goes back down once the mempool is less than half full */
+    #relaxMinFeePerByte() {
+        if (this.totalBytes > this.maxBytes / 2) { return; }
+        this.minFeePerByte = Math.max(utils.SETTINGS.minTransactionFeePerByte, this.minFeePerByte / 2);
+    }
+    /**
+     * @param {string[]} senderAddresses
+     * @param {Transaction[]} evictedTxs - by replace-by-fee, they don't count
+     */
+    #controlTxsPerAddressLimit(senderAddresses, evictedTxs) {
+        for (const address of senderAddresses) {
+            const evictedCount = evictedTxs.filter(tx => this.senderAddressesByTxID[tx.id].includes(address)).length;
+            const pendingCount = (this.txsCountByAddress[address] || 0) - evictedCount;
+            if (pendingCount >= this.maxTxsPerAddress) { throw new MemPoolPolicyError(`Too many pending transactions for address: ${address} (max: ${this.maxTxsPerAddress})`); }
+        }
+    }
+    /** @param {Transaction} transaction */
+    #getVirtualAnchors(transaction) {
+        return transaction.outputs.map((output, i) => `${this.virtualUtxosHeight}:${transaction.id}:${i}`);
+    }
+    /** @param {number} blockHeight */
+    #reanchorVirtualUTXOs(blockHeight) {
+        this.virtualUtxosHeight = blockHeight;
+        this.virtualUtxosByAnchor = {};
+        for (const transaction of Object.values(this.transactionsByID)) {
+            for (const utxo of TxIO_Builder.newUTXOsFromTransaction(blockHeight, transaction)) { this.virtualUtxosByAnchor[utxo.anchor] = utxo; }
+        }
+    }
+    /** @param {string} anchor */
+    #getPendingParent(anchor) {
+        if (!this.virtualUtxosByAnchor[anchor]) { return undefined; }
+        return this.transactionsByID[anchor.split(':')[1]];
+    }
+    /** @param {Transaction[]} transactions - returned with their descendants, parents first */
+    #withDescendants(transactions) {
+        const result = [...transactions];
+        for (let i = 0; i < result.length; i++) {
+            for (const anchor of this.#getVirtualAnchors(result[i])) {
+                const child = this.transactionByAnchor[anchor];
+                if (child && !result.includes(child)) { result.push(child); }
+            }
+        }
+
+        return result;
+    }
+    /** The UTXOs spent by the transaction: confirmed (utxoCache) or created by a pending transaction (virtual)
      * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
+     * @param {Transaction} transaction
      */
-    clearTransactionsWhoUTXOsAreSpent(utxosByAnchor) {
+    #getInputsUTXOs(utxosByAnchor, transaction) {
+        /** @type {Object<string, UTXO>} */
+        const inputsUTXOs = {};
+        for (const anchor of transaction.inputs) {
+            const utxo = utxosByAnchor[anchor] || this.virtualUtxosByAnchor[anchor];
+            if (utxo) { inputsUTXOs[anchor] = utxo; }
+        }
+
+        return inputsUTXOs;
+    }
+    /** -> Use when a new block is accepted, after digestFinalizedBlocksTransactions()
+     * - Anchor the virtual UTXOs at the next block height
+     * - Remove transactions that are using UTXOs that are already spent, or created by a parent which missed the block
+     * - Evict the expired transactions
+     * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
+     * @param {number} nextBlockHeight
+     */
+    clearTransactionsWhoUTXOsAreSpent(utxosByAnchor, nextBlockHeight = this.virtualUtxosHeight) {
+        this.#reanchorVirtualUTXOs(nextBlockHeight);
+
         for (const anchor in this.transactionByAnchor) {
             if (!this.transactionByAnchor[anchor]) { continue; } // already removed
-            if (utxosByAnchor[anchor]) { continue; } // not spent
+            if (utxosByAnchor[anchor] || this.virtualUtxosByAnchor[anchor]) { continue; } // not spent
 
             const transaction = this.transactionByAnchor[anchor];
-            this.#removeMempoolTransaction(transaction);
+            for (const tx of this.#withDescendants([transaction])) { this.#removeMempoolTransaction(tx); }
         }
+
+        this.#evictExpiredTransactions(nextBlockHeight);
+        this.#relaxMinFeePerByte();
+    }
+    /** @param {Error} error - from pushTransaction(), an unknown UTXO can be created by a block not received yet */
+    static isPolicyRejection(error) {
+        return error instanceof MemPoolPolicyError || error instanceof UnknownUtxoError;
     }
     cleanupknownPubKeysAddressesIfNecessary() {
         const keys = Object.keys(this.knownPubKeysAddresses);
@@ -94,31 +268,63 @@ export class MemPool { // Store transactions that are not yet included in a bloc
             delete this.knownPubKeysAddresses[keys[i]];
         }
     }
+    /**
+     * @param {Transaction} transaction
+     * @param {Object<string, boolean>} includedIDs
+     * @param {Transaction[]} packageTxs - the pending ancestors not included yet, parents first
+     */
+    #getPackage(transaction, includedIDs, packageTxs = []) {
+        for (const anchor of transaction.inputs) {
+            const parent = this.#getPendingParent(anchor);
+            if (!parent || includedIDs[parent.id] || packageTxs.includes(parent)) { continue; }
+            this.#getPackage(parent, includedIDs, packageTxs);
+        }
+
+        packageTxs.push(transaction);
+        return packageTxs;
+    }
     // -------------------------------------
+    /** - A transaction comes with its pending ancestors (parents first): a child can pay for its parent
+     * - Reads the priority queue from the top: O(k log n) for k transactions, the rest of the mempool isn't touched
+     * - The returned transactions share the mempool ones' arrays (never modified), without the mempool fields
+     */
     getMostLucrativeTransactionsBatch() {
         const maxTotalBytes = utils.SETTINGS.maxBlockSize;
         const totalBytesTrigger = maxTotalBytes * 0.98;
         const transactions = [];
+        /** @type {Object<string, boolean>} */
+        const includedIDs = {};
         let totalBytes = 0;
 
-        const feePerBytes = Object.keys(this.transactionsByFeePerByte).sort((a, b) => b - a);
-        for (let i = 0; i < feePerBytes.length; i++) {
-            const feePerByte = feePerBytes[i];
-            const txs = this.transactionsByFeePerByte[feePerByte];
-            for (let j = 0; j < txs.length; j++) {
-                const tx = txs[j];
-                const txWeight = tx.byteWeight;
-                if (totalBytes + txWeight > maxTotalBytes) { continue; }
-
-                const clone = Transaction_Builder.clone(tx);
-                delete clone.feePerByte;
-                delete clone.byteWeight;
-
-                transactions.push(clone);
-                totalBytes += txWeight;
+        for (const { id } of this.transactionsQueue.byPriority()) {
+            if (totalBytes > totalBytesTrigger) { break; }
+            if (includedIDs[id]) { continue; } // already included as an ancestor
+
+            const packageTxs = this.#getPackage(this.transactionsByID[id], includedIDs);
+            const packageWeight = packageTxs.reduce((a, b) => a + b.byteWeight, 0);
+            if (totalBytes + packageWeight > maxTotalBytes) { continue; }
+
+            for (const tx of packageTxs) {
+                transactions.push(Transaction(tx.inputs, tx.outputs, tx.id, tx.witnesses, tx.version));
+                includedIDs[tx.id] = true;
             }
+            totalBytes += packageWeight;
+        }
 
-            if (totalBytes > totalBytesTrigger) { break; }
+        return transactions;
+    }
+    /** - All the pending transactions, parents first: they can be pushed back in the same order (persistence) */
+    getTransactionsParentsFirst() {
+        const transactions = [];
+        /** @type {Object<string, boolean>} */
+        const includedIDs = {};
+        for (const transaction of Object.values(this.transactionsByID)) {
+            if (includedIDs[transaction.id]) { continue; }
+
+            for (const tx of this.#getPackage(transaction, includedIDs)) {
+                transactions.push(Transaction_Builder.clone(tx));
+                includedIDs[tx.id] = true;
+            }
         }
 
         return transactions;
@@ -141,8 +347,10 @@ export class MemPool { // Store transactions that are not yet included in a bloc
 
                 if (tx.id === collidingTx.id) {
                     console.log(`[MEMPOOL] transaction: ${tx.id} confirmed!`);
+                    this.#removeMempoolTransaction(collidingTx); // the children stay valid
+                    continue;
                 }
-                this.#removeMempoolTransaction(collidingTx);
+                for (const evictedTx of this.#withDescendants([collidingTx])) { this.#removeMempoolTransaction(evictedTx); }
             }
         }
     }
@@ -158,45 +366,155 @@ export class MemPool { // Store transactions that are not yet included in a bloc
 
         return false;
     }
-    /**
+    /** @param {Transaction} transaction */
+    #caughtTransactionsAnchorsCollisions(transaction) {
+        /** @type {Transaction[]} */
+        const collidingTxs = [];
+        for (const input of transaction.inputs) {
+            if (!utils.types.anchor.isConform(input)) { throw new Error(`Invalid anchor: ${input}`); }
+            const collidingTx = this.transactionByAnchor[input];
+            if (!collidingTx || collidingTxs.includes(collidingTx)) { continue; }
+
+            collidingTxs.push(collidingTx);
+        }
+
+        return collidingTxs;
+    }
+    /** - The replacement must pay a higher feePerByte than every evicted transaction (descendants included)
+     * - and a total fee covering the evicted ones plus its own weight at minRbfFeeBumpPerByte
      * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
      * @param {Transaction} transaction
+     * @param {number} fee
+     * @param {Transaction[]} evictedTxs
      */
-    async pushTransaction(utxosByAnchor, transaction) {
-        const timings = { start: Date.now(), first: 0, second: 0 };
+    #controlReplaceByFee(utxosByAnchor, transaction, fee, evictedTxs) {
+        const evictedIDs = evictedTxs.map(tx => tx.id).join(', ');
+        const evictedParent = transaction.inputs.map(anchor => this.#getPendingParent(anchor)).find(parent => evictedTxs.includes(parent));
+        if (evictedParent) { throw new MemPoolPolicyError(`Conflicting UTXOs with: ${evictedIDs} | spends the evicted transaction: ${evictedParent.id}`); }
+
+        const evictedFee = evictedTxs.reduce((a, tx) => a + TxValidation.calculateRemainingAmount(this.#getInputsUTXOs(utxosByAnchor, tx), tx), 0);
+        const maxEvictedFeePerByte = Math.max(...evictedTxs.map(tx => Number(tx.feePerByte)));
+        const minFee = evictedFee + transaction.byteWeight * utils.SETTINGS.minRbfFeeBumpPerByte;
+
+        if (Number(transaction.feePerByte) <= maxEvictedFeePerByte) { throw new MemPoolPolicyError(`Conflicting UTXOs with: ${evictedIDs} | feePerByte ${transaction.feePerByte} <= ${maxEvictedFeePerByte}`); }
+        if (fee < minFee) { throw new MemPoolPolicyError(`Conflicting UTXOs with: ${evictedIDs} | fee ${fee} < ${minFee}`); }
+    }
+    /** The cheap controls depending on the mempool content, before the expensive validations and once they are done
+     * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
+     * @param {Transaction} transaction
+     */
+    #controlMempoolPolicy(utxosByAnchor, transaction) {
+        const inputsUTXOs = this.#getInputsUTXOs(utxosByAnchor, transaction);
 
         // First control format of : amount, address, rule, version, TxID, available UTXOs
-        TxValidation.isConformTransaction(utxosByAnchor, transaction, false);
+        TxValidation.isConformTransaction(inputsUTXOs, transaction, false);
 
         const identicalIDTransaction = this.transactionsByID[transaction.id];
-        const collidingTx = identicalIDTransaction ? identicalIDTransaction : this.#caughtTransactionsAnchorsCollision(transaction);
-        if (collidingTx) { // reject the transaction if it collides with the mempool
-            throw new Error(`Conflicting UTXOs with: ${collidingTx.id}`);
-            // TODO: replace the transaction if the new one has a higher fee
-            //if (transaction.feePerByte <= collidingTx.feePerByte) { throw new Error('New transaction fee is not higher than the existing one'); }
-        }
+        if (identicalIDTransaction) { throw new MemPoolPolicyError(`Conflicting UTXOs with: ${identicalIDTransaction.id} (already in mempool)`); }
+        const collidingTxs = this.#caughtTransactionsAnchorsCollisions(transaction);
+        const evictedTxs = this.#withDescendants(collidingTxs);
+
+        const senderAddresses = [...new Set(Object.values(inputsUTXOs).map(utxo => utxo.address))];
+        this.#controlTxsPerAddressLimit(senderAddresses, evictedTxs);
 
         // Second control : input > output
-        const fee = TxValidation.calculateRemainingAmount(utxosByAnchor, transaction);
+        const fee = TxValidation.calculateRemainingAmount(inputsUTXOs, transaction);
 
         // Calculate fee per byte
         transaction.byteWeight = Transaction_Builder.getTxWeight(transaction);
         transaction.feePerByte = (fee / transaction.byteWeight).toFixed(6);
+        if (Number(transaction.feePerByte) < this.minFeePerByte) { throw new MemPoolPolicyError(`Fee too low: feePerByte ${transaction.feePerByte} < ${this.minFeePerByte}`); }
 
+        // Third control : replace-by-fee
+        if (evictedTxs.length > 0) { this.#controlReplaceByFee(utxosByAnchor, transaction, fee, evictedTxs); }
+
+        return { inputsUTXOs, senderAddresses, evictedTxs };
+    }
+    /** Fifth validation: medium computation cost. | Sixth validation: high computation cost.
+     * - this.knownPubKeysAddresses will be filled with new known pubKeys:address
+     * @param {Object<string, UTXO>} inputsUTXOs
+     * @param {Transaction} transaction
+     */
+    async #controlWitnessesAndOwnership(inputsUTXOs, transaction) {
+        if (this.validationPool) {
+            await this.validationPool.validateTransaction(inputsUTXOs, transaction, this.knownPubKeysAddresses, false, this.useDevArgon2);
+            return;
+        }
+
+        await TxValidation.controlAllWitnessesSignatures(transaction);
+        await TxValidation.addressOwnershipConfirmation(inputsUTXOs, transaction, this.knownPubKeysAddresses, this.useDevArgon2);
+    }
+    /**
+     * - The expensive controls of all the transactions run in parallel (validation workers), then they are pushed in order
+     * - A transaction can spend the outputs of a previous one of the batch
+     * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
+     * @param {Transaction[]} transactions
+     * @param {number} blockHeight - the height of the next block
+     * @returns {Promise<Object<string, Error>>} the errors by transaction ID
+     */
+    async pushTransactions(utxosByAnchor, transactions, blockHeight) {
+        if (blockHeight !== this.virtualUtxosHeight) { this.#reanchorVirtualUTXOs(blockHeight); }
+
+        /** @type {Object<string, UTXO>} */
+        const batchUTXOs = {};
+        const prevalidations = [];
+        for (const transaction of transactions) {
+            const inputsUTXOs = {};
+            for (const anchor of transaction.inputs) {
+                const utxo = utxosByAnchor[anchor] || this.virtualUtxosByAnchor[anchor] || batchUTXOs[anchor];
+                if (utxo) { inputsUTXOs[anchor] = utxo; }
+            }
+            for (const utxo of TxIO_Builder.newUTXOsFromTransaction(blockHeight, transaction)) { batchUTXOs[utxo.anchor] = utxo; }
+
+            // an unknown input will be reported by pushTransaction(), an anchor always refers to the same UTXO
+            const allInputsKnown = Object.keys(inputsUTXOs).length === transaction.inputs.length;
+            const prevalidation = allInputsKnown ? this.#controlWitnessesAndOwnership(inputsUTXOs, transaction) : undefined;
+            if (prevalidation) { prevalidation.catch(() => { }); } // handled by pushTransaction()
+            prevalidations.push(prevalidation);
+        }
+
+        /** @type {Object<string, Error>} */
+        const errors = {};
+        for (let i = 0; i < transactions.length; i++) {
+            try {
+                await this.pushTransaction(utxosByAnchor, transactions[i], blockHeight, prevalidations[i]);
+            } catch (error) { errors[transactions[i].id] = error; }
+        }
+
+        return errors;
+    }
+    /**
+     * - A transaction spending UTXOs already used in the mempool replaces the colliding ones if it pays enough (replace-by-fee)
+     * - A transaction can spend the outputs of a pending one (anchored at blockHeight), both will be included in the same block
+     * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
+     * @param {Transaction} transaction
+     * @param {number} blockHeight - the height of the next block
+     * @param {Promise<void>} [prevalidation] - the signatures and ownership controls, already running
+     */
+    async pushTransaction(utxosByAnchor, transaction, blockHeight, prevalidation) {
+        const timings = { start: Date.now(), first: 0, second: 0 };
+        if (blockHeight !== this.virtualUtxosHeight) { this.#reanchorVirtualUTXOs(blockHeight); }
+        const { inputsUTXOs } = this.#controlMempoolPolicy(utxosByAnchor, transaction);
         timings.first = Date.now() - timings.start;
 
         // Fourth validation: low computation cost.
+        TxValidation.controlTransactionInputsRulesConditions(inputsUTXOs, transaction, blockHeight);
         await TxValidation.controlTransactionOutputsRulesConditions(transaction);
 
-        // Fifth validation: medium computation cost.
-        await TxValidation.controlAllWitnessesSignatures(transaction);
-
-        // Sixth validation: high computation cost. | this.knownPubKeysAddresses will be filled with new known pubKeys:address
-        await TxValidation.addressOwnershipConfirmation(utxosByAnchor, transaction, this.knownPubKeysAddresses, this.useDevArgon2);
+        // Fifth and sixth validations: signatures and address ownership, possibly already started by pushTransactions()
+        await (prevalidation || this.#controlWitnessesAndOwnership(inputsUTXOs, transaction));
         timings.second = Date.now() - timings.start;
         //console.log(`[MEMPOOL] transaction: ${transaction.id} accepted in ${timings.second}ms (first: ${timings.first}ms)`);
 
-        this.#addMempoolTransaction(transaction, collidingTx);
+        // controlled again: another push or a new block may have changed the mempool during the validations
+        const { senderAddresses, evictedTxs } = this.#controlMempoolPolicy(utxosByAnchor, transaction);
+
+        // the evictions are applied once all of them are possible: a refused transaction doesn't evict anything
+        const roomEvictions = this.#getRoomEvictions(transaction, evictedTxs);
+        this.#evictTransactions(evictedTxs, 'replaced', transaction.id);
+        this.#evictTransactions(roomEvictions.evictedTxs, 'mempoolFull');
+        if (roomEvictions.evictedTxs.length > 0) { this.minFeePerByte = Math.max(this.minFeePerByte, roomEvictions.highestEvictedFeePerByte + utils.SETTINGS.minTransactionFeePerByte); }
+        this.#addMempoolTransaction(transaction, senderAddresses);
         //console.log(`[MEMPOOL] transaction: ${transaction.id} accepted in ${Date.now() - startTime}ms`);
     }
 }
\ No newline at end of file
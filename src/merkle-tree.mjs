@@ -0,0 +1,116 @@
+import { HashFunctions } from './conCrypto.mjs';
+
+/**
+* @typedef {import("./transaction.mjs").Transaction} Transaction
+* @typedef {import("./block.mjs").BlockHeader} BlockHeader
+*/
+
+/**
+* @typedef {Object} MerkleSibling
+* @property {string} hash
+* @property {boolean} isLeft - true if the sibling is hashed before the current node
+*/
+/**
+* @typedef {Object} MerkleProof
+* @property {string} txId
+* @property {string} txHash - The hash of the full transaction: the leaf of the tree
+* @property {string} blockHash
+* @property {number} blockIndex
+* @property {MerkleSibling[]} siblings - From the leaf to the root
+*/
+/**
+ * @param {string} txId
+ * @param {string} txHash - The hash of the full transaction: the leaf of the tree
+ * @param {string} blockHash
+ * @param {number} blockIndex
+ * @param {MerkleSibling[]} siblings - From the leaf to the root
+ * @returns {MerkleProof}
+ */
+export const MerkleProof = (txId, txHash, blockHash, blockIndex, siblings) => {
+    return { txId, txHash, blockHash, blockIndex, siblings };
+};
+
+/** Binary Merkle tree over the full transaction hashes
+ * - An odd node is promoted to the next level as is: it isn't duplicated, no two lists of transactions share a root
+ * - Only depends on conCrypto, light wallets can verify the proofs without the rest of the node
+ */
+export class MerkleTree {
+    /** Unlike the 8 characters ID, covers the witnesses and the whole hash
+     * @param {Transaction} transaction
+     */
+    static async getTxHash(transaction) {
+        const { id, witnesses, inputs, outputs, version } = transaction;
+        return await HashFunctions.SHA256(`${id}${JSON.stringify(witnesses)}${JSON.stringify(inputs)}${JSON.stringify(outputs)}${JSON.stringify(version)}`);
+    }
+    /** @param {Transaction[]} Txs */
+    static async getTxsHashes(Txs) {
+        const txsHashes = [];
+        for (const tx of Txs) { txsHashes.push(await this.getTxHash(tx)); }
+        return txsHashes;
+    }
+    /** @param {string[]} level */
+    static async #getParentLevel(level) {
+        const parentLevel = [];
+        for (let i = 0; i < level.length; i += 2) {
+            if (i + 1 === level.length) { parentLevel.push(level[i]); continue; } // odd node promoted
+            parentLevel.push(await HashFunctions.SHA256(`${level[i]}${level[i + 1]}`));
+        }
+        return parentLevel;
+    }
+    /**
+     * @param {string[]} leaves - the transactions hashes
+     * @returns {Promise<string>} the hash of an empty string if there is no leaf
+     */
+    static async getRoot(leaves) {
+        if (leaves.length === 0) { return await HashFunctions.SHA256(''); }
+
+        let level = leaves;
+        while (level.length > 1) { level = await this.#getParentLevel(level); }
+        return level[0];
+    }
+    /**
+     * @param {string[]} leaves - the transactions hashes
+     * @param {number} leafIndex
+     * @returns {Promise<MerkleSibling[]>}
+     */
+    static async getSiblings(leaves, leafIndex) {
+        if (leafIndex < 0 || leafIndex >= leaves.length) { throw new Error(`Invalid leaf index: ${leafIndex}`); }
+
+        /** @type {MerkleSibling[]} */
+        const siblings = [];
+        let level = leaves;
+        let index = leafIndex;
+        while (level.length > 1) {
+            const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+            if (siblingIndex < level.length) { siblings.push({ hash: level[siblingIndex], isLeft: siblingIndex < index }); }
+
+            level = await this.#getParentLevel(level);
+            index = Math.floor(index / 2);
+        }
+        return siblings;
+    }
+    /**
+     * @param {string} txHash
+     * @param {MerkleSibling[]} siblings
+     * @param {string} merkleRoot
+     */
+    static async verifySiblings(txHash, siblings, merkleRoot) {
+        let hash = txHash;
+        for (const sibling of siblings) {
+            hash = await HashFunctions.SHA256(sibling.isLeft ? `${sibling.hash}${hash}` : `${hash}${sibling.hash}`);
+        }
+        return hash === merkleRoot;
+    }
+    /** Standalone verification of a proof from Node.getTxInclusionProof(), against a trusted block header
+     * @param {Transaction} transaction
+     * @param {MerkleProof} proof
+     * @param {BlockHeader} blockHeader
+     */
+    static async verifyTxInclusion(transaction, proof, blockHeader) {
+        if (proof.txId !== transaction.id) { return false; }
+        if (proof.blockHash !== blockHeader.hash || proof.blockIndex !== blockHeader.index) { return false; }
+        if (proof.txHash !== await this.getTxHash(transaction)) { return false; }
+
+        return await this.verifySiblings(proof.txHash, proof.siblings, blockHeader.merkleRoot);
+    }
+}
@@ -59,8 +59,9 @@ export class Miner {
         delete clonedCandidate.powReward;
         const coinbaseTx = await Transaction_Builder.createCoinbase(coinbaseNonce, this.address, powReward);
         BlockUtils.setCoinbaseTransaction(clonedCandidate, coinbaseTx);
+        clonedCandidate.merkleRoot = await BlockUtils.getBlockTxsHash(clonedCandidate);
 
-        const signatureHex = await BlockUtils.getBlockSignature(clonedCandidate);
+        const signatureHex = await BlockUtils.getBlockSignatureFromTxsHash(clonedCandidate, clonedCandidate.merkleRoot);
         const nonce = `${headerNonce}${coinbaseNonce}`;
 
         return { signatureHex, nonce, clonedCandidate };
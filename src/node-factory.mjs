@@ -12,10 +12,11 @@ export class NodeFactory {
      * @param {Account} account
      * @param {string[]} roles
      * @param {Object<string, string>}
+     * @param {Object} [blockchainOptions]
      */
-    async createNode(account, roles = ['validator'], p2pOptions = {}) {
+    async createNode(account, roles = ['validator'], p2pOptions = {}, blockchainOptions = {}) {
         const rolesArray = Array.isArray(roles) ? roles : [roles];
-        const node = new Node(account, rolesArray, p2pOptions);
+        const node = new Node(account, rolesArray, p2pOptions, blockchainOptions);
         this.nodes.set(node.id, node);
         console.log(`Node ${node.id} created`);
         return node;
@@ -1,5 +1,5 @@
 import localStorage_v1 from '../storage/local-storage-management.mjs';
-import { TxValidation, BlockValidation } from './validation.mjs';
+import { BlockValidation } from './validation.mjs';
 import { TaskQueue } from './taskQueue.mjs';
 import { Vss } from './vss.mjs';
 import { MemPool } from './memPool.mjs';
@@ -11,26 +11,34 @@ import P2PNetwork from './p2p.mjs';
 import utils from './utils.mjs';
 import { Blockchain } from './blockchain.mjs';
 import { SyncHandler } from './sync.mjs';
+import { FraudProofWatcher } from './fraud-proof.mjs';
+import { ValidationWorkerPool, ValidationWorkerError } from './validation-worker-pool.mjs';
+import { LightClient } from './light-client.mjs';
 /**
 * @typedef {import("./account.mjs").Account} Account
 * @typedef {import("./transaction.mjs").Transaction} Transaction
 * @typedef {import("./websocketCallback.mjs").WebSocketCallBack} WebSocketCallBack
 * @typedef {import("./block.mjs").BlockHeader} BlockHeader
 * @typedef {import("./block.mjs").BlockInfo} BlockInfo
+* @typedef {import("./merkle-tree.mjs").MerkleProof} MerkleProof
 */
 
 export class Node {
-    /** @param {Account} account */
-    constructor(account, roles = ['validator'], p2pOptions = {}) {
+    /**
+     * @param {Account} account
+     * @param {Object} [blockchainOptions] - see Blockchain, ex: { txIndex: true } for an explorer
+     */
+    constructor(account, roles = ['validator'], p2pOptions = {}, blockchainOptions = {}) {
         /** @type {string} */
         this.id = account.address;
         /** @type {string[]} */
-        this.roles = roles; // 'miner', 'validator', ...
+        this.roles = roles; // 'miner', 'validator', 'light'
         /** @type {TaskQueue} */
         this.taskQueue = null;
         /** @type {P2PNetwork} */
         this.p2pNetwork = new P2PNetwork({
             role: this.roles.join('_'),
+            reputationStorageId: this.id,
             ...p2pOptions
         });
 
@@ -38,11 +46,16 @@ export class Node {
         this.account = account;
         /** @type {BlockData} */
         this.blockCandidate = null;
+        /** @type {Object<string, Uint8Array>} */
+        this.signedCandidates = localStorage_v1.loadSignedCandidatesLocally(this.id); // key: index:prevHash, never sign two candidates for the same block
 
         /** @type {Vss} */
         this.vss = new Vss();
+        /** @type {ValidationWorkerPool} */
+        this.validationPool = new ValidationWorkerPool(); // the workers start on the first validation
         /** @type {MemPool} */
         this.memPool = new MemPool();
+        this.memPool.validationPool = this.validationPool;
         /** @type {UtxoCache} */
         this.utxoCache = new UtxoCache();
         this.utxoCacheSnapshots = [];
@@ -51,10 +64,18 @@ export class Node {
         /** @type {string} */
         this.minerAddress = null;
         this.useDevArgon2 = false;
+        this.snapshotSync = true; // an empty node starts from a state snapshot of its peers
         /** @type {Blockchain} */
-        this.blockchain = new Blockchain(this.id);
+        this.blockchain = new Blockchain(this.id, blockchainOptions);
         /** @type {SyncHandler} */
-        this.syncHandler = new SyncHandler(this.blockchain);
+        this.syncHandler = new SyncHandler(this.blockchain, this.utxoCache);
+        /** @type {LightClient} */
+        this.lightClient = new LightClient(); // only used by the light nodes: headers instead of blocks
+        /** @type {FraudProofWatcher} */
+        this.fraudProofWatcher = new FraudProofWatcher();
+        /** @type {NodeJS.Timeout} */
+        this.mempoolSaveInterval = null;
+        this.mempoolSaveDelay = 60_000;
 
         /** @type {Object<string, WebSocketCallBack>} */
         this.wsCallbacks = {};
@@ -65,19 +86,26 @@ export class Node {
         this.taskQueue = TaskQueue.buildNewStack(this, ['Conflicting UTXOs', 'Invalid block index:']); // , 'Invalid transaction']);
         this.miner = new Miner(this.minerAddress || this.account.address, this.p2pNetwork, this.roles, this.taskQueue);
         this.miner.useDevArgon2 = this.useDevArgon2;
+        this.lightClient.useDevArgon2 = this.useDevArgon2;
 
-        // load the blocks from storage
-        const loadedBlocks = this.roles.includes('validator') ? await this.blockchain.recoverBlocksFromStorage() : [];
+        // load the state of the last digested block, then the blocks stored above it from storage
+        const stateHeight = this.roles.includes('validator') ? await this.blockchain.loadState(this.utxoCache, this.vss) : -1;
+        const loadedBlocks = this.roles.includes('validator') ? await this.blockchain.recoverBlocksFromStorage(stateHeight + 1) : [];
         for (const block of loadedBlocks) {
             await this.digestFinalizedBlock(block, { skipValidation: true, broadcastNewCandidate: false, persistToDisk: false });
         }
+        if (this.roles.includes('validator')) {
+            await this.loadMempool();
+            this.mempoolSaveInterval = setInterval(() => this.saveMempool(), this.mempoolSaveDelay);
+        }
 
         // start the libp2p network
         await this.p2pNetwork.start();
 
         const rolesTopics = {
-            validator: ['new_transaction', 'new_block_finalized', 'test'],
-            miner: ['new_block_candidate', 'test']
+            validator: ['new_transaction', 'new_block_finalized', 'new_block_candidate', 'test'],
+            miner: ['new_block_candidate', 'test'],
+            light: ['new_block_finalized']
         }
         const topicsToSubscribe = [];
         for (const role of this.roles) { topicsToSubscribe.push(...rolesTopics[role]); }
@@ -90,7 +118,7 @@ export class Node {
         if (this.roles.includes('miner')) { this.miner.startWithWorker(); }
 
         // wait for the p2p network to be ready
-        console.info(`Node ${this.id.toString()}, ${this.roles.join('_')} started - ${loadedBlocks.length} blocks loaded`);
+        console.info(`Node ${this.id.toString()}, ${this.roles.join('_')} started - state loaded at #${stateHeight}, ${loadedBlocks.length} blocks loaded`);
         if (!await this.#waitSomePeers()) { this.stop(); return; }
 
         console.log('P2P network is ready - we are connected baby!');
@@ -100,6 +128,7 @@ export class Node {
             this.taskQueue.push('createBlockCandidateAndBroadcast', null, true);
             this.taskQueue.push('syncWithKnownPeers', null, true); // will be placed first in the queue
         }
+        if (this.roles.includes('light')) { this.taskQueue.push('syncWithKnownPeers', null, true); }
         setTimeout(async () => { // will handle event after the sync
             await this.p2pNetwork.subscribeMultipleTopics(uniqueTopics, this.p2pHandler.bind(this));
             console.log('Subscribed to topics');
@@ -109,10 +138,29 @@ export class Node {
         //this.#controlPeersConnection();
     }
     async stop() {
-
+        if (this.taskQueue) { this.taskQueue.stop(); }
+        if (this.mempoolSaveInterval) {
+            clearInterval(this.mempoolSaveInterval);
+            this.mempoolSaveInterval = null;
+            this.saveMempool();
+        }
+        this.validationPool.terminate();
 
         console.log(`Node ${this.id} (${this.roles.join('_')}) => stopped`);
     }
+    /** - Replace the saved mempool of this node */
+    saveMempool() {
+        return localStorage_v1.saveMempoolLocally(this.id, this.memPool.getTransactionsParentsFirst());
+    }
+    /** - Push back the saved transactions, those no longer valid on the current chain are dropped */
+    async loadMempool() {
+        const transactions = localStorage_v1.loadMempoolLocally(this.id);
+        const errors = await this.memPool.pushTransactions(this.utxoCache.utxosByAnchor, transactions, this.blockchain.currentHeight + 1);
+        const restored = transactions.length - Object.keys(errors).length; // the others are spent or invalid since the save
+
+        if (transactions.length > 0) { console.info(`Mempool restored: ${restored}/${transactions.length} transactions`); }
+        return restored;
+    }
     async #waitSomePeers(nbOfPeers = 1, maxAttempts = 120, interval = 1000) {
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
             await new Promise(resolve => setTimeout(resolve, interval));
@@ -166,11 +214,11 @@ export class Node {
             }
         }
     }
-    async syncWithKnownPeers() {
+    /** The addresses of the known peers, several by peer */
+    async #getPeersAddresses() {
         const myPeerId = this.p2pNetwork.p2pNode.peerId.toString();
         const peerInfo = await this.p2pNetwork.p2pNode.peerStore.all();
         const peersToSync = peerInfo.filter(peer => { return peer.id.toString() !== myPeerId && peer.addresses.length > 0; });
-        if (peersToSync.length === 0) { console.warn('No peers found'); return; }
 
         const addresses = [];
         const peerIdByAddress = {};
@@ -182,11 +230,36 @@ export class Node {
             }
         }
 
-        const processBlock = async (block, peerId) => {
-            try {
-                await this.digestFinalizedBlock(block, { skipValidation: false, broadcastNewCandidate: false, persistToDisk: true });
-            } catch (error) { console.error(`Failed to digest block from peer ${peerId}:`, error); }
-        };
+        return { addresses, peerIdByAddress };
+    }
+    /** Light nodes sync the headers from each peer, full nodes compare the headers chains of all the peers before downloading the best one
+     * - An empty full node starts from the most recent verified state snapshot of the peers if any, instead of the genesis */
+    async syncWithKnownPeers() {
+        const { addresses, peerIdByAddress } = await this.#getPeersAddresses();
+        if (addresses.length === 0) { console.warn('No peers found'); return; }
+
+        if (!this.roles.includes('light')) {
+            /** @type {Object<string, string[]>} */
+            const peersMultiaddrs = {};
+            for (const fullAddr of addresses) {
+                const peerId = peerIdByAddress[fullAddr.toString()];
+                if (!peersMultiaddrs[peerId]) { peersMultiaddrs[peerId] = []; }
+                peersMultiaddrs[peerId].push(fullAddr);
+            }
+
+            if (this.snapshotSync && this.blockchain.currentHeight === -1) {
+                const snapshot = await this.syncHandler.fetchStateSnapshot(this.p2pNetwork, peersMultiaddrs, this.useDevArgon2);
+                if (snapshot) { await this.blockchain.restoreStateSnapshot(snapshot, this.utxoCache, this.vss); }
+            }
+
+            const processBlock = async (block) => {
+                try {
+                    await this.digestFinalizedBlock(block, { skipValidation: false, broadcastNewCandidate: false, persistToDisk: true });
+                } catch (error) { console.error(`Failed to digest block #${block.index} from sync:`, error); }
+            };
+            await this.syncHandler.syncHeadersFirst(this.p2pNetwork, peersMultiaddrs, processBlock, this.useDevArgon2);
+            return;
+        }
 
         const successfulSyncs = {};
         for (const fullAddr of addresses) {
@@ -194,7 +267,7 @@ export class Node {
             if (successfulSyncs[peerId]) { continue; }
 
             try {
-                await this.syncHandler.getMissingBlocks(this.p2pNetwork, fullAddr, block => processBlock(block, peerId));
+                await this.syncHandler.getMissingHeaders(this.p2pNetwork, fullAddr, this.lightClient);
                 successfulSyncs[peerId] = true;
             } catch (error) { console.error(`Failed to sync with peer ${fullAddr.toString()}:`, error); }
         }
@@ -214,7 +287,16 @@ export class Node {
         }
     } // Work as a "init"
 
-    /** @param {BlockData} finalizedBlock */
+    /** A fault of this node (validation workers, database), not of the data it processes: the sender isn't at fault
+     * @param {Error} error
+     */
+    static isLocalFault(error) {
+        return error instanceof ValidationWorkerError || Blockchain.isDatabaseError(error);
+    }
+    /** - Returns false if the block doesn't extend the tip (stale or ahead), the reason if it is invalid
+     * - Throws the local faults: they say nothing about the block
+     * @param {BlockData} finalizedBlock
+     */
     async #validateBlockProposal(finalizedBlock, timeDrift = 500) {
         try {
             // verify the height
@@ -225,6 +307,12 @@ export class Node {
             if (finalizedBlock.index <= lastBlockIndex) {
                 console.log(`[NODE-${this.id.slice(0, 6)}] Rejected finalized block, older index: ${finalizedBlock.index} <= ${lastBlockIndex} | from: ${finalizedBlock.Txs[0].outputs[0].address.slice(0, 6)}`); return false;
             }
+            if (finalizedBlock.prevHash !== this.blockchain.getLatestBlockHash()) { return `Invalid prevHash: ${finalizedBlock.prevHash}`; }
+            const checkpointHash = this.blockchain.blockTree.checkpoints[finalizedBlock.index];
+            if (checkpointHash && checkpointHash !== finalizedBlock.hash) { return `Block contradicts the checkpoint #${finalizedBlock.index}: ${checkpointHash}`; }
+
+            const merkleRoot = await BlockUtils.getBlockTxsHash(finalizedBlock);
+            if (finalizedBlock.merkleRoot !== merkleRoot) { return `Invalid merkleRoot: ${finalizedBlock.merkleRoot} - expected: ${merkleRoot}`; }
 
             // verify the timestamp
             const timeDiff = this.blockchain.lastBlock === null ? 0 : this.blockchain.lastBlock.timestamp - finalizedBlock.posTimestamp;
@@ -249,20 +337,26 @@ export class Node {
             // control mining rewards
             BlockValidation.areExpectedRewards(this.utxoCache.utxosByAnchor, finalizedBlock);
 
-            // double spend control
-            BlockValidation.isFinalizedBlockDoubleSpending(this.utxoCache.utxosByAnchor, finalizedBlock);
+            // double spend control - a transaction can spend the outputs of a previous one in the same block
+            const inputsUTXOs = BlockUtils.getBlockInputsUTXOs(this.utxoCache.utxosByAnchor, finalizedBlock);
+            BlockValidation.isFinalizedBlockDoubleSpending(inputsUTXOs, finalizedBlock);
 
-            // verify the transactions
-            for (const tx of finalizedBlock.Txs) {
+            // verify the transactions, in parallel by the validation workers
+            const txsValidations = finalizedBlock.Txs.map(tx => {
                 const specialTx = Transaction_Builder.isMinerOrValidatorTx(tx);
-                const { fee, success } = await TxValidation.fullTransactionValidation(this.utxoCache.utxosByAnchor, this.memPool.knownPubKeysAddresses, tx, specialTx, this.useDevArgon2);
-                if (!success) { return `Invalid transaction: ${tx.id} - ${TxValidation}`; }
-            }
+                return this.validationPool.fullTransactionValidation(inputsUTXOs, this.memPool.knownPubKeysAddresses, tx, specialTx, finalizedBlock.index, this.useDevArgon2);
+            });
+            await Promise.all(txsValidations);
+
+            // verify the state commitment: the UTXO set after the block, a diverging one is caught at once
+            const utxoSetHash = await this.utxoCache.getUtxoSetHashAfter(finalizedBlock.index, finalizedBlock.Txs);
+            if (finalizedBlock.utxoSetHash !== utxoSetHash) { return `Invalid utxoSetHash: ${finalizedBlock.utxoSetHash} - expected: ${utxoSetHash}`; }
 
             return hashConfInfo;
         } catch (error) {
+            if (Node.isLocalFault(error)) { throw error; }
             console.error(error);
-            return false;
+            return error.message;
         }
     }
     /**
@@ -272,6 +366,7 @@ export class Node {
      * @param {boolean} [options.broadcastNewCandidate] - default: true
      * @param {boolean} [options.persistToDisk] - default: true
      * @param {boolean} [options.storeAsFiles] - default: false
+     * @returns {Promise<boolean | string>} false if the block is ignored (stale, orphan or side block), the reason if it is invalid
      */
     async digestFinalizedBlock(finalizedBlock, options = {}) {
         const {
@@ -285,16 +380,19 @@ export class Node {
         if (!finalizedBlock) { throw new Error('Invalid block candidate'); }
         if (!this.roles.includes('validator')) { throw new Error('Only validator can process PoW block'); }
 
+        if (!skipValidation && finalizedBlock.prevHash !== this.blockchain.getLatestBlockHash()) {
+            const reorganized = await this.#digestForkBlock(finalizedBlock);
+            if (reorganized === true && broadcastNewCandidate) { await this.#createAndBroadcastNewCandidate(); }
+            return reorganized;
+        }
+
         const hashConfInfo = skipValidation ? false : await this.#validateBlockProposal(finalizedBlock);
-        if (!skipValidation && (!hashConfInfo || !hashConfInfo.conform)) { return false; }
+        if (!skipValidation && (!hashConfInfo || !hashConfInfo.conform)) { return hashConfInfo; }
 
-        const {block, blockInfo} = await this.blockchain.addConfirmedBlocks(this.utxoCache, [finalizedBlock], persistToDisk);
-        const blocksData = await this.blockchain.checkAndHandleReorg(this.utxoCache);
-        if (!blocksData) { throw new Error('Failed to handle reorg'); }
-        await this.blockchain.applyChainReorg(this.utxoCache, this.vss, blocksData);
+        const blockInfo = await this.#applyBlock(finalizedBlock, persistToDisk);
 
-        this.memPool.clearTransactionsWhoUTXOsAreSpent(this.utxoCache.utxosByAnchor);
-        this.memPool.digestFinalizedBlocksTransactions(blocksData);
+        this.memPool.digestFinalizedBlocksTransactions([finalizedBlock]);
+        this.memPool.clearTransactionsWhoUTXOsAreSpent(this.utxoCache.utxosByAnchor, this.blockchain.currentHeight + 1);
 
         if (!skipValidation && this.wsCallbacks.onBlockConfirmed) { this.wsCallbacks.onBlockConfirmed.execute(blockInfo); }
         if (storeAsFiles) this.#storeConfirmedBlock(finalizedBlock); // Used by developer to check the block data manually
@@ -314,6 +412,85 @@ export class Node {
 
         if (!broadcastNewCandidate) { return true; }
 
+        await this.#createAndBroadcastNewCandidate();
+        return true;
+    }
+    /**
+     * @param {BlockData} finalizedBlock - extending the tip
+     * @param {boolean} [persistToDisk] - default: true
+     */
+    async #applyBlock(finalizedBlock, persistToDisk = true) {
+        const { blockInfo } = await this.blockchain.addConfirmedBlocks(this.utxoCache, [finalizedBlock], persistToDisk);
+        await this.blockchain.applyChainReorg(this.utxoCache, this.vss, [finalizedBlock]);
+        return blockInfo;
+    }
+    /** A block which doesn't extend the tip is stored in the tree, the chain is reorganized if its branch becomes the heaviest
+     * - Only the hash is controlled here, the other controls need the state of its parent: they run during the reorganization
+     * @param {BlockData} finalizedBlock
+     * @returns {Promise<boolean | string>} true if the chain is reorganized, the reason if the hash is invalid
+     */
+    async #digestForkBlock(finalizedBlock) {
+        const blockTree = this.blockchain.blockTree;
+        if (blockTree.blocks.has(finalizedBlock.hash)) { return false; } // already known
+        if (!blockTree.blocks.has(finalizedBlock.prevHash)) {
+            console.log(`[NODE-${this.id.slice(0, 6)}] Rejected finalized block #${finalizedBlock.index}, unknown prevHash: ${finalizedBlock.prevHash.slice(0, 6)}`); return false;
+        }
+
+        const { hex, bitsArrayAsString } = await BlockUtils.getMinerHash(finalizedBlock, this.useDevArgon2);
+        if (finalizedBlock.hash !== hex) { return 'Hash invalid!'; }
+        if (!utils.mining.verifyBlockHashConformToDifficulty(bitsArrayAsString, finalizedBlock).conform) { return 'Hash not conform!'; }
+
+        if (!this.blockchain.addSideBlock(finalizedBlock)) {
+            console.log(`[NODE-${this.id.slice(0, 6)}] Rejected fork block #${finalizedBlock.index}, final height: ${this.blockchain.getFinalizedHeight()} or checkpoint contradicted`); return false;
+        }
+        const reorgPath = this.blockchain.getReorgPath();
+        if (!reorgPath) { console.info(`[NODE-${this.id.slice(0, 6)}] #${finalizedBlock.index} -> fork block stored: ${finalizedBlock.hash.slice(0, 6)}`); return false; }
+
+        return await this.#reorganizeChain(reorgPath);
+    }
+    /** Roll the chain back to the common ancestor with the undo data, then validate and apply the new branch
+     * - If a block of the new branch is invalid, its branch is discarded and the previous chain is restored
+     * - The transactions of the reverted blocks which are not in the new branch return to the mempool
+     * @param {{ revert: string[], apply: string[] }} reorgPath
+     */
+    async #reorganizeChain(reorgPath) {
+        const undoData = await Promise.all(reorgPath.revert.map(hash => this.blockchain.getBlockUndoData(hash)));
+        if (undoData.includes(null)) { console.warn(`[NODE-${this.id.slice(0, 6)}] Reorganization refused, too deep: ${reorgPath.revert.length} blocks to revert`); return false; }
+
+        /** @type {BlockData[]} */
+        const revertedBlocks = []; // oldest first
+        for (let i = 0; i < reorgPath.revert.length; i++) { revertedBlocks.unshift(await this.blockchain.undoLastBlock(this.utxoCache, this.vss)); }
+
+        /** @type {BlockData[]} */
+        const appliedBlocks = [];
+        const restorePreviousChain = async () => {
+            for (let i = 0; i < appliedBlocks.length; i++) { await this.blockchain.undoLastBlock(this.utxoCache, this.vss); }
+            for (const revertedBlock of revertedBlocks) { await this.#applyBlock(revertedBlock); }
+        };
+        for (const hash of reorgPath.apply) {
+            const block = await this.blockchain.getBlock(hash);
+            const hashConfInfo = await this.#validateBlockProposal(block).catch(async (error) => { await restorePreviousChain(); throw error; }); // a local fault: the branch is kept
+            if (hashConfInfo && hashConfInfo.conform) { await this.#applyBlock(block); appliedBlocks.push(block); continue; }
+
+            this.blockchain.removeBranch(hash);
+            await restorePreviousChain();
+            console.warn(`[NODE-${this.id.slice(0, 6)}] Reorganization aborted, invalid block #${block.index}: ${hash.slice(0, 6)}`);
+            return false;
+        }
+
+        this.memPool.digestFinalizedBlocksTransactions(appliedBlocks);
+        const appliedTxIDs = new Set(appliedBlocks.flatMap(block => block.Txs.map(tx => tx.id)));
+        const revertedTxs = revertedBlocks.flatMap(block => block.Txs)
+            .filter(tx => !appliedTxIDs.has(tx.id) && !Transaction_Builder.isMinerOrValidatorTx(tx))
+            .map(tx => Transaction_Builder.cloneTx(tx));
+        // a transaction spending the outputs of a reverted one refers to its previous height, it can be rejected
+        await this.memPool.pushTransactions(this.utxoCache.utxosByAnchor, revertedTxs, this.blockchain.currentHeight + 1);
+        this.memPool.clearTransactionsWhoUTXOsAreSpent(this.utxoCache.utxosByAnchor, this.blockchain.currentHeight + 1);
+
+        console.info(`[NODE-${this.id.slice(0, 6)}] Chain reorganized: -${revertedBlocks.length} +${appliedBlocks.length} blocks | new tip #${this.blockchain.currentHeight}: ${this.blockchain.getLatestBlockHash().slice(0, 6)}`);
+        return true;
+    }
+    async #createAndBroadcastNewCandidate() {
         this.blockCandidate = await this.#createBlockCandidate();
         if (this.roles.includes('miner')) { this.miner.pushCandidate(this.blockCandidate); }
         try {
@@ -322,11 +499,15 @@ export class Node {
         } catch (error) {
             console.error(`Failed to broadcast new block candidate: ${error}`);
         }
-        return true;
     }
-    /** Aggregates transactions from mempool, creates a new block candidate, signs it and returns it */
+    /** Aggregates transactions from mempool, creates a new block candidate, signs it and returns it
+     * - The candidate already signed for the same block (restart, reorg back to a previous tip) is returned instead: signing another one would be slashed */
     async #createBlockCandidate() {
         const startTime = Date.now();
+        const lastBlock = this.blockchain.lastBlock;
+        const signedCandidate = this.signedCandidates[lastBlock ? `${lastBlock.index + 1}:${lastBlock.hash}` : `0:${'0'.repeat(64)}`];
+        if (signedCandidate) { return utils.serializer.block_candidate.fromBinary_v2(signedCandidate); }
+
         const Txs = this.memPool.getMostLucrativeTransactionsBatch();
         const posTimestamp = this.blockchain.lastBlock ? this.blockchain.lastBlock.timestamp + 1 : Date.now();
 
@@ -341,6 +522,7 @@ export class Node {
             const coinBaseReward = utils.mining.calculateNextCoinbaseReward(this.blockchain.lastBlock);
             blockCandidate = BlockData(this.blockchain.lastBlock.index + 1, this.blockchain.lastBlock.supply + this.blockchain.lastBlock.coinBase, coinBaseReward, newDifficulty, myLegitimacy, this.blockchain.lastBlock.hash, Txs, posTimestamp);
         }
+        blockCandidate.utxoSetHash = await this.utxoCache.getUtxoSetHashAfter(blockCandidate.index, Txs); // commits to the state after the block
 
         // Sign the block candidate
         const { powReward, posReward } = BlockUtils.calculateBlockReward(this.utxoCache.utxosByAnchor, blockCandidate);
@@ -348,12 +530,68 @@ export class Node {
         const signedPosFeeTx = await this.account.signTransaction(posFeeTx);
         blockCandidate.Txs.unshift(signedPosFeeTx);
         blockCandidate.powReward = powReward; // for the miner
+        this.#keepSignedCandidate(blockCandidate);
 
         if (blockCandidate.Txs.length > 3)
             console.warn(`(Height:${blockCandidate.index}) => ${blockCandidate.Txs.length} txs, block candidate created in ${(Date.now() - startTime)}ms`);
 
         return blockCandidate;
     }
+    /** Saved at each signature: the candidates of the reorganization window can be extended again
+     * @param {BlockData} blockCandidate
+     */
+    #keepSignedCandidate(blockCandidate) {
+        this.signedCandidates[`${blockCandidate.index}:${blockCandidate.prevHash}`] = utils.serializer.block_candidate.toBinary_v2(blockCandidate);
+        for (const key in this.signedCandidates) {
+            if (Number(key.split(':')[0]) < blockCandidate.index - this.blockchain.maxReorgDepth) { delete this.signedCandidates[key]; }
+        }
+
+        localStorage_v1.saveSignedCandidatesLocally(this.id, this.signedCandidates);
+    }
+    /** Light nodes only keep the verified header of the finalized blocks, the tracked addresses concerned are refreshed
+     * @param {BlockData} finalizedBlock
+     */
+    async digestBlockHeader(finalizedBlock) {
+        if (!this.roles.includes('light')) { throw new Error('Only light nodes digest the headers'); }
+
+        const currentHeight = this.lightClient.getCurrentHeight();
+        if (finalizedBlock.index <= currentHeight) { return false; }
+        if (finalizedBlock.index > currentHeight + 1) { this.taskQueue.push('syncWithKnownPeers', null, true); return false; }
+
+        await this.lightClient.addHeader(await LightClient.buildHeaderProof(finalizedBlock));
+
+        for (const address of Object.keys(this.lightClient.trackedUTXOs)) {
+            const trackedAnchors = Object.keys(this.lightClient.trackedUTXOs[address]);
+            const isConcerned = finalizedBlock.Txs.some(tx =>
+                tx.outputs.some(output => output.address === address) || tx.inputs.some(input => trackedAnchors.includes(input))
+            );
+            if (isConcerned) { await this.refreshTrackedAddress(address); }
+        }
+
+        console.info(`[NODE-${this.id.slice(0, 6)}] #${finalizedBlock.index} -> header verified: ${finalizedBlock.hash.slice(0, 6)}`);
+        return true;
+    }
+    /** @param {string} address */
+    async trackAddress(address) {
+        if (!this.roles.includes('light')) { throw new Error('Only light nodes track the addresses with proofs'); }
+
+        this.lightClient.trackAddress(address);
+        return await this.refreshTrackedAddress(address);
+    }
+    /** Ask the peers for the UTXOs of the address, only the ones included in a verified header are kept
+     * @param {string} address
+     */
+    async refreshTrackedAddress(address) {
+        const { addresses } = await this.#getPeersAddresses();
+        for (const fullAddr of addresses) {
+            try {
+                const { anchors, txProofs } = await this.syncHandler.requestAddressProofs(this.p2pNetwork, fullAddr, address);
+                return await this.lightClient.updateAddressUTXOs(address, txProofs, anchors);
+            } catch (error) { console.error(`Failed to get the proofs of ${address} from peer ${fullAddr.toString()}:`, error.message); }
+        }
+
+        return null;
+    }
     /** @param {BlockData} blockData */
     #storeConfirmedBlock(blockData) {
         if (blockData.index >= 1000) { return; }
@@ -366,8 +604,9 @@ export class Node {
     /**
      * @param {string} topic
      * @param {object} message
+     * @param {string} [from] - the peer ID of the sender, scored by the result of the task
      */
-    async p2pHandler(topic, message) {
+    async p2pHandler(topic, message, from = null) {
         const data = message;
         try {
             switch (topic) {
@@ -376,23 +615,28 @@ export class Node {
                     this.taskQueue.push('pushTransaction', {
                         utxosByAnchor: this.utxoCache.utxosByAnchor,
                         transaction: data // signedTransaction
-                    });
+                    }, false, from);
                     break;
                 case 'new_block_candidate':
+                    if (this.roles.includes('validator')) { await this.#reportConflictingCandidate(data); }
                     if (!this.roles.includes('miner')) { break; }
                     if (this.roles.includes('validator')) { // check legitimacy
                         await this.vss.calculateRoundLegitimacies(data.hash);
                         const validatorAddress = data.Txs[0].inputs[0].split(':')[0];
                         const validatorLegitimacy = this.vss.getAddressLegitimacy(validatorAddress);
-                        if (validatorLegitimacy !== data.legitimacy) { return 'Invalid legitimacy!'; }
+                        if (validatorLegitimacy !== data.legitimacy) {
+                            if (from) { await this.p2pNetwork.reportPeer(from, 'invalidBlock'); }
+                            return 'Invalid legitimacy!';
+                        }
                     }
                     this.miner.pushCandidate(data);
                     break;
                 case 'new_block_finalized':
+                    if (this.roles.includes('light')) { this.taskQueue.push('digestBlockHeader', data); break; }
                     if (!this.roles.includes('validator')) { break; }
                     const lastBlockIndex = this.blockchain.currentHeight;
                     const isSynchronized = data.index === 0 || lastBlockIndex + 1 >= data.index;
-                    if (isSynchronized) { this.taskQueue.push('digestPowProposal', data); break; }
+                    if (isSynchronized) { this.taskQueue.push('digestPowProposal', data, false, from); break; }
 
                     // if we are late, we ask for the missing blocks by p2p streaming
                     this.taskQueue.push('syncWithKnownPeers', null, true);
@@ -407,6 +651,28 @@ export class Node {
             console.error(`[P2P-HANDLER] ${topic} -> Failed! `, error);
         }
     }
+    /** Slash the validator if the candidate conflicts with another one he signed for the same block
+     * @param {BlockData} blockCandidate
+     */
+    async #reportConflictingCandidate(blockCandidate) {
+        try {
+            const conflict = await this.fraudProofWatcher.watch(blockCandidate);
+            if (!conflict) { return; }
+
+            const { offenderAddress, proofA, proofB } = conflict;
+            const { UTXOs } = this.utxoCache.getBalanceAndUTXOs(offenderAddress);
+            const stakesUTXOs = UTXOs.filter(utxo => utxo.rule === 'sigOrSlash');
+            if (stakesUTXOs.length === 0) { console.warn(`[NODE-${this.id.slice(0, 6)}] Conflicting candidates from ${offenderAddress}, but no stake to slash`); return; }
+
+            const fraudProofTx = await Transaction_Builder.createFraudProof(this.account.address, proofA, proofB, stakesUTXOs);
+            const { error } = await this.pushTransaction(fraudProofTx);
+            if (error) { return; }
+
+            console.warn(`[NODE-${this.id.slice(0, 6)}] Fraud proof against ${offenderAddress} broadcasted: ${fraudProofTx.id}`);
+        } catch (error) {
+            console.error(`[NODE-${this.id.slice(0, 6)}] Failed to watch block candidate: ${error.message}`);
+        }
+    }
     /**
      * @param {string} topic
      * @param {any} message
@@ -419,7 +685,7 @@ export class Node {
         return {
             id: this.id,
             role: this.roles.join('_'),
-            currentBlockHeight: this.blockchain.currentHeight,
+            currentBlockHeight: this.roles.includes('light') ? this.lightClient.getCurrentHeight() : this.blockchain.currentHeight,
             memPoolSize: Object.keys(this.memPool.transactionsByID).length,
             peerCount: this.p2pNetwork.getConnectedPeers().length,
         };
@@ -428,7 +694,7 @@ export class Node {
     // -----------------------------------------------------------------------------
     async pushTransaction(transaction) {
         try {
-            const pushedInLocalMempool = await this.memPool.pushTransaction(this.utxoCache.utxosByAnchor, transaction);
+            const pushedInLocalMempool = await this.memPool.pushTransaction(this.utxoCache.utxosByAnchor, transaction, this.blockchain.currentHeight + 1);
             const broadcasted = await this.p2pBroadcast('new_transaction', transaction);
             return { broadcasted, pushedInLocalMempool, error: null };
         } catch (error) {
@@ -454,4 +720,26 @@ export class Node {
             return [];
         }
     }
+    /** Proves that a transaction is in a block, to verify with MerkleTree.verifyTxInclusion() against the block header
+     * @param {string} txId
+     * @param {number} [blockHeight] - required if the transactions are not indexed (txIndex option of the blockchain)
+     * @returns {Promise<MerkleProof | null>}
+     */
+    async getTxInclusionProof(txId, blockHeight) {
+        return await this.blockchain.getTxInclusionProof(txId, blockHeight);
+    }
+    /** A pending transaction of the mempool, or a confirmed one with its confirmations count, needs the txIndex option of the blockchain
+     * @param {string} txId
+     * @param {number} [blockHeight] - the IDs are only unique by block, the most recent is returned if unknown
+     * @returns {Promise<{ status: 'pending' | 'confirmed', transaction: Transaction | null, blockHeight?: number, blockHash?: string, position?: number, confirmations?: number } | null>}
+     */
+    async getTransaction(txId, blockHeight) {
+        const pendingTx = this.memPool.transactionsByID[txId];
+        if (pendingTx && blockHeight === undefined) { return { status: 'pending', transaction: pendingTx }; }
+
+        const indexedTx = await this.blockchain.getTransaction(txId, blockHeight);
+        if (!indexedTx) { return null; }
+
+        return { status: 'confirmed', ...indexedTx, confirmations: this.blockchain.currentHeight - indexedTx.blockHeight + 1 };
+    }
 }
\ No newline at end of file
@@ -12,6 +12,7 @@ import { bootstrap } from '@libp2p/bootstrap';
 import { multiaddr } from 'multiaddr';
 import { lpStream } from 'it-length-prefixed-stream';
 import utils from './utils.mjs';
+import { PeerReputation } from './peer-reputation.mjs';
 
 class P2PNetwork extends EventEmitter {
     /** @type {string} */
@@ -37,6 +38,7 @@ class P2PNetwork extends EventEmitter {
             logLevel: 'silent',
             logging: true,
             listenAddress: '/ip4/0.0.0.0/tcp/7777',
+            reputationStorageId: null, // the node id, to keep the bans across restarts
         };
 
         this.options = { ...defaultOptions, ...options };
@@ -44,6 +46,8 @@ class P2PNetwork extends EventEmitter {
         this.p2pNode = null;
         this.peers = new Map();
         this.subscriptions = new Set();
+        /** @type {PeerReputation} */
+        this.reputation = new PeerReputation(this.options.reputationStorageId);
 
         if (!P2PNetwork.logger) {
             P2PNetwork.logger = this.#initLogger();
@@ -127,6 +131,10 @@ class P2PNetwork extends EventEmitter {
             connectionManager: {
                 autoDial: true,
             },
+            connectionGater: {
+                denyDialPeer: (peerId) => this.reputation.isBanned(peerId.toString()),
+                denyInboundEncryptedConnection: (peerId) => this.reputation.isBanned(peerId.toString()),
+            },
         });
     }
 
@@ -154,6 +162,8 @@ class P2PNetwork extends EventEmitter {
      */
     #handlePeerConnect = (event) => {
         const peerId = event.detail.toString();
+        if (this.reputation.isBanned(peerId)) { this.#disconnectPeer(peerId); return; }
+
         this.logger.debug({ component: 'P2PNetwork', peerId }, 'Peer connected');
         this.updatePeer(peerId, { status: 'connected' });
     };
@@ -192,6 +202,7 @@ class P2PNetwork extends EventEmitter {
         } catch (error) {
             console.error('Failed to parse pubsub message:', error);
             this.logger.error({ component: 'P2PNetwork', topic, error: error.message }, 'Failed to parse pubsub message');
+            if (from) { await this.reportPeer(from.toString(), 'malformedMessage'); }
         }
     }
 
@@ -272,7 +283,7 @@ class P2PNetwork extends EventEmitter {
             await this.p2pNode.services.pubsub.subscribe(topic);
             this.subscriptions.add(topic);
             if (callback) {
-                this.on(topic, (message) => callback(topic, message));
+                this.on(topic, (message, from) => callback(topic, message, from ? from.toString() : null));
             }
             this.logger.debug({ component: 'P2PNetwork', topic, subscriptions: Array.from(this.subscriptions) }, 'Subscribed to topic'
             );
@@ -326,6 +337,31 @@ class P2PNetwork extends EventEmitter {
     }
 
 
+    /** Updates the score of the peer, disconnects and bans it if it falls to the threshold
+     * @param {string} peerId
+     * @param {string} event - a key of REPUTATION_EVENTS
+     */
+    async reportPeer(peerId, event) {
+        if (!this.reputation.report(peerId, event)) { return; }
+
+        this.logger.warn({ component: 'P2PNetwork', peerId, event }, 'Peer banned');
+        await this.#disconnectPeer(peerId);
+    }
+    /** @param {string} peerId */
+    async #disconnectPeer(peerId) {
+        this.peers.delete(peerId);
+        if (!this.p2pNode) { return; }
+
+        const connections = this.p2pNode.getConnections().filter(connection => connection.remotePeer.toString() === peerId);
+        for (const connection of connections) {
+            try {
+                await connection.close();
+            } catch (error) {
+                this.logger.error({ component: 'P2PNetwork', peerId, error: error.message }, 'Failed to close the connection');
+            }
+        }
+    }
+
     /**
      * @returns {Object}
      */
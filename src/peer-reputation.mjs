@@ -0,0 +1,88 @@
+import localStorage_v1 from '../storage/local-storage-management.mjs';
+
+/** Score variation by peer behaviour */
+export const REPUTATION_EVENTS = {
+    malformedMessage: -20,
+    invalidBlock: -50,
+    invalidTransaction: -5, // could be a late node relaying an already spent transaction
+    syncTimeout: -10,
+    usefulData: 1
+};
+
+/** Scores the peers by their behaviour, those falling to the threshold are banned for a while
+ * - The scores are kept in memory: a reconnecting peer starts again from 0
+ * - The bans are saved by node id: they survive the restarts
+ */
+export class PeerReputation {
+    /**
+     * @param {string} [storageId] - the bans are saved under this node id, not saved if null
+     * @param {Object} [options]
+     * @param {number} [options.banThreshold] - default: -100
+     * @param {number} [options.maxScore] - default: 100, a good past can't cover unlimited misbehaviours
+     * @param {number} [options.banDuration] - default: 24h, in ms
+     */
+    constructor(storageId = null, { banThreshold = -100, maxScore = 100, banDuration = 86_400_000 } = {}) {
+        this.storageId = storageId;
+        this.banThreshold = banThreshold;
+        this.maxScore = maxScore;
+        this.banDuration = banDuration;
+        /** @type {Map<string, number>} */
+        this.scores = new Map();
+        /** @type {Object<string, number>} */
+        this.bannedUntil = storageId ? localStorage_v1.loadBannedPeersLocally(storageId) : {}; // peerId -> timestamp
+    }
+
+    /** @param {string} peerId */
+    getScore(peerId) {
+        return this.scores.get(peerId) || 0;
+    }
+    /**
+     * @param {string} peerId
+     * @param {string} event - a key of REPUTATION_EVENTS
+     * @returns {boolean} true if the peer has just been banned
+     */
+    report(peerId, event) {
+        const variation = REPUTATION_EVENTS[event];
+        if (variation === undefined) { throw new Error(`Unknown reputation event: ${event}`); }
+        if (this.isBanned(peerId)) { return false; }
+
+        const score = Math.min(this.getScore(peerId) + variation, this.maxScore);
+        this.scores.set(peerId, score);
+        if (score > this.banThreshold) { return false; }
+
+        this.ban(peerId);
+        return true;
+    }
+    /**
+     * @param {string} peerId
+     * @param {number} [duration] - in ms, default: this.banDuration
+     */
+    ban(peerId, duration = this.banDuration) {
+        this.bannedUntil[peerId] = Date.now() + duration;
+        this.scores.delete(peerId); // a fresh start at the end of the ban
+        this.#save();
+    }
+    /** @param {string} peerId */
+    unban(peerId) {
+        if (!this.bannedUntil[peerId]) { return; }
+
+        delete this.bannedUntil[peerId];
+        this.#save();
+    }
+    /** @param {string} peerId */
+    isBanned(peerId) {
+        const bannedUntil = this.bannedUntil[peerId];
+        if (!bannedUntil) { return false; }
+        if (bannedUntil > Date.now()) { return true; }
+
+        this.unban(peerId); // expired
+        return false;
+    }
+    /** @returns {string[]} */
+    getBannedPeers() {
+        return Object.keys(this.bannedUntil).filter(peerId => this.isBanned(peerId));
+    }
+    #save() {
+        if (this.storageId) { localStorage_v1.saveBannedPeersLocally(this.storageId, this.bannedUntil); }
+    }
+}
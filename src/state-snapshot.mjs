@@ -0,0 +1,134 @@
+import { BlockUtils } from './block.mjs';
+import { LightClient } from './light-client.mjs';
+import { UtxoSetHash } from './utxo-set-hash.mjs';
+import { Transaction_Builder, TxIO_Builder } from './transaction.mjs';
+import utils from './utils.mjs';
+
+/**
+* @typedef {import("./block.mjs").BlockData} BlockData
+* @typedef {import("./block.mjs").BlockHeader} BlockHeader
+* @typedef {import("./transaction.mjs").UTXO} UTXO
+* @typedef {import("./vss.mjs").StakeReference} StakeReference
+* @typedef {import("./light-client.mjs").BlockMiningData} BlockMiningData
+*/
+
+/**
+* @typedef {Object} StateSnapshot
+* @property {number} height
+* @property {BlockData} block - The block at this height: the tip of the restored chain
+* @property {string} utxoSetHash - The accumulator of the UTXO set after the block, its header commits the digest without the rewards
+* @property {UTXO[]} utxos
+* @property {Object<string, StakeReference>} spectrum
+* @property {BlockMiningData[]} blockMiningData
+*/
+/**
+ * @param {number} height
+ * @param {BlockData} block - The block at this height: the tip of the restored chain
+ * @param {string} utxoSetHash - The accumulator of the UTXO set after the block, its header commits the digest without the rewards
+ * @param {UTXO[]} utxos
+ * @param {Object<string, StakeReference>} spectrum
+ * @param {BlockMiningData[]} blockMiningData
+ * @returns {StateSnapshot}
+ */
+export const StateSnapshot = (height, block, utxoSetHash, utxos, spectrum, blockMiningData) => {
+    return { height, block, utxoSetHash, utxos, spectrum, blockMiningData };
+};
+
+/**
+* @typedef {Object} StateSnapshotInfo
+* @property {number} height
+* @property {string} blockHash
+* @property {number} chunksCount
+*/
+
+/** The state of a height, to start a node without replaying the blocks from the genesis
+ * - Verified: the block and the UTXO set against its header, the mining data against the headers
+ * - Trusted: the order of the stakes in the spectrum, only their consistency with the UTXO set is verified
+ */
+export class StateSnapshotUtils {
+    /**
+     * @param {StateSnapshot} snapshot
+     * @param {number} chunkSize - in bytes
+     * @returns {Uint8Array[]}
+     */
+    static toChunks(snapshot, chunkSize) {
+        const serialized = utils.serializer.rawData.toBinary_v1(snapshot);
+        const chunks = [];
+        for (let i = 0; i < serialized.length; i += chunkSize) { chunks.push(serialized.slice(i, i + chunkSize)); }
+        return chunks;
+    }
+    /**
+     * @param {Uint8Array[]} chunks
+     * @returns {StateSnapshot}
+     */
+    static fromChunks(chunks) {
+        const serialized = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            serialized.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return utils.serializer.rawData.fromBinary_v1(serialized);
+    }
+    /**
+     * @param {StateSnapshot} snapshot
+     * @param {BlockHeader} header - Of the snapshot height, from a verified headers chain
+     * @param {BlockMiningData[]} blockMiningData - Of the verified headers, up to the snapshot height: the snapshot serves the last ones
+     * @param {boolean} [useDevArgon2] - default: false
+     */
+    static async verify(snapshot, header, blockMiningData, useDevArgon2 = false) {
+        const { height, block, utxos, spectrum } = snapshot;
+        if (height !== header.index || block.index !== height) { throw new Error(`Invalid snapshot height: ${height}`); }
+
+        // the header commits the transactions, the hash commits the header
+        if (block.hash !== header.hash) { throw new Error(`Invalid snapshot block hash: ${block.hash}`); }
+        if (await BlockUtils.getBlockTxsHash(block) !== header.merkleRoot) { throw new Error('Invalid snapshot block transactions'); }
+        const { hex } = await BlockUtils.getMinerHash(block, useDevArgon2);
+        if (hex !== header.hash) { throw new Error('Invalid snapshot block'); }
+
+        // the header doesn't commit the outputs of the coinbase and validator Txs: created after the candidate is signed
+        const utxoSetHash = new UtxoSetHash();
+        await utxoSetHash.update(utxos, []);
+        if (snapshot.utxoSetHash !== utxoSetHash.toHex()) { throw new Error('Invalid snapshot utxoSetHash'); }
+
+        const committedUtxoSetHash = new UtxoSetHash(utxoSetHash.toHex());
+        const rewardsTxs = block.Txs.filter(tx => Transaction_Builder.isMinerOrValidatorTx(tx));
+        await committedUtxoSetHash.update([], rewardsTxs.flatMap(tx => TxIO_Builder.newUTXOsFromTransaction(height, tx)));
+        const committedDigest = await committedUtxoSetHash.digest();
+        if (committedDigest !== header.utxoSetHash) { throw new Error(`Invalid snapshot UTXO set: ${committedDigest} - committed: ${header.utxoSetHash}`); }
+
+        // only the last ones are served: enough for the difficulty adjustment
+        const servedMiningData = blockMiningData.slice(-snapshot.blockMiningData.length);
+        const minMiningData = Math.min(utils.MINING_PARAMS.blocksBeforeAdjustment, blockMiningData.length);
+        if (snapshot.blockMiningData.length < minMiningData) { throw new Error(`Invalid snapshot mining data: ${snapshot.blockMiningData.length} < ${minMiningData}`); }
+        if (JSON.stringify(snapshot.blockMiningData) !== JSON.stringify(servedMiningData)) { throw new Error('Invalid snapshot mining data'); }
+
+        this.#verifySpectrum(spectrum, utxos);
+    }
+    /** Each stake is a sigOrSlash UTXO of the set, the ranges are contiguous
+     * @param {Object<string, StakeReference>} spectrum
+     * @param {UTXO[]} utxos
+     */
+    static #verifySpectrum(spectrum, utxos) {
+        const stakesUTXOs = {};
+        for (const utxo of utxos) { if (utxo.rule === 'sigOrSlash') { stakesUTXOs[utxo.anchor] = utxo; } }
+
+        const upperBounds = Object.keys(spectrum).map(key => parseInt(key, 10)).sort((a, b) => a - b);
+        if (upperBounds.length !== Object.keys(stakesUTXOs).length) { throw new Error('Invalid snapshot spectrum: stakes count'); }
+
+        let lowerBound = 0;
+        for (const upperBound of upperBounds) {
+            const { address, anchor, amount } = spectrum[upperBound];
+            const utxo = stakesUTXOs[anchor];
+            if (!utxo || utxo.address !== address || utxo.amount !== amount) { throw new Error(`Invalid snapshot spectrum stake: ${anchor}`); }
+            if (upperBound !== lowerBound + amount) { throw new Error(`Invalid snapshot spectrum range: ${upperBound}`); }
+
+            delete stakesUTXOs[anchor]; // a stake only once
+            lowerBound = upperBound;
+        }
+    }
+    /** @param {BlockHeader[]} headers - from the genesis */
+    static getBlockMiningData(headers) {
+        return headers.map(header => LightClient.getBlockMiningData(header));
+    }
+}
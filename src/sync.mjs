@@ -2,24 +2,41 @@ import { lpStream } from 'it-length-prefixed-stream';
 import pino from 'pino';
 import utils from './utils.mjs';
 import P2PNetwork from './p2p.mjs';
+import { LightClient, TxProof } from './light-client.mjs';
+import { BlockTree, TreeNode } from './block-tree.mjs';
+import { BlockUtils } from './block.mjs';
+import { StateSnapshotUtils } from './state-snapshot.mjs';
 
 /**
  * @typedef {import("./p2p.mjs").P2PNetwork} P2PNetwork
  * @typedef {import("./blockchain.mjs").Blockchain} Blockchain
+ * @typedef {import("./utxoCache.mjs").UtxoCache} UtxoCache
+ * @typedef {import("./light-client.mjs").HeaderProof} HeaderProof
+ * @typedef {import("./block.mjs").BlockHeader} BlockHeader
+ * @typedef {import("./state-snapshot.mjs").StateSnapshot} StateSnapshot
  */
 
 const MAX_BLOCKS_PER_REQUEST = 2000;
 const RETRY_ATTEMPTS = 3;
 const RETRY_DELAY = 2000; // 1 second
 const BATCH_SIZE = 100; // For batch processing
+const GENESIS_PREV_HASH = '0000000000000000000000000000000000000000000000000000000000000000';
+const DOWNLOAD_WINDOW_SIZE = 100; // blocks requested at once to a peer during a parallel download
+const MAX_PARALLEL_DOWNLOADS = 4; // peers downloading at the same time
+const DOWNLOAD_WINDOW_TIMEOUT = 30_000; // a slower peer is dropped, its window is reassigned
 
 export class SyncHandler {
     /**
      * @param {Blockchain} blockchain - The blockchain instance.
+     * @param {UtxoCache} [utxoCache] - To serve the address proofs to the light nodes.
      */
-    constructor(blockchain) {
+    constructor(blockchain, utxoCache = null) {
         this.blockchain = blockchain;
+        this.utxoCache = utxoCache;
         this.p2pNetworkMaxMessageSize = 0;
+        this.downloadWindowSize = DOWNLOAD_WINDOW_SIZE;
+        this.maxParallelDownloads = MAX_PARALLEL_DOWNLOADS;
+        this.downloadWindowTimeout = DOWNLOAD_WINDOW_TIMEOUT;
         this.logger = pino({
             level: process.env.LOG_LEVEL || 'info',
             transport: {
@@ -93,11 +110,20 @@ export class SyncHandler {
         switch (message.type) {
             case 'getBlocks':
                 return await this.#handleGetBlocks(message);
+            case 'getHeaders':
+                return await this.#handleGetHeaders(message);
+            case 'getAddressProofs':
+                return await this.#handleGetAddressProofs(message);
+            case 'getSnapshotInfo':
+                return await this.#handleGetSnapshotInfo();
+            case 'getSnapshotChunk':
+                return await this.#handleGetSnapshotChunk(message);
             case 'getStatus':
                 return {
                     status: 'success',
                     currentHeight: this.blockchain.currentHeight,
                     latestBlockHash: this.blockchain.getLatestBlockHash(),
+                    lowestBlockHeight: this.blockchain.getLowestBlockHeight(), // the bodies below aren't served
                 };
             case 'test':
                 return message;
@@ -126,12 +152,95 @@ export class SyncHandler {
         ) {
             throw new Error('Invalid block range');
         }
+        const lowestBlockHeight = this.blockchain.getLowestBlockHeight();
+        if (startIndex < lowestBlockHeight) { throw new Error(`Blocks #${startIndex}-#${Math.min(endIndex, lowestBlockHeight - 1)} pruned, the bodies are served from #${lowestBlockHeight}`); }
 
         const blocks = await this.#getBlocks(startIndex, endIndex);
         this.logger.debug({ startIndex, endIndex, count: blocks.length }, 'Sending blocks in response');
         return { status: 'success', blocks };
     }
 
+    /**
+     * Handles the getHeaders request of a light node: the headers come with their coinbase to verify the proof of work, the pruned blocks included.
+     * @param {Object} message - The getHeaders message.
+     * @returns {Promise<Object>} The response containing the requested header proofs.
+     */
+    async #handleGetHeaders(message) {
+        const { startIndex, endIndex } = message;
+        if (typeof startIndex !== 'number' || typeof endIndex !== 'number' || startIndex > endIndex || startIndex < 0) {
+            throw new Error('Invalid header range');
+        }
+
+        const maxIndex = Math.min(endIndex, startIndex + MAX_BLOCKS_PER_REQUEST - 1, this.blockchain.currentHeight);
+        /** @type {HeaderProof[]} */
+        const headers = [];
+        for (let index = startIndex; index <= maxIndex; index++) {
+            const headerProof = await this.blockchain.getHeaderProofByIndex(index);
+            if (!headerProof) { break; } // below the snapshot the chain started from
+
+            headers.push(headerProof);
+        }
+
+        this.logger.debug({ startIndex, endIndex, count: headers.length }, 'Sending headers in response');
+        return { status: 'success', headers };
+    }
+
+    /**
+     * Handles the getAddressProofs request of a light node: the UTXOs of the address with the inclusion proofs of their transactions.
+     * @param {Object} message - The getAddressProofs message.
+     * @returns {Promise<Object>} The response containing the anchors and the transaction proofs.
+     */
+    async #handleGetAddressProofs(message) {
+        if (!this.utxoCache) { throw new Error('Address proofs are only served by the full nodes'); }
+        const { address } = message;
+        if (typeof address !== 'string') { throw new Error('Invalid address'); }
+
+        const { UTXOs } = this.utxoCache.getBalanceAndUTXOs(address);
+        const anchors = UTXOs.map(utxo => utxo.anchor);
+        const txsReferences = [...new Set(anchors.map(anchor => anchor.split(':').slice(0, 2).join(':')))];
+
+        /** @type {TxProof[]} */
+        const txProofs = [];
+        for (const txReference of txsReferences) {
+            const [height, txId] = txReference.split(':');
+            const block = await this.blockchain.getBlockByIndex(parseInt(height, 10));
+            const transaction = block ? block.Txs.find(tx => tx.id === txId) : undefined;
+            if (!transaction) { continue; } // not provable, the light node will ignore the UTXOs
+
+            txProofs.push(TxProof(transaction, await this.blockchain.getTxInclusionProof(txId, block.index)));
+        }
+
+        return { status: 'success', anchors, txProofs };
+    }
+
+    /**
+     * Handles the getSnapshotInfo request of a new node: the height and the size of the served state snapshot.
+     * @returns {Promise<Object>} The response containing the snapshot info.
+     */
+    async #handleGetSnapshotInfo() {
+        const info = await this.blockchain.getStateSnapshotInfo();
+        if (!info) { throw new Error('No state snapshot available'); }
+
+        return { status: 'success', ...info };
+    }
+
+    /**
+     * Handles the getSnapshotChunk request of a new node.
+     * @param {Object} message - The getSnapshotChunk message.
+     * @returns {Promise<Object>} The response containing the chunk of the served snapshot.
+     */
+    async #handleGetSnapshotChunk(message) {
+        const { blockHash, index } = message;
+        if (typeof index !== 'number' || index < 0) { throw new Error('Invalid chunk index'); }
+
+        const info = await this.blockchain.getStateSnapshotInfo();
+        if (!info || info.blockHash !== blockHash) { throw new Error(`State snapshot not available: ${blockHash}`); } // replaced meanwhile
+        const chunk = await this.blockchain.getStateSnapshotChunk(index);
+        if (!chunk) { throw new Error(`Chunk not found: ${index}`); }
+
+        return { status: 'success', chunk };
+    }
+
     /** Gets blocks within a specified range efficiently.
      * @param {number} startIndex - The starting block index.
      * @param {number} endIndex - The ending block index.
@@ -236,6 +345,349 @@ export class SyncHandler {
         }
     }
 
+    /**
+     * Headers-first synchronization: the header chains of the peers are verified and weighed in a BlockTree,
+     * then only the bodies of the best chain are downloaded, each one has to match its header.
+     * @param {P2PNetwork} p2pNetwork - The P2P network instance.
+     * @param {Object<string, string[]>} peersMultiaddrs - The multiaddresses by peer ID.
+     * @param {Function} processBlock - Callback to process each block.
+     * @param {boolean} [useDevArgon2] - default: false
+     * @returns {Promise<number>} The number of processed blocks.
+     */
+    async syncHeadersFirst(p2pNetwork, peersMultiaddrs, processBlock, useDevArgon2 = false) {
+        // the finalized blocks can't be reverted: the chains are compared from there
+        const anchorHeight = this.blockchain.getFinalizedHeight();
+        const anchorBlock = anchorHeight === -1 ? null : await this.blockchain.getBlockByIndex(anchorHeight);
+        const anchorHash = anchorBlock ? anchorBlock.hash : GENESIS_PREV_HASH;
+
+        const { bestPath, peersMultiaddrsByHash, peerIdByMultiaddr } = await this.#getBestHeadersChain(p2pNetwork, peersMultiaddrs, anchorHeight, anchorHash, useDevArgon2);
+        const hashesToDownload = bestPath.filter(hash => !this.blockchain.blockTree.blocks.has(hash));
+        if (hashesToDownload.length === 0) { this.logger.info('No sync needed, no better chain than the local one'); return 0; }
+
+        const firstHeight = anchorHeight + 1 + bestPath.indexOf(hashesToDownload[0]);
+        this.logger.info({ fromHeight: firstHeight, toHeight: anchorHeight + bestPath.length }, 'Downloading the blocks of the best headers chain');
+
+        return await this.#downloadBlocksInParallel(p2pNetwork, hashesToDownload, firstHeight, peersMultiaddrsByHash, peerIdByMultiaddr, processBlock);
+    }
+
+    /**
+     * Weighs the local chain and the verified headers chains of the peers in a BlockTree, from the anchor.
+     * @param {P2PNetwork} p2pNetwork - The P2P network instance.
+     * @param {Object<string, string[]>} peersMultiaddrs - The multiaddresses by peer ID.
+     * @param {number} anchorHeight - The height of the last block shared by all the chains.
+     * @param {string} anchorHash - The hash of the last block shared by all the chains.
+     * @param {boolean} useDevArgon2
+     * @returns {Promise<Object>} bestPath: the hashes of the heaviest chain from the anchor excluded, headersByHash: the verified headers of the peers,
+     * peersMultiaddrsByHash: the peers serving the body of each header, peerIdByMultiaddr
+     */
+    async #getBestHeadersChain(p2pNetwork, peersMultiaddrs, anchorHeight, anchorHash, useDevArgon2) {
+        const headersTree = new BlockTree(anchorHash);
+        for (let height = anchorHeight + 1; height <= this.blockchain.currentHeight; height++) {
+            const block = await this.blockchain.getBlockByIndex(height);
+            headersTree.addBlock(TreeNode(block.hash, block.prevHash, block.index, this.blockchain.calculateBlockScore(block)));
+        }
+
+        // the headers chains of the peers are downloaded at the same time, each peer through its first responding address
+        const peersHeaders = await Promise.all(Object.entries(peersMultiaddrs).map(async ([peerId, multiaddrs]) => {
+            for (const peerMultiaddr of multiaddrs) {
+                try {
+                    return { peerId, peerMultiaddr, ...await this.#getPeerHeadersChain(p2pNetwork, peerId, peerMultiaddr, anchorHeight, anchorHash, useDevArgon2) };
+                } catch (error) {
+                    this.logger.warn({ peer: peerMultiaddr.toString(), error: error.message }, 'Failed to get a valid headers chain from peer');
+                }
+            }
+            return null;
+        }));
+
+        /** @type {Object<string, BlockHeader>} */
+        const headersByHash = {};
+        /** @type {Object<string, string[]>} */
+        const peersMultiaddrsByHash = {}; // the peers able to serve the body of the header
+        /** @type {Map<string, string>} */
+        const peerIdByMultiaddr = new Map();
+        for (const { peerId, peerMultiaddr, headers, lowestBlockHeight } of peersHeaders.filter(Boolean)) {
+            peerIdByMultiaddr.set(peerMultiaddr, peerId);
+            for (const header of headers) {
+                headersTree.addBlock(TreeNode(header.hash, header.prevHash, header.index, this.blockchain.calculateBlockScore(header)));
+                headersByHash[header.hash] = header;
+                if (!peersMultiaddrsByHash[header.hash]) { peersMultiaddrsByHash[header.hash] = []; }
+                if (header.index >= lowestBlockHeight) { peersMultiaddrsByHash[header.hash].push(peerMultiaddr); } // not pruned by the peer
+            }
+        }
+
+        const bestPath = headersTree.getPath(anchorHash, headersTree.getHeaviestLeaf()).slice(1);
+        return { bestPath, headersByHash, peersMultiaddrsByHash, peerIdByMultiaddr };
+    }
+
+    /**
+     * Fast sync of a new node: the most recent snapshot of the peers matching the best headers chain is downloaded by chunks and verified,
+     * the blocks above it are then synchronized by syncHeadersFirst().
+     * @param {P2PNetwork} p2pNetwork - The P2P network instance.
+     * @param {Object<string, string[]>} peersMultiaddrs - The multiaddresses by peer ID.
+     * @param {boolean} [useDevArgon2] - default: false
+     * @returns {Promise<StateSnapshot|null>} The verified snapshot, null if none could be.
+     */
+    async fetchStateSnapshot(p2pNetwork, peersMultiaddrs, useDevArgon2 = false) {
+        if (this.blockchain.currentHeight !== -1) { throw new Error('Only an empty chain can start from a snapshot'); }
+
+        const offers = [];
+        for (const [peerId, multiaddrs] of Object.entries(peersMultiaddrs)) {
+            for (const peerMultiaddr of multiaddrs) {
+                try {
+                    const info = await p2pNetwork.sendMessage(peerMultiaddr, { type: 'getSnapshotInfo' }); // optional: no retry
+                    offers.push({ peerId, peerMultiaddr, info });
+                    break; // next peer
+                } catch (error) {
+                    this.logger.debug({ peer: peerMultiaddr.toString(), error: error.message }, 'No state snapshot from peer');
+                }
+            }
+        }
+
+        if (offers.length === 0) { return null; }
+
+        const { bestPath, headersByHash } = await this.#getBestHeadersChain(p2pNetwork, peersMultiaddrs, -1, GENESIS_PREV_HASH, useDevArgon2);
+        const verifiableOffers = offers.filter(({ info }) => bestPath[info.height] === info.blockHash);
+        for (const { peerId, peerMultiaddr, info } of verifiableOffers.sort((a, b) => b.info.height - a.info.height)) {
+            const chunks = [];
+            try {
+                for (let index = 0; index < info.chunksCount; index++) {
+                    const response = await this.#withTimeout(
+                        this.#retryOperation(() => p2pNetwork.sendMessage(peerMultiaddr, { type: 'getSnapshotChunk', blockHash: info.blockHash, index })),
+                        this.downloadWindowTimeout
+                    );
+                    chunks.push(new Uint8Array(response.chunk));
+                }
+            } catch (error) {
+                this.logger.warn({ peer: peerMultiaddr.toString(), snapshotHeight: info.height, error: error.message }, 'Failed to download the state snapshot from peer');
+                await this.#reportPeer(p2pNetwork, peerId, 'syncTimeout');
+                continue;
+            }
+
+            try {
+                const snapshot = StateSnapshotUtils.fromChunks(chunks);
+                const headers = bestPath.slice(0, info.height + 1).map(hash => headersByHash[hash]);
+                await StateSnapshotUtils.verify(snapshot, headers[info.height], StateSnapshotUtils.getBlockMiningData(headers), useDevArgon2);
+
+                this.logger.info({ peer: peerMultiaddr.toString(), snapshotHeight: info.height }, 'State snapshot verified');
+                await this.#reportPeer(p2pNetwork, peerId, 'usefulData');
+                return snapshot;
+            } catch (error) {
+                this.logger.warn({ peer: peerMultiaddr.toString(), snapshotHeight: info.height, error: error.message }, 'Invalid state snapshot from peer');
+                await this.#reportPeer(p2pNetwork, peerId, 'invalidBlock');
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Downloads the blocks by windows from several peers at once, a reorder buffer feeds processBlock in height order.
+     * A failing or slow peer is dropped and reported: its window returns to the queue for the other peers.
+     * @param {P2PNetwork} p2pNetwork - The P2P network instance.
+     * @param {string[]} expectedHashes - The hashes of the blocks to download, from firstHeight.
+     * @param {number} firstHeight - The height of the first block to download.
+     * @param {Object<string, string[]>} peersMultiaddrsByHash - The peers serving the body of each block.
+     * @param {Map<string, string>} peerIdByMultiaddr
+     * @param {Function} processBlock - Callback to process each block.
+     * @returns {Promise<number>} The number of processed blocks.
+     */
+    async #downloadBlocksInParallel(p2pNetwork, expectedHashes, firstHeight, peersMultiaddrsByHash, peerIdByMultiaddr, processBlock) {
+        /** @type {number[]} */
+        const windowsOffsets = [];
+        for (let offset = 0; offset < expectedHashes.length; offset += this.downloadWindowSize) { windowsOffsets.push(offset); }
+        const pendingOffsets = [...windowsOffsets];
+        /** @type {Map<number, Object[]>} */
+        const reorderBuffer = new Map(); // offset -> blocks, until the previous windows are processed
+        const download = { nextWindow: 0, inFlight: 0, processedBlocks: 0, processing: Promise.resolve() };
+
+        const processReadyWindows = async () => {
+            while (reorderBuffer.has(windowsOffsets[download.nextWindow])) {
+                const blocks = reorderBuffer.get(windowsOffsets[download.nextWindow]);
+                reorderBuffer.delete(windowsOffsets[download.nextWindow]);
+                download.nextWindow++;
+
+                for (const block of blocks) {
+                    try {
+                        await processBlock(block);
+                        download.processedBlocks++;
+                    } catch (blockError) {
+                        this.logger.error({ error: blockError.message }, 'Error processing block');
+                    }
+                }
+            }
+        };
+        /** A peer serving the first and the last block of the window serves the whole window */
+        const canServe = (peerMultiaddr, offset) => {
+            const lastHash = expectedHashes[Math.min(offset + this.downloadWindowSize, expectedHashes.length) - 1];
+            return peersMultiaddrsByHash[expectedHashes[offset]].includes(peerMultiaddr) && peersMultiaddrsByHash[lastHash].includes(peerMultiaddr);
+        };
+        const downloadWithPeer = async (peerMultiaddr) => {
+            while (true) {
+                const index = pendingOffsets.findIndex(offset => canServe(peerMultiaddr, offset));
+                if (index === -1 && download.inFlight === 0) { return; }
+                if (index === -1) { await new Promise(resolve => setTimeout(resolve, 50)); continue; } // a window could be reassigned
+
+                const [offset] = pendingOffsets.splice(index, 1);
+                const windowHashes = expectedHashes.slice(offset, offset + this.downloadWindowSize);
+                download.inFlight++;
+                let failureEvent = 'syncTimeout';
+                try {
+                    const startIndex = firstHeight + offset;
+                    const blocks = await this.#withTimeout(
+                        this.#requestBlocksFromPeer(p2pNetwork, peerMultiaddr, startIndex, startIndex + windowHashes.length - 1),
+                        this.downloadWindowTimeout
+                    );
+                    if (windowHashes.some((hash, i) => !blocks[i] || blocks[i].hash !== hash)) {
+                        failureEvent = 'invalidBlock';
+                        throw new Error('Block bodies not matching their headers');
+                    }
+
+                    reorderBuffer.set(offset, blocks);
+                    await this.#reportPeer(p2pNetwork, peerIdByMultiaddr.get(peerMultiaddr), 'usefulData');
+                    download.processing = download.processing.then(processReadyWindows);
+                } catch (error) {
+                    this.logger.warn({ peer: peerMultiaddr.toString(), fromHeight: firstHeight + offset, error: error.message }, 'Peer dropped from the download, window reassigned');
+                    pendingOffsets.unshift(offset);
+                    await this.#reportPeer(p2pNetwork, peerIdByMultiaddr.get(peerMultiaddr), failureEvent);
+                    return;
+                } finally {
+                    download.inFlight--;
+                }
+            }
+        };
+
+        // the peers having the most blocks of the chain first
+        const countServedBlocks = peerMultiaddr => expectedHashes.filter(hash => peersMultiaddrsByHash[hash].includes(peerMultiaddr)).length;
+        const peersMultiaddrs = [...new Set(expectedHashes.flatMap(hash => peersMultiaddrsByHash[hash]))]
+            .sort((a, b) => countServedBlocks(b) - countServedBlocks(a))
+            .slice(0, this.maxParallelDownloads);
+        await Promise.all(peersMultiaddrs.map(downloadWithPeer));
+        await download.processing;
+
+        if (pendingOffsets.length > 0) { this.logger.warn({ fromHeight: firstHeight + pendingOffsets[0] }, 'Sync incomplete, no peer left to serve the blocks'); }
+        return download.processedBlocks;
+    }
+
+    /**
+     * @param {P2PNetwork} p2pNetwork - The P2P network instance.
+     * @param {string} peerId
+     * @param {string} event - a key of REPUTATION_EVENTS
+     */
+    async #reportPeer(p2pNetwork, peerId, event) {
+        try {
+            await p2pNetwork.reportPeer(peerId, event);
+        } catch (error) {
+            this.logger.error({ peerId, event, error: error.message }, 'Failed to report peer');
+        }
+    }
+
+    /**
+     * @param {Promise} promise
+     * @param {number} timeout - in ms
+     */
+    async #withTimeout(promise, timeout) {
+        let timer;
+        const timeoutPromise = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`Timeout after ${timeout}ms`)), timeout); });
+        try {
+            return await Promise.race([promise, timeoutPromise]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Downloads and verifies the headers chain of a peer from the anchor, the headers of the known blocks are taken from the local chain.
+     * An invalid header is reported, not a network failure.
+     * @param {P2PNetwork} p2pNetwork - The P2P network instance.
+     * @param {string} peerId
+     * @param {string} peerMultiaddr - The multiaddress of the peer.
+     * @param {number} anchorHeight - The height of the last block shared by all the chains.
+     * @param {string} anchorHash - The hash of the last block shared by all the chains.
+     * @param {boolean} useDevArgon2
+     * @returns {Promise<{ headers: BlockHeader[], lowestBlockHeight: number }>} The verified headers, from the anchor excluded,
+     * and the lowest height whose body the peer serves.
+     */
+    async #getPeerHeadersChain(p2pNetwork, peerId, peerMultiaddr, anchorHeight, anchorHash, useDevArgon2) {
+        const peerStatus = await this.#getPeerStatus(p2pNetwork, peerMultiaddr);
+        const blockMiningData = this.utxoCache ? this.utxoCache.blockMiningData.filter(data => data.index <= anchorHeight) : [];
+
+        /** @type {BlockHeader[]} */
+        const headers = [];
+        let prevHash = anchorHash;
+        for (let startIndex = anchorHeight + 1; startIndex <= peerStatus.currentHeight; startIndex += MAX_BLOCKS_PER_REQUEST) {
+            const endIndex = Math.min(startIndex + MAX_BLOCKS_PER_REQUEST - 1, peerStatus.currentHeight);
+            const response = await this.#retryOperation(() =>
+                p2pNetwork.sendMessage(peerMultiaddr, { type: 'getHeaders', startIndex, endIndex })
+            );
+            if (!Array.isArray(response.headers) || response.headers.length === 0) { break; }
+
+            for (const headerProof of response.headers) {
+                let header;
+                try {
+                    const expectedIndex = anchorHeight + 1 + headers.length;
+                    if (headerProof.header.index !== expectedIndex) { throw new Error(`Invalid header index: ${headerProof.header.index}, expected: ${expectedIndex}`); }
+
+                    const isKnown = this.blockchain.blockTree.blocks.has(headerProof.header.hash); // already validated
+                    header = isKnown ? BlockUtils.getBlockHeader(await this.blockchain.getBlock(headerProof.header.hash)) : headerProof.header;
+                    if (isKnown && header.prevHash !== prevHash) { throw new Error(`Invalid header prevHash: ${header.prevHash}`); }
+                    if (!isKnown) { await LightClient.verifyHeaderProof(headerProof, prevHash, blockMiningData, this.blockchain.blockTree.checkpoints, useDevArgon2); }
+                } catch (error) {
+                    await this.#reportPeer(p2pNetwork, peerId, 'invalidBlock');
+                    throw error;
+                }
+
+                headers.push(header);
+                blockMiningData.push(LightClient.getBlockMiningData(header));
+                prevHash = header.hash;
+            }
+        }
+
+        this.logger.debug({ peer: peerMultiaddr.toString(), count: headers.length }, 'Headers chain verified');
+        return { headers, lowestBlockHeight: peerStatus.lowestBlockHeight || 0 };
+    }
+
+    /**
+     * Synchronizes the missing headers of a light node from a peer, each one is verified before the next.
+     * @param {P2PNetwork} p2pNetwork - The P2P network instance.
+     * @param {string} peerMultiaddr - The multiaddress of the peer to sync with.
+     * @param {LightClient} lightClient - The headers chain to extend.
+     */
+    async getMissingHeaders(p2pNetwork, peerMultiaddr, lightClient) {
+        const peerStatus = await this.#getPeerStatus(p2pNetwork, peerMultiaddr);
+        while (lightClient.getCurrentHeight() < peerStatus.currentHeight) {
+            const startIndex = lightClient.getCurrentHeight() + 1;
+            const endIndex = Math.min(startIndex + MAX_BLOCKS_PER_REQUEST - 1, peerStatus.currentHeight);
+            const response = await this.#retryOperation(() =>
+                p2pNetwork.sendMessage(peerMultiaddr, { type: 'getHeaders', startIndex, endIndex })
+            );
+            if (response.status !== 'success' || !Array.isArray(response.headers) || response.headers.length === 0) {
+                this.logger.warn({ startIndex, endIndex }, 'No headers received during sync');
+                break;
+            }
+
+            for (const headerProof of response.headers) { await lightClient.addHeader(headerProof); }
+            this.logger.info({ count: response.headers.length, height: lightClient.getCurrentHeight() }, 'Synchronized headers from peer');
+        }
+    }
+
+    /**
+     * Requests the UTXOs of an address with the inclusion proofs of their transactions.
+     * @param {P2PNetwork} p2pNetwork - The P2P network instance.
+     * @param {string} peerMultiaddr - The multiaddress of the peer.
+     * @param {string} address - The tracked address.
+     * @returns {Promise<{ anchors: string[], txProofs: TxProof[] }>}
+     */
+    async requestAddressProofs(p2pNetwork, peerMultiaddr, address) {
+        const response = await this.#retryOperation(() =>
+            p2pNetwork.sendMessage(peerMultiaddr, { type: 'getAddressProofs', address })
+        );
+        if (response.status !== 'success' || !Array.isArray(response.anchors) || !Array.isArray(response.txProofs)) {
+            throw new Error('Invalid address proofs response');
+        }
+
+        return { anchors: response.anchors, txProofs: response.txProofs };
+    }
+
     /**
      * Gets the status of a peer.
      * @param {P2PNetwork} p2pNetwork - The P2P network instance.
@@ -1,6 +1,5 @@
-/**
-* @typedef {import("./node.mjs").Node} Node
-*/
+import { MemPool } from './memPool.mjs';
+import { Node } from './node.mjs';
 
 // Simple task manager, used to avoid vars overwriting in the callstack
 // we also use multithreading when we can group uncolisionning tasks
@@ -12,6 +11,8 @@ export class TaskQueue {
     /** @type {string[]} */
     errorSkippingLogArray = null;
     syncState = 'idle';
+    maxTransactionsBatch = 100;
+    stopped = false;
 
     static buildNewStack(node, errorSkippingLogArray = []) {
         const newCallStack = new TaskQueue();
@@ -22,7 +23,7 @@ export class TaskQueue {
     }
     /** @param {number} delayMS */
     async stackLoop(delayMS = 10) {
-        while (true) {
+        while (!this.stopped) {
             if (this.tasks.length === 0) {
                 await new Promise(resolve => setTimeout(resolve, delayMS));
                 try { this.node.miner.canProceedMining = true; } catch (error) { console.error(error.stack); }
@@ -41,12 +42,17 @@ export class TaskQueue {
         try {
             switch (task.type) {
                 case 'pushTransaction':
-                    await this.node.memPool.pushTransaction(task.data.utxosByAnchor, task.data.transaction);
+                    await this.#pushTransactionsBatch(task);
                     break;
                 case 'digestPowProposal':
                     if (task.data.Txs[0].inputs[0] === undefined) {
                         console.error('Invalid coinbase nonce'); return; }
-                    await this.node.digestFinalizedBlock(task.data, {storeAsFiles: true});
+                    const digested = await this.node.digestFinalizedBlock(task.data, {storeAsFiles: true});
+                    if (typeof digested === 'string') { await this.#reportPeer(task.peerId, 'invalidBlock'); break; }
+                    if (digested) { await this.#reportPeer(task.peerId, 'usefulData'); } // a stale or orphan block isn't the fault of the sender
+                    break;
+                case 'digestBlockHeader':
+                    await this.node.digestBlockHeader(task.data);
                     break;
                 case 'syncWithKnownPeers':
                     this.syncState = 'busy';
@@ -61,21 +67,58 @@ export class TaskQueue {
                     console.error(`[TaskQueue] Unknown task type: ${task.type}`);
             }
         } catch (error) {
-            for (let i = 0; i < this.errorSkippingLogArray.length; i++) {
-                if (error.message.includes(this.errorSkippingLogArray[i])) { return; }
-            }
-            console.error(error.stack);
+            if (this.#logError(error)) { return; }
+            if (task.type === 'digestPowProposal' && !Node.isLocalFault(error)) { await this.#reportPeer(task.peerId, 'invalidBlock'); }
         }
 
         this.syncState = 'idle';
     }
+    /** @param {Error} error - returns true if skipped */
+    #logError(error) {
+        for (let i = 0; i < this.errorSkippingLogArray.length; i++) {
+            if (error.message.includes(this.errorSkippingLogArray[i])) { return true; }
+        }
+        console.error(error.stack);
+        return false;
+    }
+    /** The skipped errors are not the fault of the sender: its peer isn't reported for them
+     * @param {string} peerId - null if the task doesn't come from a peer
+     * @param {string} event - a key of REPUTATION_EVENTS
+     */
+    async #reportPeer(peerId, event) {
+        if (!peerId) { return; }
+        try { await this.node.p2pNetwork.reportPeer(peerId, event); } catch (error) { console.error(error.stack); }
+    }
+    /** The consecutive pushTransaction tasks are grouped: their validations run in parallel (validation workers)
+     * - Only the invalid transactions are reported, not those refused by the mempool policy or by a local fault
+     * @param {object} firstTask
+     */
+    async #pushTransactionsBatch(firstTask) {
+        const batchTasks = [firstTask];
+        while (this.tasks.length > 0 && this.tasks[0].type === 'pushTransaction' && batchTasks.length < this.maxTransactionsBatch) {
+            batchTasks.push(this.tasks.shift());
+        }
+
+        const transactions = batchTasks.map(task => task.data.transaction);
+        const errors = await this.node.memPool.pushTransactions(firstTask.data.utxosByAnchor, transactions, this.node.blockchain.currentHeight + 1);
+        for (const task of batchTasks) {
+            const error = errors[task.data.transaction.id];
+            if (error && this.#logError(error)) { continue; }
+            if (error && (MemPool.isPolicyRejection(error) || Node.isLocalFault(error))) { continue; }
+            await this.#reportPeer(task.peerId, error ? 'invalidTransaction' : 'usefulData');
+        }
+    }
+    stop() {
+        this.stopped = true;
+    }
     /**
      * @param {string} type
      * @param {object} data
      * @param {boolean} firstPlace
+     * @param {string} [peerId] - the sender of the data, reported depending on the result
      */
-    push(type, data, firstPlace = false) {
+    push(type, data, firstPlace = false, peerId = null) {
         if (type === 'syncWithKnownPeers' && this.syncState !== 'idle') { return; }
-        firstPlace ? this.tasks.unshift({ type, data }) : this.tasks.push({ type, data });
+        firstPlace ? this.tasks.unshift({ type, data, peerId }) : this.tasks.push({ type, data, peerId });
     }
 }
\ No newline at end of file
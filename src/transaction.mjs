@@ -2,10 +2,12 @@ import utils from './utils.mjs';
 import { HashFunctions } from './conCrypto.mjs';
 import { TxValidation } from './validation.mjs';
 import { BlockUtils } from './block.mjs';
+import { FraudProof } from './fraud-proof.mjs';
 
 /**
  * @typedef {import('./account.mjs').Account} Account
  * @typedef {import('./block.mjs').BlockData} BlockData
+ * @typedef {import('./fraud-proof.mjs').CandidateProof} CandidateProof
  */
 
 export class TxIO_Builder {
@@ -13,9 +15,27 @@ export class TxIO_Builder {
      * @param {number} amount
      * @param {string} address
      * @param {string} rule
+     * @param {number | undefined} lockUntilBlock - lockUntilBlock rule only
      */
-    static newOutput(amount, rule, address) {
+    static newOutput(amount, rule, address, lockUntilBlock) {
         const txOutput = TxOutput(amount, rule, address);
+        if (lockUntilBlock !== undefined) { txOutput.lockUntilBlock = lockUntilBlock; }
+        TxValidation.isConformOutput(txOutput);
+
+        return txOutput;
+    }
+    /** Hash-time-locked output: claimed by the address revealing the preimage, or refunded from refundHeight
+     * @param {number} amount
+     * @param {string} address - the receiver
+     * @param {string} hashLock - SHA256 of the preimage (hex)
+     * @param {string} refundAddress
+     * @param {number} refundHeight
+     */
+    static newExchangeOutput(amount, address, hashLock, refundAddress, refundHeight) {
+        const txOutput = TxOutput(amount, 'p2pExchange', address);
+        txOutput.hashLock = hashLock;
+        txOutput.refundAddress = refundAddress;
+        txOutput.refundHeight = refundHeight;
         TxValidation.isConformOutput(txOutput);
 
         return txOutput;
@@ -42,6 +62,20 @@ export class TxIO_Builder {
 
         return newUtxo;
     }
+    /** The UTXOs created by the transaction once included in the block at blockHeight
+     * @param {number} blockHeight
+     * @param {Transaction} transaction
+     */
+    static newUTXOsFromTransaction(blockHeight, transaction) {
+        /** @type {UTXO[]} */
+        const UTXOs = [];
+        for (let i = 0; i < transaction.outputs.length; i++) {
+            const { amount, rule, address, ...ruleFields } = transaction.outputs[i];
+            UTXOs.push({ ...UTXO(`${blockHeight}:${transaction.id}:${i}`, amount, rule, address), ...ruleFields });
+        }
+
+        return UTXOs;
+    }
     /** @param {TxOutput | TxInput | UTXO | TxOutput[] | TxInput[] | UTXO[]} TxIO */
     static cloneTxIO(TxIO) {
         const TxIOJSON = JSON.stringify(TxIO);
@@ -56,6 +90,10 @@ export class TxIO_Builder {
  * @property {number} amount - the amount of microConts
  * @property {string} address - output only
  * @property {string} rule - the unlocking rule
+ * @property {number | undefined} lockUntilBlock - lockUntilBlock rule only: the UTXO can't be spent until this height is reached
+ * @property {string | undefined} hashLock - p2pExchange rule only: SHA256 of the preimage to reveal
+ * @property {string | undefined} refundAddress - p2pExchange rule only
+ * @property {number | undefined} refundHeight - p2pExchange rule only: the refundAddress can spend the UTXO from this height
  */
 /** Transaction Input/Output data structure
  * @param {number} amount - the amount of microConts
@@ -79,6 +117,12 @@ export const TxInput = (anchor) => { return anchor; }
  * @property {number} amount - the amount of microConts
  * @property {string} rule - the unlocking rule
  * @property {string} address - the address of the recipient
+ * @property {number | undefined} unbondHeight - only for unbonding stakes (sigOrSlash)
+ * @property {number | undefined} unlockHeight - set by getBalanceSpendableAndUTXOs: unbonding stakes and lockUntilBlock rule
+ * @property {number | undefined} lockUntilBlock - lockUntilBlock rule only
+ * @property {string | undefined} hashLock - p2pExchange rule only
+ * @property {string | undefined} refundAddress - p2pExchange rule only
+ * @property {number | undefined} refundHeight - p2pExchange rule only
  * @returns {UTXO}
  */
 /** Unspent Transaction Output data structure
@@ -101,6 +145,8 @@ export const UTXO = (anchor, amount, rule, address) => {
  * @property {TxOutput[]} outputs
  * @property {number | undefined} feePerByte - only in mempool
  * @property {number | undefined} byteWeight - only in mempool
+ * @property {number | undefined} entryHeight - only in mempool
+ * @property {number | undefined} entryTimestamp - only in mempool
  */
 /** Transaction data structure
  * @param {TxInput[]} inputs
@@ -230,6 +276,206 @@ export class Transaction_Builder {
 
         return await this.newTransaction(UTXOs, outputs);
     }
+    /** Create an unsigned transfer from a multiSig address, the co-signers have to add their witnesses
+     * @param {number} nbOfRequiredSigners - M
+     * @param {string[]} pubKeysHex - N
+     * @param {UTXO[]} UTXOs - the multiSig address's UTXOs to spend
+     * @param {{recipientAddress: string, amount: number}[]} transfers
+     * @param {number} feePerByte
+     */
+    static async createMultiSigTransfer(nbOfRequiredSigners, pubKeysHex, UTXOs, transfers, feePerByte = utils.SETTINGS.minTransactionFeePerByte) {
+        if (UTXOs.length === 0) { throw new Error('No UTXO to spend'); }
+        if (transfers.length === 0) { throw new Error('No transfer to make'); }
+
+        this.checkMalformedAnchorsInUtxosArray(UTXOs);
+        this.checkDuplicateAnchorsInUtxosArray(UTXOs);
+
+        const multiSigAddress = await utils.addressUtils.deriveMultiSigAddress(nbOfRequiredSigners, pubKeysHex);
+        const descriptorWitness = this.buildMultiSigDescriptorWitness(nbOfRequiredSigners, pubKeysHex);
+        const { outputs, totalSpent } = Transaction_Builder.buildOutputsFrom(transfers, 'sig');
+        const estimatedWeight = Transaction_Builder.simulateTxToEstimateWeight(UTXOs, outputs, nbOfRequiredSigners, [descriptorWitness]);
+        const { change } = Transaction_Builder.calculateFeeAndChange(UTXOs, totalSpent, estimatedWeight, feePerByte);
+
+        if (change !== 0) {
+            const changeOutput = TxIO_Builder.newOutput(change, 'multiSigCreate', multiSigAddress);
+            outputs.push(changeOutput);
+        }
+
+        const transaction = await this.newTransaction(UTXOs, outputs);
+        transaction.witnesses.push(descriptorWitness);
+
+        return transaction;
+    }
+    /** Create a transaction paying the recipients with outputs locked until their lockUntilBlock height
+     * @param {Account} senderAccount
+     * @param {{recipientAddress: string, amount: number, lockUntilBlock: number}[]} vestingPayouts
+     * @param {number} feePerByte
+     */
+    static async createVestingPayouts(senderAccount, vestingPayouts, feePerByte = utils.SETTINGS.minTransactionFeePerByte) {
+        const senderAddress = senderAccount.address;
+        const UTXOs = senderAccount.UTXOs;
+        if (UTXOs.length === 0) { throw new Error('No UTXO to spend'); }
+        if (vestingPayouts.length === 0) { throw new Error('No vesting payout to make'); }
+
+        this.checkMalformedAnchorsInUtxosArray(UTXOs);
+        this.checkDuplicateAnchorsInUtxosArray(UTXOs);
+
+        const { outputs, totalSpent } = Transaction_Builder.buildOutputsFrom(vestingPayouts, 'lockUntilBlock');
+        const estimatedWeight = Transaction_Builder.simulateTxToEstimateWeight(UTXOs, outputs);
+        const { change } = Transaction_Builder.calculateFeeAndChange(UTXOs, totalSpent, estimatedWeight, feePerByte);
+
+        if (change !== 0) {
+            const changeOutput = TxIO_Builder.newOutput(change, 'sig', senderAddress);
+            outputs.push(changeOutput);
+        }
+
+        return await this.newTransaction(UTXOs, outputs);
+    }
+    /** Lock the amount in a hash-time-locked output, the sender is refunded from refundHeight if the receiver doesn't claim it
+     * @param {Account} senderAccount
+     * @param {string} receiverAddress
+     * @param {number} amount
+     * @param {string} hashLock - SHA256 of the preimage (hex), see hashLockFromPreimage()
+     * @param {number} refundHeight
+     * @param {number} feePerByte
+     */
+    static async createExchangeOffer(senderAccount, receiverAddress, amount, hashLock, refundHeight, feePerByte = utils.SETTINGS.minTransactionFeePerByte) {
+        const senderAddress = senderAccount.address;
+        const UTXOs = senderAccount.UTXOs;
+        if (UTXOs.length === 0) { throw new Error('No UTXO to spend'); }
+
+        this.checkMalformedAnchorsInUtxosArray(UTXOs);
+        this.checkDuplicateAnchorsInUtxosArray(UTXOs);
+
+        const outputs = [TxIO_Builder.newExchangeOutput(amount, receiverAddress, hashLock, senderAddress, refundHeight)];
+        const estimatedWeight = Transaction_Builder.simulateTxToEstimateWeight(UTXOs, outputs);
+        const { change } = Transaction_Builder.calculateFeeAndChange(UTXOs, amount, estimatedWeight, feePerByte);
+
+        if (change !== 0) {
+            const changeOutput = TxIO_Builder.newOutput(change, 'sig', senderAddress);
+            outputs.push(changeOutput);
+        }
+
+        return await this.newTransaction(UTXOs, outputs);
+    }
+    /** Claim a p2pExchange UTXO by revealing the preimage - the receiver still has to sign the transaction
+     * @param {UTXO} exchangeUTXO
+     * @param {string} preimageHex
+     * @param {number} feePerByte
+     */
+    static async createExchangeClaim(exchangeUTXO, preimageHex, feePerByte = utils.SETTINGS.minTransactionFeePerByte) {
+        if (exchangeUTXO.rule !== 'p2pExchange') { throw new Error('Invalid exchange UTXO: rule !== p2pExchange'); }
+        if (await this.hashLockFromPreimage(preimageHex) !== exchangeUTXO.hashLock) { throw new Error('Invalid preimage for this hashLock'); }
+
+        const preimageWitness = `${preimageHex}:${exchangeUTXO.hashLock}`;
+        const transaction = await this.#createExchangeSpending(exchangeUTXO, exchangeUTXO.address, feePerByte, [preimageWitness]);
+        transaction.witnesses.push(preimageWitness);
+
+        return transaction;
+    }
+    /** Refund a p2pExchange UTXO once its refundHeight is reached - the refundAddress has to sign the transaction
+     * @param {UTXO} exchangeUTXO
+     * @param {number} feePerByte
+     */
+    static async createExchangeRefund(exchangeUTXO, feePerByte = utils.SETTINGS.minTransactionFeePerByte) {
+        if (exchangeUTXO.rule !== 'p2pExchange') { throw new Error('Invalid exchange UTXO: rule !== p2pExchange'); }
+
+        return await this.#createExchangeSpending(exchangeUTXO, exchangeUTXO.refundAddress, feePerByte);
+    }
+    /**
+     * @param {UTXO} exchangeUTXO
+     * @param {string} recipientAddress
+     * @param {number} feePerByte
+     * @param {string[]} extraWitnesses
+     */
+    static async #createExchangeSpending(exchangeUTXO, recipientAddress, feePerByte, extraWitnesses = []) {
+        this.checkMalformedAnchorsInUtxosArray([exchangeUTXO]);
+
+        const estimatedWeight = Transaction_Builder.simulateTxToEstimateWeight([exchangeUTXO], [], 1, extraWitnesses);
+        const { change } = Transaction_Builder.calculateFeeAndChange([exchangeUTXO], 0, estimatedWeight, feePerByte);
+        if (change === 0) { throw new Error('Exchange too small to pay the fee'); }
+
+        const output = TxIO_Builder.newOutput(change, 'sig', recipientAddress);
+        return await this.newTransaction([exchangeUTXO], [output]);
+    }
+    /** @param {string} preimageHex - preimageBytes long */
+    static async hashLockFromPreimage(preimageHex) {
+        if (!utils.typeValidation.hex(preimageHex)) { throw new Error('Invalid preimage: !== hex'); }
+        if (preimageHex.length !== utils.UTXO_RULES_GLOSSARY.p2pExchange.preimageBytes * 2) { throw new Error('Invalid preimage length'); }
+
+        const arrayBuffer = await utils.cryptoLib.subtle.digest('SHA-256', utils.convert.hex.toUint8Array(preimageHex));
+        return utils.convert.uint8Array.toHex(new Uint8Array(arrayBuffer));
+    }
+    /** A preimage witness reveals the secret of a p2pExchange UTXO: "preimageHex:hashLockHex"
+     * @param {string} witness
+     */
+    static isPreimageWitness(witness) {
+        return witness.split(':')[0].length === utils.UTXO_RULES_GLOSSARY.p2pExchange.preimageBytes * 2;
+    }
+    /** Used by the other side of an atomic swap to learn the preimage once the exchange is claimed
+     * @param {Transaction} transaction
+     * @param {string} hashLock
+     */
+    static extractPreimage(transaction, hashLock) {
+        const preimageWitness = transaction.witnesses.find(witness => this.isPreimageWitness(witness) && witness.split(':')[1] === hashLock);
+        return preimageWitness ? preimageWitness.split(':')[0] : null;
+    }
+    /** A p2pExchange UTXO is claimed by its receiver when the preimage is revealed, otherwise it's a refund
+     * @param {UTXO} exchangeUTXO
+     * @param {Transaction} transaction
+     */
+    static isExchangeClaim(exchangeUTXO, transaction) {
+        return this.extractPreimage(transaction, exchangeUTXO.hashLock) !== null;
+    }
+    /** Create a transaction to unbond stakes - they stay slashable until the withdrawLockBlocks period is over
+     * @param {Account} stakerAccount - the owner of the stakes
+     * @param {UTXO[]} stakesUTXOs - the sigOrSlash UTXOs to unbond
+     * @param {number} feePerByte
+     */
+    static async createUnbonding(stakerAccount, stakesUTXOs, feePerByte = utils.SETTINGS.minTransactionFeePerByte) {
+        if (stakesUTXOs.length === 0) { throw new Error('No stake to unbond'); }
+
+        this.checkMalformedAnchorsInUtxosArray(stakesUTXOs);
+        this.checkDuplicateAnchorsInUtxosArray(stakesUTXOs);
+        if (stakesUTXOs.some(utxo => utxo.rule !== 'sigOrSlash')) { throw new Error('Only sigOrSlash UTXOs can be unbonded'); }
+        if (stakesUTXOs.some(utxo => utxo.unbondHeight !== undefined)) { throw new Error('Stake already unbonded'); }
+
+        const estimatedWeight = Transaction_Builder.simulateTxToEstimateWeight(stakesUTXOs, []);
+        const { change } = Transaction_Builder.calculateFeeAndChange(stakesUTXOs, 0, estimatedWeight, feePerByte);
+        if (change === 0) { throw new Error('Stake too small to pay the unbonding fee'); }
+
+        const unbondingOutput = TxIO_Builder.newOutput(change, 'sigOrSlash', stakerAccount.address);
+        const transaction = Transaction(stakesUTXOs.map(utxo => utxo.anchor), [unbondingOutput], '', [], utils.UTXO_RULES_GLOSSARY.sigOrSlash.unbondingTxVersion);
+        transaction.id = await Transaction_Builder.hashId(transaction);
+
+        return transaction;
+    }
+    /** Create a transaction slashing the stakes of a validator who signed two conflicting candidates
+     * - the reporter receives a part of the slashed amount, the rest is left as fee for the block creators
+     * @param {string} reporterAddress
+     * @param {CandidateProof} proofA
+     * @param {CandidateProof} proofB
+     * @param {UTXO[]} stakesUTXOs - the offender's sigOrSlash UTXOs
+     */
+    static async createFraudProof(reporterAddress, proofA, proofB, stakesUTXOs) {
+        if (typeof reporterAddress !== 'string') { throw new Error('Invalid reporterAddress'); }
+        if (stakesUTXOs.length === 0) { throw new Error('No stake to slash'); }
+
+        this.checkMalformedAnchorsInUtxosArray(stakesUTXOs);
+        this.checkDuplicateAnchorsInUtxosArray(stakesUTXOs);
+        if (stakesUTXOs.some(utxo => utxo.rule !== 'sigOrSlash')) { throw new Error('Only sigOrSlash UTXOs can be slashed'); }
+
+        const slashedAmount = stakesUTXOs.reduce((a, b) => a + b.amount, 0);
+        const reporterReward = Math.floor(slashedAmount * utils.UTXO_RULES_GLOSSARY.sigOrSlash.reporterRewardPercent / 100);
+        const outputs = reporterReward > 0 ? [TxIO_Builder.newOutput(reporterReward, 'sig', reporterAddress)] : [];
+
+        const inputs = stakesUTXOs.map(utxo => utxo.anchor);
+        const transaction = Transaction(inputs, outputs, '', [], utils.UTXO_RULES_GLOSSARY.sigOrSlash.fraudProofTxVersion);
+        transaction.id = await Transaction_Builder.hashId(transaction);
+        transaction.witnesses.push(`${FraudProof.toHex(proofA)}:${FraudProof.toHex(proofB)}`);
+
+        return transaction;
+    }
     /**
      * @param {UTXO[]} utxos
      * @param {TxOutput[]} outputs
@@ -244,8 +490,10 @@ export class Transaction_Builder {
     /**
      * @param {UTXO[]} utxos
      * @param {TxOutput[]} outputs
+     * @param {number} nbOfSigners
+     * @param {string[]} extraWitnesses - ex: multiSig descriptor
      */
-    static simulateTxToEstimateWeight(utxos, outputs, nbOfSigners = 1) {
+    static simulateTxToEstimateWeight(utxos, outputs, nbOfSigners = 1, extraWitnesses = []) {
         const change = 26_152_659_654_321;
         const changeOutput = TxIO_Builder.newOutput(change, 'sig', 'Cv6XXKBTALRPSCzuU6k4');
         const outputsClone = TxIO_Builder.cloneTxIO(outputs);
@@ -254,6 +502,7 @@ export class Transaction_Builder {
         const inputs = utxos.map(utxo => utxo.anchor);
         const witnesses = [];
         for (let i = 0; i < nbOfSigners; i++) { witnesses.push("6a6e432aaba4c7f241f9dcc9ea1c7df94e2533b53974182b86d3acd83029667cc940ce6eea166c97953789d169af562a54d6c96028a5ca7dba95047a15bfd20c:846a6a7c422c4b9a7e8600d3a14750c736b6ee6e7905a245eaa6c2c63ff93a5b"); }
+        witnesses.push(...extraWitnesses);
         const transaction = Transaction(inputs, outputsClone, '0360bb18', witnesses);
 
         return Transaction_Builder.getTxWeight(transaction);
@@ -282,7 +531,7 @@ export class Transaction_Builder {
         return serialized.byteLength;
     }
     /**
-     * @param {{recipientAddress: string, amount: number}[]} transfers
+     * @param {{recipientAddress: string, amount: number, lockUntilBlock: number | undefined}[]} transfers
      * @param {string} rule
      * @param {number} version
      */
@@ -291,8 +540,10 @@ export class Transaction_Builder {
         let totalSpent = 0;
 
         for (let i = 0; i < transfers.length; i++) {
-            const { recipientAddress, amount } = transfers[i];
-            const output = TxIO_Builder.newOutput(amount, rule, recipientAddress);
+            const { recipientAddress, amount, lockUntilBlock } = transfers[i];
+            // payments to a multiSig address are locked by the multiSigCreate rule
+            const outputRule = rule === 'sig' && utils.addressUtils.isMultiSigAddress(recipientAddress) ? 'multiSigCreate' : rule;
+            const output = TxIO_Builder.newOutput(amount, outputRule, recipientAddress, lockUntilBlock);
             outputs.push(output);
             totalSpent += amount;
         }
@@ -348,6 +599,40 @@ export class Transaction_Builder {
 
         return false;
     }
+    /** An unbonding Tx is marked by its version, its shape is controlled by TxValidation.isConformTransaction()
+     * @param {Transaction} transaction
+     */
+    static isUnbondingTx(transaction) {
+        return transaction.version === utils.UTXO_RULES_GLOSSARY.sigOrSlash.unbondingTxVersion;
+    }
+    /** The descriptor witness reveals the multiSig address's composition: "mHex:sortedPubKeysHex"
+     * @param {number} nbOfRequiredSigners - M
+     * @param {string[]} pubKeysHex - N
+     */
+    static buildMultiSigDescriptorWitness(nbOfRequiredSigners, pubKeysHex) {
+        const sortedPubKeysHex = [...pubKeysHex].sort();
+        return `${nbOfRequiredSigners.toString(16).padStart(2, '0')}:${sortedPubKeysHex.join('')}`;
+    }
+    /** @param {string} witness */
+    static isMultiSigDescriptorWitness(witness) {
+        return witness.split(':')[0].length === 2;
+    }
+    /** @param {string} witness */
+    static decomposeMultiSigDescriptorWitness(witness) {
+        const [mHex, pubKeysHex] = witness.split(':');
+        if (!utils.typeValidation.hex(mHex) || !utils.typeValidation.hex(pubKeysHex)) { throw new Error('Invalid multiSig descriptor: !== hex'); }
+        if (pubKeysHex.length % 64 !== 0) { throw new Error('Invalid multiSig descriptor: pubKeys malformed'); }
+
+        const nbOfRequiredSigners = parseInt(mHex, 16);
+        const pubKeys = pubKeysHex.match(/.{64}/g);
+        return { nbOfRequiredSigners, pubKeys };
+    }
+    /** A fraud proof is marked by its version, its single witness is made of two candidate proofs (hex) instead of signature:pubKey
+     * @param {Transaction} transaction
+     */
+    static isFraudProofTx(transaction) {
+        return transaction.version === utils.UTXO_RULES_GLOSSARY.sigOrSlash.fraudProofTxVersion;
+    }
     /** @param {Transaction} transaction */
     static isIncriptionTx(transaction) {
         if (transaction.outputs.length !== 1) { return false; }
@@ -362,6 +647,34 @@ export class Transaction_Builder {
 
         return Transaction(inputs, outputs, transaction.id, witnesses, transaction.version);
     }
+    /** Export a transaction (with the witnesses already collected) to be co-signed by another account
+     * @param {Transaction} transaction
+     */
+    static exportPartiallySigned(transaction) {
+        const serialized = utils.serializer.transaction.toBinary_v2(transaction);
+        return utils.convert.uint8Array.toHex(serialized);
+    }
+    /** @param {string} partiallySignedHex */
+    static importPartiallySigned(partiallySignedHex) {
+        if (!utils.typeValidation.hex(partiallySignedHex)) { throw new Error('Invalid partially signed transaction: !== hex'); }
+
+        const serialized = utils.convert.hex.toUint8Array(partiallySignedHex);
+        return utils.serializer.transaction.fromBinary_v2(serialized);
+    }
+    /** Merge the witnesses of two copies of the same transaction signed in parallel
+     * @param {Transaction} transaction - will be completed
+     * @param {Transaction} cosignedTransaction
+     */
+    static mergeWitnesses(transaction, cosignedTransaction) {
+        if (transaction.id !== cosignedTransaction.id) { throw new Error('Cannot merge witnesses of different transactions'); }
+
+        for (const witness of cosignedTransaction.witnesses) {
+            if (transaction.witnesses.includes(witness)) { continue; }
+            transaction.witnesses.push(witness);
+        }
+
+        return transaction;
+    }
     /** @param {Transaction} transaction */
     static clone(transaction) {
         const serialized = utils.serializer.transaction.toBinary_v2(transaction);
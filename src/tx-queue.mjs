@@ -131,53 +131,71 @@ export class TransactionPriorityQueue {
     getTransactions(maxSize) {
         let totalSize = 0;
         const result = [];
-        const tempHeap = [...this.heap];
 
-        while (totalSize < maxSize && tempHeap.length > 0) {
-            const tx = tempHeap[0];
+        for (const tx of this.byPriority()) {
             if (totalSize + tx.size > maxSize) {
                 break;
             }
             result.push(tx);
             totalSize += tx.size;
-            this.removeFromTempHeap(tempHeap, 0);
         }
 
         return result;
     }
 
-    removeFromTempHeap(heap, index) {
-        const last = heap.pop();
-        if (heap.length > 0) {
-            heap[index] = last;
-            this.bubbleDownTempHeap(heap, index);
+    /**
+     * Yields the transactions by decreasing feePerByte without touching the queue,
+     * reading the k first costs O(k log k) whatever the queue size.
+     * The queue must not be modified during the iteration.
+     */
+    *byPriority() {
+        if (this.isEmpty()) {
+            return;
         }
-    }
-
-    bubbleDownTempHeap(heap, index) {
-        while (true) {
-            let largestIndex = index;
-            const leftChildIndex = 2 * index + 1;
-            const rightChildIndex = 2 * index + 2;
-
-            if (leftChildIndex < heap.length &&
-                heap[leftChildIndex].feePerByte > heap[largestIndex].feePerByte) {
-                largestIndex = leftChildIndex;
-            }
-
-            if (rightChildIndex < heap.length &&
-                heap[rightChildIndex].feePerByte > heap[largestIndex].feePerByte) {
-                largestIndex = rightChildIndex;
+        const candidates = [0]; // heap indexes, kept as a max-heap on their feePerByte
+        const feePerByteOf = (i) => this.heap[candidates[i]].feePerByte;
+
+        while (candidates.length > 0) {
+            const index = candidates[0];
+            const last = candidates.pop();
+            if (candidates.length > 0) {
+                candidates[0] = last;
+                let i = 0;
+                while (true) {
+                    let largest = i;
+                    const left = 2 * i + 1;
+                    const right = 2 * i + 2;
+                    if (left < candidates.length && feePerByteOf(left) > feePerByteOf(largest)) {
+                        largest = left;
+                    }
+                    if (right < candidates.length && feePerByteOf(right) > feePerByteOf(largest)) {
+                        largest = right;
+                    }
+                    if (largest === i) {
+                        break;
+                    }
+                    [candidates[i], candidates[largest]] = [candidates[largest], candidates[i]];
+                    i = largest;
+                }
             }
 
-            if (largestIndex === index) {
-                break;
+            yield this.heap[index];
+
+            for (const child of [2 * index + 1, 2 * index + 2]) {
+                if (child >= this.size()) {
+                    continue;
+                }
+                candidates.push(child);
+                let i = candidates.length - 1;
+                while (i > 0) {
+                    const parent = Math.floor((i - 1) / 2);
+                    if (feePerByteOf(i) <= feePerByteOf(parent)) {
+                        break;
+                    }
+                    [candidates[i], candidates[parent]] = [candidates[parent], candidates[i]];
+                    i = parent;
+                }
             }
-
-            const temp = heap[index];
-            heap[index] = heap[largestIndex];
-            heap[largestIndex] = temp;
-            index = largestIndex;
         }
     }
 }
@@ -37,6 +37,7 @@ const WorkerModule = isNode ? (await import('worker_threads')).Worker : Worker;
 * @typedef {import("./block.mjs").Block} Block
 * @typedef {import("./block.mjs").BlockData} BlockData
 * @typedef {import("./transaction.mjs").Transaction} Transaction
+* @typedef {import("./fraud-proof.mjs").CandidateProof} CandidateProof
 * @typedef {import("./conCrypto.mjs").argon2Hash} HashFunctions
 */
 //#endregion
@@ -55,6 +56,10 @@ const SETTINGS = { // The Fibonacci based distribution
     targetBlockTime: 10_000, // 120_000, // 2 min
     maxBlockSize: 200_000, // ~200KB
 
+    // FINALITY
+    maxReorgDepth: 100, // blocks buried deeper are final
+    checkpoints: {}, // height -> hash, a branch contradicting them is refused
+
     // DISTRIBUTION
     rewardMagicNb1: 102_334_155, // Fibonacci n+2
     rewardMagicNb2: 63_245_986, // Fibonacci n+1
@@ -65,13 +70,14 @@ const SETTINGS = { // The Fibonacci based distribution
 
     // TRANSACTION
     minTransactionFeePerByte: 1,
+    minRbfFeeBumpPerByte: 1, // a replacement pays the evicted fees + its own weight at this rate
 };
 const UTXO_RULES_GLOSSARY = {
     sig: { code: 0, description: 'Simple signature verification' },
-    sigOrSlash: { code: 1, description: "Open right to slash the UTXO if validator's fraud proof is provided", withdrawLockBlocks: 144 },
+    sigOrSlash: { code: 1, description: "Open right to slash the UTXO if validator's fraud proof is provided", withdrawLockBlocks: 144, reporterRewardPercent: 10, fraudProofTxVersion: 2, unbondingTxVersion: 3 },
     lockUntilBlock: { code: 2, description: 'UTXO locked until block height', lockUntilBlock: 0 },
     multiSigCreate: { code: 3, description: 'Multi-signature creation' },
-    p2pExchange: { code: 4, description: 'Peer-to-peer exchange' }
+    p2pExchange: { code: 4, description: 'Hash-time-locked: claimed by revealing the preimage or refunded from refundHeight', preimageBytes: 32 }
 };
 const UTXO_RULESNAME_FROM_CODE = {
     0: 'sig',
@@ -123,6 +129,7 @@ const addressUtils = {
         argon2DerivationMemory: 2 ** 16, // 2**16 should be great
         addressDerivationBytes: 16, // the hex return will be double this value
         addressBase58Length: 20,
+        multiSigMaxSigners: 16,
     },
     glossary: {
         W: { name: 'Weak', description: 'No condition', zeroBits: 0 },
@@ -154,6 +161,29 @@ const addressUtils = {
         return addressBase58;
     },
 
+    /**
+     * - The address is derived from the sorted pubKeys and the number of required signatures
+     * @param {number} nbOfRequiredSigners - M
+     * @param {string[]} pubKeysHex - N
+     */
+    deriveMultiSigAddress: async (nbOfRequiredSigners, pubKeysHex) => {
+        if (nbOfRequiredSigners % 1 !== 0 || nbOfRequiredSigners < 1) { throw new Error('Invalid number of required signers'); }
+        if (nbOfRequiredSigners > pubKeysHex.length) { throw new Error('Required signers > number of pubKeys'); }
+        if (pubKeysHex.length > addressUtils.params.multiSigMaxSigners) { throw new Error(`Too many pubKeys: max ${addressUtils.params.multiSigMaxSigners}`); }
+        if (conditionnals.arrayIncludeDuplicates(pubKeysHex)) { throw new Error('Duplicate pubKeys'); }
+
+        const sortedPubKeysHex = [...pubKeysHex].sort();
+        const descriptorUint8 = convert.hex.toUint8Array(`${nbOfRequiredSigners.toString(16).padStart(2, '0')}${sortedPubKeysHex.join('')}`);
+        const arrayBuffer = await cryptoLib.subtle.digest('SHA-256', descriptorUint8);
+        const hashHex = convert.uint8Array.toHex(new Uint8Array(arrayBuffer));
+
+        return `M${convert.hex.toBase58(hashHex).substring(0, addressUtils.params.addressBase58Length - 1)}`;
+    },
+    /** @param {string} addressBase58 */
+    isMultiSigAddress: (addressBase58) => {
+        return addressBase58.substring(0, 1) === 'M';
+    },
+
     /** ==> First verification, low computation cost.
      *
      * - Control the length of the address and its first char
@@ -784,14 +814,23 @@ const serializer = {
                 };
 
                 for (let j = 0; j < tx.outputs.length; j++) {
-                    const { amount, rule, address } = tx.outputs[j];
+                    const { amount, rule, address, lockUntilBlock, hashLock, refundAddress, refundHeight } = tx.outputs[j];
                     if (amount, rule, address) { //  {"amount": 19545485, "rule": "sig", "address": "WKXmNF5xJTd58aWpo7QX"}
                         const ruleCode = UTXO_RULES_GLOSSARY[rule].code;
-                        txAsArray[4].push([
+                        const outputAsArray = [
                             convert.number.toUint8Array(amount), // safe type: number
                             convert.number.toUint8Array(ruleCode), // safe type: numbers
                             convert.base58.toUint8Array(address) // safe type: base58
-                        ]);
+                        ];
+                        if (lockUntilBlock !== undefined) { outputAsArray.push(convert.number.toUint8Array(lockUntilBlock)); } // safe type: number
+                        if (hashLock !== undefined) { // -> p2pExchange
+                            outputAsArray.push(
+                                convert.hex.toUint8Array(hashLock), // safe type: hex
+                                convert.base58.toUint8Array(refundAddress), // safe type: base58
+                                convert.number.toUint8Array(refundHeight) // safe type: number
+                            );
+                        }
+                        txAsArray[4].push(outputAsArray);
                     } else { // type: string
                         txAsArray[4].push([convert.string.toUint8Array(tx.outputs[j])]);
                     }
@@ -837,12 +876,19 @@ const serializer = {
 
                 for (let j = 0; j < decodedTx[4].length; j++) {
                     const output = decodedTx[4][j];
-                    if (output.length === 3) {
+                    if (output.length >= 3) {
                         const amount = convert.uint8Array.toNumber(output[0]); // safe type: uint8 -> number
                         const ruleCode = convert.uint8Array.toNumber(output[1]); // safe type: uint8 -> number
                         const rule = UTXO_RULESNAME_FROM_CODE[ruleCode];
                         const address = convert.uint8Array.toBase58(output[2]); // safe type: uint8 -> base58
-                        tx.outputs.push({ amount, rule, address });
+                        const txOutput = { amount, rule, address };
+                        if (output.length === 4) { txOutput.lockUntilBlock = convert.uint8Array.toNumber(output[3]); } // safe type: uint8 -> number
+                        if (output.length === 6) { // -> p2pExchange
+                            txOutput.hashLock = convert.uint8Array.toHex(output[3]); // safe type: uint8 -> hex
+                            txOutput.refundAddress = convert.uint8Array.toBase58(output[4]); // safe type: uint8 -> base58
+                            txOutput.refundHeight = convert.uint8Array.toNumber(output[5]); // safe type: uint8 -> number
+                        }
+                        tx.outputs.push(txOutput);
                     } else {
                         tx.outputs.push(convert.uint8Array.toString(output));
                     }
@@ -870,7 +916,8 @@ const serializer = {
                 convert.hex.toUint8Array(blockData.prevHash), // safe type: hex
                 convert.number.toUint8Array(blockData.posTimestamp), // safe type: number
                 convert.number.toUint8Array(blockData.powReward), // safe type: number
-                [] // Txs
+                [], // Txs
+                convert.hex.toUint8Array(blockData.utxoSetHash) // safe type: hex
             ];
 
             for (let i = 0; i < blockData.Txs.length; i++) {
@@ -894,6 +941,7 @@ const serializer = {
                 prevHash: convert.uint8Array.toHex(decodedBlock[5]), // safe type: uint8 -> hex
                 posTimestamp: convert.uint8Array.toNumber(decodedBlock[6]), // safe type: uint8 -> number
                 powReward: convert.uint8Array.toNumber(decodedBlock[7]), // safe type: uint8 -> number
+                utxoSetHash: convert.uint8Array.toHex(decodedBlock[9]), // safe type: uint8 -> hex
                 Txs: []
             };
 
@@ -904,6 +952,46 @@ const serializer = {
             return blockData;
         }
     },
+    candidate_proof: {
+        /** @param {CandidateProof} proof */
+        toBinary_v2(proof) {
+            const proofAsArray = [
+                convert.number.toUint8Array(proof.index), // safe type: number
+                convert.number.toUint8Array(proof.supply), // safe type: number
+                convert.number.toUint8Array(proof.coinBase), // safe type: number
+                convert.number.toUint8Array(proof.difficulty), // safe type: number
+                convert.number.toUint8Array(proof.legitimacy), // safe type: number
+                convert.hex.toUint8Array(proof.prevHash), // safe type: hex
+                convert.number.toUint8Array(proof.posTimestamp), // safe type: number
+                convert.hex.toUint8Array(proof.txsHash), // safe type: hex
+                serializer.transaction.toBinary_v2(proof.posTx),
+                convert.hex.toUint8Array(proof.utxoSetHash) // safe type: hex
+            ];
+
+            /** @type {Uint8Array} */
+            const encoded = msgpack.encode(proofAsArray);
+            return encoded;
+        },
+        /** @param {Uint8Array} encodedProof */
+        fromBinary_v2(encodedProof) {
+            const decodedProof = msgpack.decode(encodedProof);
+            /** @type {CandidateProof} */
+            const proof = {
+                index: convert.uint8Array.toNumber(decodedProof[0]), // safe type: uint8 -> number
+                supply: convert.uint8Array.toNumber(decodedProof[1]), // safe type: uint8 -> number
+                coinBase: convert.uint8Array.toNumber(decodedProof[2]), // safe type: uint8 -> number
+                difficulty: convert.uint8Array.toNumber(decodedProof[3]), // safe type: uint8 -> number
+                legitimacy: convert.uint8Array.toNumber(decodedProof[4]), // safe type: uint8 -> number
+                prevHash: convert.uint8Array.toHex(decodedProof[5]), // safe type: uint8 -> hex
+                posTimestamp: convert.uint8Array.toNumber(decodedProof[6]), // safe type: uint8 -> number
+                txsHash: convert.uint8Array.toHex(decodedProof[7]), // safe type: uint8 -> hex
+                posTx: serializer.transaction.fromBinary_v2(decodedProof[8]),
+                utxoSetHash: convert.uint8Array.toHex(decodedProof[9]) // safe type: uint8 -> hex
+            };
+
+            return proof;
+        }
+    },
     block_finalized: {
         /** @param {BlockData} blockData */
         toBinary_v2(blockData) {
@@ -918,7 +1006,9 @@ const serializer = {
                 convert.number.toUint8Array(blockData.timestamp), // safe type: number
                 convert.hex.toUint8Array(blockData.hash), // safe type: hex
                 convert.hex.toUint8Array(blockData.nonce), // safe type: hex
-                [] // Txs
+                [], // Txs
+                convert.hex.toUint8Array(blockData.utxoSetHash), // safe type: hex
+                convert.hex.toUint8Array(blockData.merkleRoot) // safe type: hex
             ];
 
             for (let i = 0; i < blockData.Txs.length; i++) {
@@ -944,6 +1034,8 @@ const serializer = {
                 timestamp: convert.uint8Array.toNumber(decodedBlock[7]), // safe type: uint8 -> number
                 hash: convert.uint8Array.toHex(decodedBlock[8]), // safe type: uint8 -> hex
                 nonce: convert.uint8Array.toHex(decodedBlock[9]), // safe type: uint8 -> hex
+                utxoSetHash: convert.uint8Array.toHex(decodedBlock[11]), // safe type: uint8 -> hex
+                merkleRoot: convert.uint8Array.toHex(decodedBlock[12]), // safe type: uint8 -> hex
                 Txs: []
             };
 
@@ -1222,6 +1314,13 @@ const mining = {
         const adjust = difficulty % 16;
         return { zeros, adjust };
     },
+    /** The expected number of hashes to meet this difficulty, the work of a chain is the sum of its blocks work
+     * @param {number} finalDifficulty
+     */
+    getDifficultyWork: (finalDifficulty) => {
+        const { zeros, adjust } = mining.decomposeDifficulty(finalDifficulty);
+        return 2 ** zeros * 32 / (32 - adjust); // next 5 bits >= adjust: (32 - adjust) / 32 chance
+    },
     /**
      * @param {string} HashBitsAsString
      * @param {BlockData} blockData
@@ -1262,6 +1361,7 @@ const utils = {
     argon2: argon2Lib,
     newWorker,
     SETTINGS,
+    MINING_PARAMS,
     ProgressLogger,
     addressUtils,
     typeValidation,
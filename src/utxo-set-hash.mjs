@@ -0,0 +1,72 @@
+import { HashFunctions } from './conCrypto.mjs';
+
+/**
+* @typedef {import("./transaction.mjs").UTXO} UTXO
+*/
+
+const MODULUS = 2n ** 3072n - 1103717n; // largest 3072-bit safe prime (MuHash3072): a small group would allow to forge a set
+const ELEMENT_HASHES = 12; // 12 * 256 bits: the UTXO hash is expanded to the size of the group
+
+/**
+ * @param {bigint} base
+ * @param {bigint} exponent
+ */
+const modPow = (base, exponent) => {
+    let result = 1n;
+    base %= MODULUS;
+    while (exponent > 0n) {
+        if (exponent & 1n) { result = result * base % MODULUS; }
+        base = base * base % MODULUS;
+        exponent >>= 1n;
+    }
+    return result;
+};
+
+/** Multiplicative hash of the UTXO set (MuHash3072): the hash of a UTXO is multiplied in when it's created and divided out when it's spent.
+ * - The order doesn't matter, a block only costs the hashes of the UTXOs it creates and spends
+ * - The divisions are accumulated in the denominator, a single modular inverse is computed by toHex()
+ * - toHex() is the state of the accumulator (384 bytes), the blocks commit its digest() (32 bytes)
+ */
+export class UtxoSetHash {
+    /** @param {string} [hex] - a value from toHex(), default: the empty set */
+    constructor(hex) {
+        /** @type {bigint} */
+        this.numerator = hex ? BigInt(`0x${hex}`) : 1n;
+        /** @type {bigint} */
+        this.denominator = 1n;
+    }
+
+    /** Only the defined fields are hashed, sorted by name: the same UTXO always gives the same element
+     * @param {UTXO} utxo
+     */
+    static async hashUTXO(utxo) {
+        const keys = Object.keys(utxo).filter(key => utxo[key] !== undefined && utxo[key] !== null).sort();
+        const hashHex = await HashFunctions.SHA256(keys.map(key => `${key}=${utxo[key]}`).join(';'));
+        let elementHex = '';
+        for (let i = 0; i < ELEMENT_HASHES; i++) { elementHex += await HashFunctions.SHA256(`${i}:${hashHex}`); }
+
+        const element = BigInt(`0x${elementHex}`) % MODULUS;
+        return element === 0n ? 1n : element;
+    }
+    /**
+     * @param {UTXO[]} addedUTXOs
+     * @param {UTXO[]} removedUTXOs
+     */
+    async update(addedUTXOs, removedUTXOs) {
+        for (const utxo of addedUTXOs) { this.numerator = this.numerator * await UtxoSetHash.hashUTXO(utxo) % MODULUS; }
+        for (const utxo of removedUTXOs) { this.denominator = this.denominator * await UtxoSetHash.hashUTXO(utxo) % MODULUS; }
+    }
+    /** @returns {string} 384 bytes hex, the state to restore the accumulator from */
+    toHex() {
+        if (this.denominator !== 1n) {
+            this.numerator = this.numerator * modPow(this.denominator, MODULUS - 2n) % MODULUS;
+            this.denominator = 1n;
+        }
+
+        return this.numerator.toString(16).padStart(768, '0');
+    }
+    /** @returns {Promise<string>} 32 bytes hex, committed by the block headers */
+    async digest() {
+        return await HashFunctions.SHA256(this.toHex());
+    }
+}
@@ -1,7 +1,8 @@
 import { Transaction, UTXO, Transaction_Builder, TxIO_Builder } from './transaction.mjs';
-import { BlockMiningData } from './block.mjs';
+import { BlockMiningData, BlockUndoData } from './block.mjs';
 import utils from './utils.mjs';
 import { TxValidation } from './validation.mjs';
+import { UtxoSetHash } from './utxo-set-hash.mjs';
 
 /**
 * @typedef {import("./block.mjs").BlockData} BlockData
@@ -20,6 +21,8 @@ export class UtxoCache { // Used to store, addresses's UTXOs and balance.
 
         /** @type {BlockMiningData[]} */
         this.blockMiningData = blockMiningData; // .csv mining datas research
+        /** @type {UtxoSetHash} */
+        this.utxoSetHash = new UtxoSetHash(); // of the UTXO set after the last block, see getUtxoSetHashAfter()
 
         /** @type {Object<string, WebSocketCallBack>} */
         this.wsCallbacks = {};
@@ -47,20 +50,25 @@ export class UtxoCache { // Used to store, addresses's UTXOs and balance.
     /**
      * @param {Transaction} transaction
      * @param {number} TxIndexInTheBlock
+     * @param {BlockUndoData} undoData - will be filled with the spent UTXOs
      */
-    #digestTransactionInputs(transaction, TxIndexInTheBlock) {
-        if (Transaction_Builder.isMinerOrValidatorTx(transaction, TxIndexInTheBlock)) { return }
+    #digestTransactionInputs(transaction, TxIndexInTheBlock, undoData) {
+        const spentStakesAnchors = [];
+        if (Transaction_Builder.isMinerOrValidatorTx(transaction, TxIndexInTheBlock)) { return spentStakesAnchors; }
 
         for (const input of transaction.inputs) {
             const anchor = input;
             if (!utils.types.anchor.isConform(anchor)) { throw new Error('Invalid anchor'); }
             
-            const { address, amount } = this.utxosByAnchor[anchor];
+            const utxo = this.utxosByAnchor[anchor];
+            const { address, amount, rule } = utxo;
             this.#removeUTXO(address, anchor);
+            undoData.spentUTXOs.push(utxo);
             this.#changeBalance(address, -amount);
+            if (rule === "sigOrSlash") { spentStakesAnchors.push(anchor); } // spent or slashed
         }
 
-        return true;
+        return spentStakesAnchors;
     }
     /**
      * @param {string} address
@@ -79,67 +87,109 @@ export class UtxoCache { // Used to store, addresses's UTXOs and balance.
         delete this.utxosByAnchor[anchor];
         // console.log(`[utxoCache]=> UTXO removed: ${utxoBlockHeight} - ${utxoTxID} - ${vout} | owner: ${address}`);
     }
+    /** @param {UTXO} utxo */
+    #addUTXO(utxo) {
+        if (this.addressesUTXOs[utxo.address] === undefined) { this.addressesUTXOs[utxo.address] = []; }
+        this.addressesUTXOs[utxo.address].push(utxo);
+        this.utxosByAnchor[utxo.anchor] = utxo;
+        this.#changeBalance(utxo.address, utxo.amount);
+    }
     /**
      * @param {number} blockIndex
      * @param {Transaction} transaction
+     * @param {BlockUndoData} undoData - will be filled with the created anchors
      */
-    #digestTransactionOutputs(blockIndex, transaction) {
+    #digestTransactionOutputs(blockIndex, transaction, undoData) {
         const newStakesOutputs = [];
-        const TxID = transaction.id;
         const TxOutputs = transaction.outputs;
         for (let i = 0; i < TxOutputs.length; i++) {
             const output = TxOutputs[i];
             TxValidation.isConformOutput(output); // throw if invalid
 
-            const { address, amount, rule } = output;
-            const anchor = `${blockIndex}:${TxID}:${i}`
+            const utxo = this.#newUTXO(blockIndex, transaction, i);
+            const anchor = utxo.anchor;
             if (!utils.types.anchor.isConform(anchor)) { throw new Error(`Invalid UTXO anchor: ${anchor}`); }
 
-            const utxo = TxIO_Builder.newUTXO(anchor, amount, rule, address);
-            if (!utxo) { throw new Error('Invalid UTXO'); }
-
-            if (rule === "sigOrSlash") {
+            if (output.rule === "sigOrSlash") {
                 if (i !== 0) { throw new Error('sigOrSlash must be the first output'); }
-                const remainingAmount = TxValidation.calculateRemainingAmount(this.utxosByAnchor, transaction);
-                if (remainingAmount < output.amount) { throw new Error('SigOrSlash requires fee > amount'); }
-                newStakesOutputs.push(utxo); // for now we only create new range
+                if (utxo.unbondHeight === undefined) { // the unbonding stakes stay out of the spectrum
+                    const remainingAmount = TxValidation.calculateRemainingAmount(this.utxosByAnchor, transaction);
+                    if (remainingAmount < output.amount) { throw new Error('SigOrSlash requires fee > amount'); }
+                    newStakesOutputs.push(utxo); // for now we only create new range
+                }
             }
 
-            if (this.addressesUTXOs[address] === undefined) { this.addressesUTXOs[address] = []; }
-            this.addressesUTXOs[address].push(utxo);
-            this.utxosByAnchor[anchor] = utxo;
-            this.#changeBalance(address, amount);
+            this.#addUTXO(utxo);
+            undoData.createdAnchors.push(anchor);
         }
 
         return newStakesOutputs;
     }
+    /**
+     * @param {number} blockIndex
+     * @param {Transaction} transaction
+     * @param {number} vout
+     */
+    #newUTXO(blockIndex, transaction, vout) {
+        const output = transaction.outputs[vout];
+        const { address, amount, rule } = output;
+        const utxo = TxIO_Builder.newUTXO(`${blockIndex}:${transaction.id}:${vout}`, amount, rule, address);
+        if (!utxo) { throw new Error('Invalid UTXO'); }
+
+        if (output.lockUntilBlock !== undefined) { utxo.lockUntilBlock = output.lockUntilBlock; }
+        if (rule === "p2pExchange") {
+            utxo.hashLock = output.hashLock;
+            utxo.refundAddress = output.refundAddress;
+            utxo.refundHeight = output.refundHeight;
+        }
+        // out of the spectrum, but still slashable until the withdrawLockBlocks period is over
+        if (rule === "sigOrSlash" && Transaction_Builder.isUnbondingTx(transaction)) { utxo.unbondHeight = blockIndex; }
+
+        return utxo;
+    }
+    /** The UTXOs created by the block, including the ones it spent itself
+     * @param {BlockUndoData} undoData
+     */
+    #getCreatedUTXOs(undoData) {
+        return undoData.createdAnchors.map(anchor => this.utxosByAnchor[anchor] || undoData.spentUTXOs.find(utxo => utxo.anchor === anchor));
+    }
     /**
     * @param {number} blockIndex
     * @param {Transaction[]} Txs
+    * @param {BlockUndoData} undoData
     */
-    #digestFinalizedBlockTransactions(blockIndex, Txs) {
+    #digestFinalizedBlockTransactions(blockIndex, Txs, undoData) {
         if (!Array.isArray(Txs)) { throw new Error('Txs is not an array'); }
         //console.log(`Digesting block ${blockIndex} with ${Txs.length} transactions`);
         const newStakesOutputs = [];
+        const spentStakesAnchors = [];
 
         for (let i = 0; i < Txs.length; i++) {
             const transaction = Txs[i];
-            const newStakesOutputsFromTx = this.#digestTransactionOutputs(blockIndex, transaction);
-            this.#digestTransactionInputs(transaction, i);
+            const newStakesOutputsFromTx = this.#digestTransactionOutputs(blockIndex, transaction, undoData);
+            const spentStakesAnchorsFromTx = this.#digestTransactionInputs(transaction, i, undoData);
             newStakesOutputs.push(...newStakesOutputsFromTx);
+            spentStakesAnchors.push(...spentStakesAnchorsFromTx);
         }
 
-        return newStakesOutputs;
+        return { newStakesOutputs, spentStakesAnchors };
     }
 
     // Public methods
-    /** @param {BlockData[]} blocksData */
+    /** - The undo data of each block allows to revert it with undoFinalizedBlock()
+     * @param {BlockData[]} blocksData
+     * @returns {Promise<{newStakesOutputs: UTXO[], spentStakesAnchors: string[], blocksUndoData: BlockUndoData[]} | false>}
+     */
     async digestFinalizedBlocks(blocksData) {
         try {
             const newStakesOutputs = [];
+            const spentStakesAnchors = [];
+            const blocksUndoData = [];
             for (const blockData of blocksData) {
                 const Txs = blockData.Txs;
-                const newStakesOutputsFromBlock = this.#digestFinalizedBlockTransactions(blockData.index, Txs);
+                const undoData = BlockUndoData(blockData.index, blockData.hash);
+                const stakesChangesFromBlock = this.#digestFinalizedBlockTransactions(blockData.index, Txs, undoData);
+                await this.utxoSetHash.update(this.#getCreatedUTXOs(undoData), undoData.spentUTXOs);
 
                 const supplyFromBlock = blockData.supply;
                 const coinBase = blockData.coinBase;
@@ -156,16 +206,70 @@ export class UtxoCache { // Used to store, addresses's UTXOs and balance.
                 //console.info(`supplyFromBlock+coinBase: ${utils.convert.number.formatNumberAsCurrency(totalSupply)} - totalOfBalances: ${utils.convert.number.formatNumberAsCurrency(totalOfBalances)}`);
 
                 this.blockMiningData.push({ index: blockData.index, difficulty: blockData.difficulty, timestamp: blockData.timestamp, posTimestamp: blockData.posTimestamp });
-                newStakesOutputs.push(...newStakesOutputsFromBlock);
+                newStakesOutputs.push(...stakesChangesFromBlock.newStakesOutputs);
+                spentStakesAnchors.push(...stakesChangesFromBlock.spentStakesAnchors);
+                blocksUndoData.push(undoData);
             }
 
-            return newStakesOutputs;
+            return { newStakesOutputs, spentStakesAnchors, blocksUndoData };
         } catch (error) {
             console.error(error);
             return false;
         }
 
     }
+    /** The digest committed by a block: of the UTXO set after its transactions, nothing is modified (scratch accumulator)
+     * - The outputs of the coinbase and validator Txs are excluded: they are created after the candidate is signed
+     * @param {number} blockIndex
+     * @param {Transaction[]} Txs - a transaction can spend the outputs of a previous one
+     */
+    async getUtxoSetHashAfter(blockIndex, Txs) {
+        /** @type {Object<string, UTXO>} */
+        const createdUTXOs = {};
+        /** @type {UTXO[]} */
+        const spentUTXOs = [];
+        for (const transaction of Txs) {
+            if (Transaction_Builder.isMinerOrValidatorTx(transaction)) { continue; }
+
+            /** @type {Object<string, UTXO>} */
+            const inputsUTXOs = {};
+            for (const anchor of transaction.inputs) {
+                inputsUTXOs[anchor] = createdUTXOs[anchor] || this.utxosByAnchor[anchor];
+                if (!inputsUTXOs[anchor]) { throw new Error(`UTXO not found: ${anchor}`); }
+            }
+            for (let i = 0; i < transaction.outputs.length; i++) {
+                const utxo = this.#newUTXO(blockIndex, transaction, i);
+                createdUTXOs[utxo.anchor] = utxo;
+            }
+            for (const anchor of transaction.inputs) {
+                if (createdUTXOs[anchor]) { delete createdUTXOs[anchor]; continue; } // created and spent by the block
+                spentUTXOs.push(inputsUTXOs[anchor]);
+            }
+        }
+
+        const utxoSetHash = new UtxoSetHash(this.utxoSetHash.toHex());
+        await utxoSetHash.update(Object.values(createdUTXOs), spentUTXOs);
+        return await utxoSetHash.digest();
+    }
+    /** Revert the last digested block: the UTXOs it spent are restored, the ones it created are removed
+     * @param {BlockUndoData} undoData - from digestFinalizedBlocks()
+     */
+    async undoFinalizedBlock(undoData) {
+        const lastBlockMiningData = this.blockMiningData[this.blockMiningData.length - 1];
+        if (!lastBlockMiningData || lastBlockMiningData.index !== undoData.index) { throw new Error(`Block #${undoData.index} is not the last digested block`); }
+
+        await this.utxoSetHash.update(undoData.spentUTXOs, this.#getCreatedUTXOs(undoData));
+
+        // restored first: a UTXO created and spent in the same block is then removed like the others
+        for (const utxo of undoData.spentUTXOs) { this.#addUTXO(utxo); }
+        for (const anchor of undoData.createdAnchors) {
+            const { address, amount } = this.utxosByAnchor[anchor];
+            this.#removeUTXO(address, anchor);
+            this.#changeBalance(address, -amount);
+        }
+
+        this.blockMiningData.pop();
+    }
     /** @param {string} address */
     getBalanceAndUTXOs(address) {
         // clone values to avoid modification
@@ -182,21 +286,34 @@ export class UtxoCache { // Used to store, addresses's UTXOs and balance.
         }
         return { balance, UTXOs };
     }
-    /** @param {string} address */
+    /** - lockedUTXOs: stakes (with their unlockHeight once unbonded), timelocked UTXOs and exchanges (only spendable with their preimage)
+     * @param {string} address
+     */
     getBalanceSpendableAndUTXOs(address) {
         // clone values to avoid modification
         const { balance, UTXOs } = this.getBalanceAndUTXOs(address);
+        const lastBlockMiningData = this.blockMiningData[this.blockMiningData.length - 1];
+        const nextBlockHeight = lastBlockMiningData ? lastBlockMiningData.index + 1 : 0;
         let spendableBalance = balance;
+        /** @type {UTXO[]} */
+        const lockedUTXOs = [];
 
+        const withdrawLockBlocks = utils.UTXO_RULES_GLOSSARY.sigOrSlash.withdrawLockBlocks;
         for (let i = 0; i < UTXOs.length; i++) {
-            const rule = UTXOs[i].rule;
-            if (rule === "sigOrSlash") {
-                spendableBalance -= UTXOs[i].amount;
-                UTXOs.splice(i, 1);
-                i--;
-            }
+            const utxo = UTXOs[i];
+            if (utxo.rule === "lockUntilBlock") { utxo.unlockHeight = utxo.lockUntilBlock + 1; }
+            if (utxo.rule === "sigOrSlash" && utxo.unbondHeight !== undefined) { utxo.unlockHeight = utxo.unbondHeight + withdrawLockBlocks; }
+
+            const isBondedStake = utxo.rule === "sigOrSlash" && utxo.unbondHeight === undefined;
+            const isLocked = isBondedStake || utxo.rule === "p2pExchange" || utxo.unlockHeight > nextBlockHeight;
+            if (!isLocked) { continue; }
+
+            spendableBalance -= utxo.amount;
+            lockedUTXOs.push(utxo);
+            UTXOs.splice(i, 1);
+            i--;
         }
 
-        return { spendableBalance, balance, UTXOs };
+        return { spendableBalance, balance, UTXOs, lockedUTXOs };
     }
 }
\ No newline at end of file
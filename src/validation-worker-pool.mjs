@@ -0,0 +1,146 @@
+import { TxValidation } from './validation.mjs';
+import utils from './utils.mjs';
+
+/**
+* @typedef {import("./transaction.mjs").Transaction} Transaction
+* @typedef {import("./transaction.mjs").UTXO} UTXO
+*/
+
+/** The validation couldn't run (crashed or terminated worker): it says nothing about the transaction */
+export class ValidationWorkerError extends Error { }
+
+const defaultNbOfWorkers = utils.isNode ? (await import('os')).availableParallelism() : navigator.hardwareConcurrency || 1;
+
+/** Run the signatures and address ownership controls (argon2 derivations) of the transactions in worker threads,
+ * the main thread stays free and the transactions are validated in parallel
+ */
+export class ValidationWorkerPool {
+    /** @param {number} [nbOfWorkers] - default: the number of cores */
+    constructor(nbOfWorkers = defaultNbOfWorkers) {
+        this.nbOfWorkers = Math.max(1, nbOfWorkers);
+        /** @type {Worker[]} */
+        this.workers = [];
+        /** @type {Worker[]} */
+        this.freeWorkers = [];
+        /** @type {object[]} */
+        this.pendingTasks = []; // waiting for a free worker
+        /** @type {Object<number, { resolve: Function, reject: Function }>} */
+        this.tasksCallbacks = {};
+        this.nextTaskId = 0;
+    }
+
+    #createMissingWorkers() {
+        const missingWorkers = this.nbOfWorkers - this.workers.length;
+        for (let i = 0; i < missingWorkers; i++) {
+            const worker = utils.newWorker('../workers/validation-worker-nodejs.mjs');
+            worker.on('message', (message) => {
+                worker.currentTaskId = null;
+                this.freeWorkers.push(worker);
+                this.#settleTask(message.id, message.error ? new Error(message.error) : undefined, message);
+                this.#dispatchTasks();
+            });
+            worker.on('error', (error) => {
+                this.workers = this.workers.filter(w => w !== worker);
+                this.freeWorkers = this.freeWorkers.filter(w => w !== worker);
+                if (worker.currentTaskId !== null) { this.#settleTask(worker.currentTaskId, new ValidationWorkerError(`Validation worker error: ${error.message}`)); }
+                this.#dispatchTasks(); // a new worker replaces the crashed one
+            });
+
+            worker.currentTaskId = null;
+            this.workers.push(worker);
+            this.freeWorkers.push(worker);
+        }
+    }
+    /**
+     * @param {number} taskId
+     * @param {Error} [error]
+     * @param {object} [result]
+     */
+    #settleTask(taskId, error, result) {
+        const callbacks = this.tasksCallbacks[taskId];
+        if (!callbacks) { return; }
+
+        delete this.tasksCallbacks[taskId];
+        if (error) { callbacks.reject(error); } else { callbacks.resolve(result); }
+    }
+    #dispatchTasks() {
+        this.#createMissingWorkers();
+        while (this.pendingTasks.length > 0 && this.freeWorkers.length > 0) {
+            const worker = this.freeWorkers.shift();
+            const task = this.pendingTasks.shift();
+            worker.currentTaskId = task.id;
+            worker.postMessage(task);
+        }
+    }
+    /** @param {object} task */
+    #runTask(task) {
+        task.id = this.nextTaskId++;
+        const promise = new Promise((resolve, reject) => { this.tasksCallbacks[task.id] = { resolve, reject }; });
+        this.pendingTasks.push(task);
+        this.#dispatchTasks();
+        return promise;
+    }
+    /** The pubKeys already derived are sent to the worker to skip their derivation
+     * @param {Transaction} transaction
+     * @param {Object<string, string>} knownPubKeysAddresses
+     */
+    #getKnownWitnessesPubKeys(transaction, knownPubKeysAddresses) {
+        /** @type {Object<string, string>} */
+        const known = {};
+        for (const witness of transaction.witnesses) {
+            for (const part of witness.split(':')) {
+                if (knownPubKeysAddresses[part]) { known[part] = knownPubKeysAddresses[part]; }
+            }
+        }
+
+        return known;
+    }
+    /** - Throws the validation error like TxValidation does
+     * @param {Object<string, UTXO>} inputsUTXOs - the UTXOs spent by the transaction
+     * @param {Transaction} transaction
+     * @param {Object<string, string>} knownPubKeysAddresses - will be filled
+     * @param {string | false} specialTx - 'miner' || 'validator' or false
+     * @param {boolean} useDevArgon2
+     */
+    async validateTransaction(inputsUTXOs, transaction, knownPubKeysAddresses, specialTx = false, useDevArgon2 = false) {
+        const result = await this.#runTask({
+            type: 'validateTransaction',
+            inputsUTXOs,
+            transaction,
+            knownPubKeysAddresses: this.#getKnownWitnessesPubKeys(transaction, knownPubKeysAddresses),
+            specialTx,
+            useDevArgon2
+        });
+
+        Object.assign(knownPubKeysAddresses, result.knownPubKeysAddresses);
+    }
+    /** Same as TxValidation.fullTransactionValidation(), the cheap controls stay on the main thread
+     * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
+     * @param {Object<string, string>} knownPubKeysAddresses - will be filled
+     * @param {Transaction} transaction
+     * @param {string | false} specialTx - 'miner' || 'validator' or false
+     * @param {number} blockHeight - the height of the block including the transaction
+     */
+    async fullTransactionValidation(utxosByAnchor, knownPubKeysAddresses, transaction, specialTx, blockHeight, useDevArgon2 = false) {
+        const result = { fee: 0, success: false };
+        TxValidation.isConformTransaction(utxosByAnchor, transaction, specialTx);
+        if (!specialTx) {
+            result.fee = TxValidation.calculateRemainingAmount(utxosByAnchor, transaction);
+            TxValidation.controlTransactionInputsRulesConditions(utxosByAnchor, transaction, blockHeight);
+        }
+
+        const inputsUTXOs = {};
+        for (const anchor of transaction.inputs) { if (utxosByAnchor[anchor]) { inputsUTXOs[anchor] = utxosByAnchor[anchor]; } }
+        await this.validateTransaction(inputsUTXOs, transaction, knownPubKeysAddresses, specialTx, useDevArgon2);
+
+        result.success = true;
+        return result;
+    }
+    terminate() {
+        for (const worker of this.workers) { worker.terminate(); }
+        for (const taskId in this.tasksCallbacks) { this.#settleTask(Number(taskId), new ValidationWorkerError('Validation worker pool terminated')); }
+        this.workers = [];
+        this.freeWorkers = [];
+        this.pendingTasks = [];
+    }
+}
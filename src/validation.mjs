@@ -1,12 +1,16 @@
 import { HashFunctions, AsymetricFunctions } from './conCrypto.mjs';
 import { Transaction, TxOutput, TxInput, UTXO, Transaction_Builder } from './transaction.mjs';
 import { BlockUtils } from './block.mjs';
+import { FraudProof } from './fraud-proof.mjs';
 import utils from './utils.mjs';
 
 /**
  * @typedef {import("./block.mjs").BlockData} BlockData
  */
 
+/** An input spends a UTXO unknown to the utxoCache: spent, never created, or created by a block not received yet */
+export class UnknownUtxoError extends Error { }
+
 export class TxValidation {
     /** ==> First validation, low computation cost.
      * 
@@ -33,8 +37,9 @@ export class TxValidation {
 
             const anchor = transaction.inputs[i];
             if (!utils.types.anchor.isConform(anchor)) { throw new Error('Invalid anchor'); }
-            if (!utxosByAnchor[anchor]) { throw new Error(`Invalid transaction: UTXO not found in utxoCache: ${anchor}`); }
+            if (!utxosByAnchor[anchor]) { throw new UnknownUtxoError(`Invalid transaction: UTXO not found in utxoCache: ${anchor}`); }
         }
+        if (Transaction_Builder.isUnbondingTx(transaction)) { TxValidation.#isConformUnbondingTx(utxosByAnchor, transaction); }
 
         for (let i = 0; i < transaction.outputs.length; i++) {
             const output = transaction.outputs[i];
@@ -42,10 +47,27 @@ export class TxValidation {
 
             if (output.rule === "sigOrSlash") {
                 if (i !== 0) { throw new Error('sigOrSlash must be the first output'); }
+                if (Transaction_Builder.isUnbondingTx(transaction)) { continue; } // stake already paid
                 if (this.calculateRemainingAmount(utxosByAnchor, transaction) < output.amount) { throw new Error('SigOrSlash requires fee > amount'); }
             }
         }
     }
+    /** An unbonding Tx spends not yet unbonded stakes into a single sigOrSlash output of the same address
+     * @param {Object<string, UTXO>} utxosByAnchor
+     * @param {Transaction} transaction
+     */
+    static #isConformUnbondingTx(utxosByAnchor, transaction) {
+        if (transaction.inputs.length === 0) { throw new Error('Invalid unbonding transaction: no stake'); }
+        if (transaction.outputs.length !== 1) { throw new Error(`Invalid unbonding transaction: ${transaction.outputs.length} outputs`); }
+
+        const { rule, address } = transaction.outputs[0];
+        if (rule !== 'sigOrSlash') { throw new Error(`Invalid unbonding transaction: output rule ${rule} !== sigOrSlash`); }
+        for (const anchor of transaction.inputs) {
+            const utxo = utxosByAnchor[anchor];
+            if (utxo.rule !== 'sigOrSlash' || utxo.address !== address) { throw new Error(`Invalid unbonding transaction: not a stake of ${address}: ${anchor}`); }
+            if (utxo.unbondHeight !== undefined) { throw new Error(`Invalid unbonding transaction: stake already unbonded: ${anchor}`); }
+        }
+    }
     /** @param {TxOutput} txOutput */
     static isConformOutput(txOutput) {
         if (typeof txOutput.amount !== 'number') { throw new Error('Invalid amount !== number'); }
@@ -57,6 +79,30 @@ export class TxValidation {
 
         if (typeof txOutput.address !== 'string') { throw new Error('Invalid address !== string'); }
         utils.addressUtils.conformityCheck(txOutput.address);
+
+        const isMultiSigAddress = utils.addressUtils.isMultiSigAddress(txOutput.address);
+        if (isMultiSigAddress && txOutput.rule !== 'multiSigCreate') { throw new Error('Invalid rule for multiSig address: !== multiSigCreate'); }
+        if (!isMultiSigAddress && txOutput.rule === 'multiSigCreate') { throw new Error('Invalid address for multiSigCreate rule: not a multiSig address'); }
+
+        if (txOutput.rule !== 'p2pExchange' && (txOutput.hashLock !== undefined || txOutput.refundAddress !== undefined || txOutput.refundHeight !== undefined)) { throw new Error(`Invalid exchange fields for rule: ${txOutput.rule}`); }
+        if (txOutput.rule === 'p2pExchange') { TxValidation.#isConformExchangeOutput(txOutput); }
+
+        if (txOutput.rule !== 'lockUntilBlock' && txOutput.lockUntilBlock !== undefined) { throw new Error(`Invalid lockUntilBlock for rule: ${txOutput.rule}`); }
+        if (txOutput.rule !== 'lockUntilBlock') { return; }
+        if (typeof txOutput.lockUntilBlock !== 'number') { throw new Error('Invalid lockUntilBlock !== number'); }
+        if (txOutput.lockUntilBlock <= 0 || txOutput.lockUntilBlock % 1 !== 0) { throw new Error('Invalid lockUntilBlock value: not a positive integer'); }
+    }
+    /** @param {TxOutput} txOutput */
+    static #isConformExchangeOutput(txOutput) {
+        if (typeof txOutput.hashLock !== 'string' || !utils.typeValidation.hex(txOutput.hashLock)) { throw new Error('Invalid hashLock !== hex'); }
+        if (txOutput.hashLock.length !== 64) { throw new Error('Invalid hashLock length !== 64'); }
+
+        if (typeof txOutput.refundAddress !== 'string') { throw new Error('Invalid refundAddress !== string'); }
+        utils.addressUtils.conformityCheck(txOutput.refundAddress);
+        if (utils.addressUtils.isMultiSigAddress(txOutput.refundAddress)) { throw new Error('Invalid refundAddress: multiSig address'); }
+
+        if (typeof txOutput.refundHeight !== 'number') { throw new Error('Invalid refundHeight !== number'); }
+        if (txOutput.refundHeight <= 0 || txOutput.refundHeight % 1 !== 0) { throw new Error('Invalid refundHeight value: not a positive integer'); }
     }
     /** @param {UTXO} utxo */
     static isConformUTXO(utxo) {
@@ -105,6 +151,33 @@ export class TxValidation {
         return fee;
     }
 
+    /** ==> Fourth validation, low computation cost.
+     * 
+     * - control the right to spend the inputs using their rule
+     * - sigOrSlash: only unbonding, slashing, or withdrawing after the withdrawLockBlocks period
+     * - lockUntilBlock: only once the chain reached the lockUntilBlock height
+     * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
+     * @param {Transaction} transaction
+     * @param {number} blockHeight - the height of the block including the transaction
+     */
+    static controlTransactionInputsRulesConditions(utxosByAnchor, transaction, blockHeight) {
+        if (typeof blockHeight !== 'number') { throw new Error('Invalid blockHeight !== number'); }
+
+        const isFraudProofTx = Transaction_Builder.isFraudProofTx(transaction);
+        const isUnbondingTx = Transaction_Builder.isUnbondingTx(transaction);
+        for (const anchor of transaction.inputs) {
+            const utxo = utxosByAnchor[anchor];
+            if (!utxo) { throw new Error(`UTXO not found in utxoCache: ${anchor}`); }
+
+            if (utxo.rule === 'lockUntilBlock' && blockHeight <= utxo.lockUntilBlock) { throw new Error(`UTXO locked until block ${utxo.lockUntilBlock}: ${anchor}`); }
+            if (utxo.rule === 'p2pExchange' && !Transaction_Builder.isExchangeClaim(utxo, transaction) && blockHeight < utxo.refundHeight) { throw new Error(`Exchange refundable from block ${utxo.refundHeight}: ${anchor}`); }
+            if (utxo.rule !== 'sigOrSlash' || isFraudProofTx || isUnbondingTx) { continue; }
+
+            if (utxo.unbondHeight === undefined) { throw new Error(`Stake must be unbonded before withdrawal: ${anchor}`); }
+            const unlockHeight = utxo.unbondHeight + utils.UTXO_RULES_GLOSSARY.sigOrSlash.withdrawLockBlocks;
+            if (blockHeight < unlockHeight) { throw new Error(`Stake locked until block ${unlockHeight}: ${anchor}`); }
+        }
+    }
     /** ==> Fourth validation, low computation cost.
      * 
      * - control the right to create outputs using the rule
@@ -133,9 +206,20 @@ export class TxValidation {
             
         const TxID = await Transaction_Builder.hashId(transaction);
         if (TxID !== transaction.id) { throw new Error('Invalid transaction hash'); }
+        if (Transaction_Builder.isFraudProofTx(transaction)) { // witness contains the candidates proofs instead of a signature
+            const { proofA, proofB } = FraudProof.decomposeWitness(transaction);
+            await FraudProof.controlConflictingProofs(proofA, proofB);
+            return;
+        }
+
         for (let i = 0; i < transaction.witnesses.length; i++) {
             const { signature, pubKeyHex } = TxValidation.#decomposeWitnessOrThrow(transaction.witnesses[i]);
-            AsymetricFunctions.verifySignature(signature, TxID, pubKeyHex); // will throw an error if the signature is invalid
+            if (Transaction_Builder.isMultiSigDescriptorWitness(transaction.witnesses[i])) { continue; } // not a signature
+            if (Transaction_Builder.isPreimageWitness(transaction.witnesses[i])) {
+                if (await Transaction_Builder.hashLockFromPreimage(signature) !== pubKeyHex) { throw new Error('Invalid preimage'); }
+                continue;
+            }
+            if (!await AsymetricFunctions.verifySignature(signature, TxID, pubKeyHex)) { throw new Error('Invalid signature'); }
         }
 
         //console.log(`[VALIDATION] .controlAllWitnessesSignatures() took ${Date.now() - startTime} ms`);
@@ -165,37 +249,57 @@ export class TxValidation {
      */
     static async addressOwnershipConfirmation(utxosByAnchor, transaction, knownPubKeysAddresses = {}, useDevArgon2 = false) {
         //const startTime = Date.now();
+        if (Transaction_Builder.isFraudProofTx(transaction)) {
+            return await TxValidation.#fraudProofOwnershipConfirmation(utxosByAnchor, transaction, knownPubKeysAddresses, useDevArgon2);
+        }
+
         const transactionWitnessesPubKey = [];
         const transactionWitnessesAddresses = [];
+        /** @type {Object<string, {nbOfRequiredSigners: number, pubKeys: string[]}>} */
+        const multiSigDescriptors = {};
+
+        // separate the multiSig descriptors from the signatures witnesses
+        for (let i = 0; i < transaction.witnesses.length; i++) {
+            const witness = transaction.witnesses[i];
+            if (!Transaction_Builder.isMultiSigDescriptorWitness(witness)) { continue; }
+
+            const descriptor = Transaction_Builder.decomposeMultiSigDescriptorWitness(witness);
+            const multiSigAddress = await utils.addressUtils.deriveMultiSigAddress(descriptor.nbOfRequiredSigners, descriptor.pubKeys);
+            multiSigDescriptors[multiSigAddress] = descriptor;
+        }
+
+        const needSingleSigAddresses = transaction.inputs.some(anchor => !utxosByAnchor[anchor] || utxosByAnchor[anchor].rule !== 'multiSigCreate');
 
         // derive witnesses addresses
         for (let i = 0; i < transaction.witnesses.length; i++) {
+            if (Transaction_Builder.isMultiSigDescriptorWitness(transaction.witnesses[i])) { continue; }
+            if (Transaction_Builder.isPreimageWitness(transaction.witnesses[i])) { continue; }
             const witnessParts = transaction.witnesses[i].split(':');
             const pubKeyHex = witnessParts[1];
             
             if (transactionWitnessesPubKey.includes(pubKeyHex)) { throw new Error('Duplicate witness'); }
             transactionWitnessesPubKey.push(pubKeyHex);
+            if (!needSingleSigAddresses) { continue; } // multiSig only, skip the expensive derivation
 
-            if (knownPubKeysAddresses[pubKeyHex]) { // If the address is already derived, use it and skip the derivation
-                transactionWitnessesAddresses.push(knownPubKeysAddresses[pubKeyHex]);
-                continue;
-            }
-
-            const argon2Fnc = useDevArgon2 ? HashFunctions.devArgon2 : HashFunctions.Argon2;
-            const derivedAddressBase58 = await utils.addressUtils.deriveAddress(argon2Fnc, pubKeyHex);
-            if (!derivedAddressBase58) { throw new Error('Invalid derived address'); }
-            
+            const derivedAddressBase58 = await TxValidation.#deriveWitnessAddress(pubKeyHex, knownPubKeysAddresses, useDevArgon2);
             transactionWitnessesAddresses.push(derivedAddressBase58);
-            knownPubKeysAddresses[pubKeyHex] = derivedAddressBase58; // store the derived address for future use
         }
 
         // control the input's(UTXOs) addresses presence in the witnesses
         for (let i = 0; i < transaction.inputs.length; i++) {
             const referencedUTXO = utxosByAnchor[transaction.inputs[i]];
             //if (!referencedUTXO) { throw new Error('referencedUTXO not found'); }
-            const addressToVerify = referencedUTXO ? referencedUTXO.address : transaction.inputs[i].split(':')[0];
+            let addressToVerify = referencedUTXO ? referencedUTXO.address : transaction.inputs[i].split(':')[0];
+            if (referencedUTXO && referencedUTXO.rule === 'p2pExchange' && !Transaction_Builder.isExchangeClaim(referencedUTXO, transaction)) {
+                addressToVerify = referencedUTXO.refundAddress;
+            }
             if (!addressToVerify) { throw new Error('addressToVerify not found'); }
 
+            if (referencedUTXO && referencedUTXO.rule === 'multiSigCreate') {
+                TxValidation.#controlMultiSigSigners(multiSigDescriptors[addressToVerify], transactionWitnessesPubKey, addressToVerify);
+                continue;
+            }
+
             if (!transactionWitnessesAddresses.includes(addressToVerify)) {
                 console.log(`UTXO address: ${utils.addressUtils.formatAddress(addressToVerify)}`);
                 throw new Error(`Witness missing for address: ${addressToVerify}, witnesses: ${transactionWitnessesAddresses.join(', ')}`);
@@ -204,20 +308,79 @@ export class TxValidation {
 
         //console.log(`[VALIDATION] .addressOwnershipConfirmation() took ${Date.now() - startTime} ms`);
     }
+    /**
+     * @param {{nbOfRequiredSigners: number, pubKeys: string[]} | undefined} descriptor
+     * @param {string[]} witnessesPubKeys - the signatures have already been verified
+     * @param {string} multiSigAddress
+     */
+    static #controlMultiSigSigners(descriptor, witnessesPubKeys, multiSigAddress) {
+        if (!descriptor) { throw new Error(`MultiSig descriptor missing for address: ${multiSigAddress}`); }
+
+        const nbOfSigners = witnessesPubKeys.filter(pubKeyHex => descriptor.pubKeys.includes(pubKeyHex)).length;
+        if (nbOfSigners < descriptor.nbOfRequiredSigners) { throw new Error(`Not enough multiSig signatures: ${nbOfSigners}/${descriptor.nbOfRequiredSigners}`); }
+    }
+    /**
+     * @param {string} pubKeyHex
+     * @param {Object<string, string>} knownPubKeysAddresses - will be filled
+     * @param {boolean} useDevArgon2
+     */
+    static async #deriveWitnessAddress(pubKeyHex, knownPubKeysAddresses, useDevArgon2) {
+        if (knownPubKeysAddresses[pubKeyHex]) { return knownPubKeysAddresses[pubKeyHex]; } // already derived, skip the derivation
+
+        const argon2Fnc = useDevArgon2 ? HashFunctions.devArgon2 : HashFunctions.Argon2;
+        const derivedAddressBase58 = await utils.addressUtils.deriveAddress(argon2Fnc, pubKeyHex);
+        if (!derivedAddressBase58) { throw new Error('Invalid derived address'); }
+
+        knownPubKeysAddresses[pubKeyHex] = derivedAddressBase58; // store the derived address for future use
+        return derivedAddressBase58;
+    }
+    /** - control the offender's pubKey/address correspondence, the slashed UTXOs and the reporter reward
+     * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
+     * @param {Transaction} transaction
+     * @param {Object<string, string>} knownPubKeysAddresses - will be filled
+     * @param {boolean} useDevArgon2
+     */
+    static async #fraudProofOwnershipConfirmation(utxosByAnchor, transaction, knownPubKeysAddresses, useDevArgon2) {
+        const { proofA, proofB } = FraudProof.decomposeWitness(transaction);
+        const { offenderAddress, pubKeyHex } = await FraudProof.controlConflictingProofs(proofA, proofB);
+
+        const derivedAddressBase58 = await TxValidation.#deriveWitnessAddress(pubKeyHex, knownPubKeysAddresses, useDevArgon2);
+        if (derivedAddressBase58 !== offenderAddress) { throw new Error(`Invalid fraud proof: signer isn't the staked address: ${offenderAddress}`); }
+
+        let slashedAmount = 0;
+        for (let i = 0; i < transaction.inputs.length; i++) {
+            const referencedUTXO = utxosByAnchor[transaction.inputs[i]];
+            if (!referencedUTXO) { throw new Error('referencedUTXO not found'); }
+            if (referencedUTXO.rule !== 'sigOrSlash') { throw new Error(`Invalid fraud proof: UTXO isn't slashable: ${transaction.inputs[i]}`); }
+            if (referencedUTXO.address !== offenderAddress) { throw new Error(`Invalid fraud proof: UTXO isn't owned by the offender: ${transaction.inputs[i]}`); }
+            slashedAmount += referencedUTXO.amount;
+        }
+
+        if (transaction.outputs.length > 1) { throw new Error('Invalid fraud proof: only the reporter reward output is allowed'); }
+        if (transaction.outputs.length === 0) { return; }
+
+        const maxReporterReward = Math.floor(slashedAmount * utils.UTXO_RULES_GLOSSARY.sigOrSlash.reporterRewardPercent / 100);
+        if (transaction.outputs[0].rule !== 'sig') { throw new Error('Invalid fraud proof: reporter reward rule !== sig'); }
+        if (transaction.outputs[0].amount > maxReporterReward) { throw new Error(`Invalid fraud proof: reporter reward > ${maxReporterReward}`); }
+    }
 
     /** ==> Sequencially call the full set of validations
      * @param {Object<string, UTXO>} utxosByAnchor - from utxoCache
      * @param {Object<string, string>} knownPubKeysAddresses - will be filled
      * @param {Transaction} transaction
      * @param {string | false} specialTx - 'miner' || 'validator' or false
+     * @param {number} blockHeight - the height of the block including the transaction
      */
-    static async fullTransactionValidation(utxosByAnchor, knownPubKeysAddresses, transaction, specialTx, useDevArgon2 = false) {
+    static async fullTransactionValidation(utxosByAnchor, knownPubKeysAddresses, transaction, specialTx, blockHeight, useDevArgon2 = false) {
         const result = { fee: 0, success: false };
         TxValidation.isConformTransaction(utxosByAnchor, transaction, specialTx);
         await TxValidation.controlAllWitnessesSignatures(transaction);
         if (specialTx === 'miner') { return { fee: 0, success: true }; }
         
-        if (!specialTx) { result.fee = TxValidation.calculateRemainingAmount(utxosByAnchor, transaction); }
+        if (!specialTx) {
+            result.fee = TxValidation.calculateRemainingAmount(utxosByAnchor, transaction);
+            TxValidation.controlTransactionInputsRulesConditions(utxosByAnchor, transaction, blockHeight);
+        }
         await TxValidation.addressOwnershipConfirmation(utxosByAnchor, transaction, knownPubKeysAddresses, useDevArgon2);
 
         result.success = true;
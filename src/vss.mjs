@@ -114,6 +114,27 @@ export class Vss {
     newStakes(utxos) {
         for (const utxo of utxos) { this.newStake(utxo); }
     }
+    /** Remove the spent or slashed stakes, the spectrum is rebuilt to keep the ranges contiguous
+     * @param {string[]} anchors
+     */
+    removeStakes(anchors) {
+        if (anchors.length === 0) { return; }
+
+        const keys = Object.keys(this.spectrum).sort((a, b) => parseInt(a) - parseInt(b));
+        const remainingStakes = keys.map(key => this.spectrum[key]).filter(stake => !anchors.includes(stake.anchor));
+        if (remainingStakes.length === keys.length) { return; }
+
+        this.spectrum = {};
+        for (const stakeReference of remainingStakes) { this.newStake(stakeReference); }
+        this.currentRoundHash = ''; // legitimacies have to be recalculated
+    }
+    /** Used to revert a block, the spectrum is replaced by its copy taken before the block
+     * @param {Object<string, StakeReference>} spectrum
+     */
+    restoreSpectrum(spectrum) {
+        this.spectrum = { ...spectrum };
+        this.currentRoundHash = '';
+    }
 
     /**
      * @param {spectrum} spectrum
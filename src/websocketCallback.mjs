@@ -48,7 +48,7 @@ export class CallBackManager {
         this.#CALLBACKS_RELATED_TO_MODE = { // HERE ARE THE GENERIC CALLBACKS - THOSE THAT SPEND EVENT TO ALL CLIENTS
             validatorDashboard: {
                 node: ['onBroadcastNewCandidate:all'],
-                memPool: ['pushTransaction:all', 'uxtoSpent:all'],
+                memPool: ['pushTransaction:all', 'uxtoSpent:all', 'onTransactionEvicted:all'],
                 utxoCache: [`onBalanceUpdated:${this.node.account.address}`],
             },
             minerDashboard: {
@@ -201,6 +201,14 @@ const CALLBACKS_FUNCTIONS = {
         uxtoSpent: (txReference = '0:ffffff', wsClients = [], trigger = '') => {
             sendToClients({ type: 'uxto_spent', data: txReference, trigger }, wsClients);
         },
+        /** send the evicted tx reference: replaced by fee, mempool full or expired
+         * @param {Object} evictionInfo - { evictedTxId, reason, replacedBy }
+         * @param {WebSocket[]} wsClients
+         * @emits msgSent: { type: 'transaction_evicted', data: evictionInfo, trigger }
+        */
+        onTransactionEvicted: (evictionInfo = {}, wsClients = [], trigger = '') => {
+            sendToClients({ type: 'transaction_evicted', data: evictionInfo, trigger }, wsClients);
+        },
     },
     utxoCache: {
         /** send the updated balance of the related account when the balance is updated */
@@ -6,6 +6,7 @@ import utils from '../src/utils.mjs';
 /**
 * @typedef {import("../src/block.mjs").BlockData} BlockData
 * @typedef {import("../src/node.mjs").Node} Node
+* @typedef {import("../src/transaction.mjs").Transaction} Transaction
 */
 
 const fs = await import('fs');
@@ -17,8 +18,14 @@ const __dirname = path.dirname(parentFolder);
 
 const filesStoragePath = path.join(__dirname, 'storage');
 const blocksPath = path.join(filesStoragePath, 'blocks');
+const mempoolPath = path.join(filesStoragePath, 'mempool');
+const peersPath = path.join(filesStoragePath, 'peers');
+const candidatesPath = path.join(filesStoragePath, 'candidates');
 if (path && !fs.existsSync(filesStoragePath)) { fs.mkdirSync(filesStoragePath); }
 if (path && !fs.existsSync(blocksPath)) { fs.mkdirSync(blocksPath); }
+if (path && !fs.existsSync(mempoolPath)) { fs.mkdirSync(mempoolPath); }
+if (path && !fs.existsSync(peersPath)) { fs.mkdirSync(peersPath); }
+if (path && !fs.existsSync(candidatesPath)) { fs.mkdirSync(candidatesPath); }
 const numberOfBlockFilesInFolder = 1000;
 
 // A primitive way to store the blockchain data and wallet data etc...
@@ -98,8 +105,9 @@ async function loadBlockchainLocally(node, saveBlocksInfo = false) {
 
         controlChainIntegrity(chainPart, controlChainPart);
 
-        const newStakesOutputs = await node.utxoCache.digestFinalizedBlocks(chainPart);
+        const { newStakesOutputs, spentStakesAnchors } = await node.utxoCache.digestFinalizedBlocks(chainPart);
         if (newStakesOutputs.length > 0) { node.vss.newStakes(newStakesOutputs); }
+        if (spentStakesAnchors.length > 0) { node.vss.removeStakes(spentStakesAnchors); }
 
         node.blockchain.lastBlock = chainPart[chainPart.length - 1];
 
@@ -286,6 +294,115 @@ function saveBlockDataBinary_v1(blockData, blocksFolderPath) {
 }
 //#endregion -----------------------------
 
+//#region --- SAVING/LOADING MEMPOOL ---
+/**
+ * Write to a temporary file renamed over the target: a crash during the write can't leave a truncated file
+ * @param {string} filePath
+ * @param {Uint8Array | string} data
+ */
+function writeFileAtomically(filePath, data) {
+    const tempFilePath = `${filePath}.tmp`;
+    fs.writeFileSync(tempFilePath, data);
+    fs.renameSync(tempFilePath, filePath);
+}
+/**
+ * Save the pending transactions of a node, replaced at each save
+ * @param {string} id - node id
+ * @param {Transaction[]} transactions - parents first
+ */
+function saveMempoolLocally(id, transactions) {
+    try {
+        const serializedTxs = transactions.map(tx => utils.serializer.transaction.toBinary_v2(tx));
+        const encoded = utils.serializer.rawData.toBinary_v1(serializedTxs);
+        writeFileAtomically(path.join(mempoolPath, `${id}.bin`), encoded);
+        return true;
+    } catch (error) {
+        console.error(error.stack);
+        return false;
+    }
+}
+/**
+ * @param {string} id - node id
+ * @returns {Transaction[]} empty if nothing saved
+ */
+function loadMempoolLocally(id) {
+    const filePath = path.join(mempoolPath, `${id}.bin`);
+    if (!fs.existsSync(filePath)) { return []; }
+
+    try {
+        const serializedTxs = utils.serializer.rawData.fromBinary_v1(fs.readFileSync(filePath));
+        return serializedTxs.map(serializedTx => utils.serializer.transaction.fromBinary_v2(serializedTx));
+    } catch (error) {
+        console.error(`Failed to load the saved mempool: ${error.message}`);
+        return [];
+    }
+}
+//#endregion -----------------------------
+
+//#region --- SAVING/LOADING SIGNED CANDIDATES ---
+/**
+ * Save the block candidates signed by a validator, replaced at each save
+ * @param {string} id - node id
+ * @param {Object<string, Uint8Array>} signedCandidates - index:prevHash -> serialized block candidate
+ */
+function saveSignedCandidatesLocally(id, signedCandidates) {
+    try {
+        writeFileAtomically(path.join(candidatesPath, `${id}.bin`), utils.serializer.rawData.toBinary_v1(signedCandidates));
+        return true;
+    } catch (error) {
+        console.error(error.stack);
+        return false;
+    }
+}
+/**
+ * @param {string} id - node id
+ * @returns {Object<string, Uint8Array>} empty if nothing saved
+ */
+function loadSignedCandidatesLocally(id) {
+    const filePath = path.join(candidatesPath, `${id}.bin`);
+    if (!fs.existsSync(filePath)) { return {}; }
+
+    try {
+        return utils.serializer.rawData.fromBinary_v1(fs.readFileSync(filePath));
+    } catch (error) {
+        console.error(`Failed to load the signed candidates: ${error.message}`);
+        return {};
+    }
+}
+//#endregion -----------------------------
+
+//#region --- SAVING/LOADING BANNED PEERS ---
+/**
+ * Save the banned peers of a node, replaced at each save
+ * @param {string} id - node id
+ * @param {Object<string, number>} bannedUntil - peerId -> end of the ban timestamp
+ */
+function saveBannedPeersLocally(id, bannedUntil) {
+    try {
+        writeFileAtomically(path.join(peersPath, `${id}-banned.json`), JSON.stringify(bannedUntil));
+        return true;
+    } catch (error) {
+        console.error(error.stack);
+        return false;
+    }
+}
+/**
+ * @param {string} id - node id
+ * @returns {Object<string, number>} empty if nothing saved
+ */
+function loadBannedPeersLocally(id) {
+    const filePath = path.join(peersPath, `${id}-banned.json`);
+    if (!fs.existsSync(filePath)) { return {}; }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`Failed to load the banned peers: ${error.message}`);
+        return {};
+    }
+}
+//#endregion -----------------------------
+
 //#region --- BASIC SAVING/LOADING ---
 /**
  * Save data to a JSON file
@@ -323,6 +440,12 @@ function loadJSON(fileName) {
 const localStorage_v1 = {
     loadBlockchainLocally,
     saveBlockDataLocally,
+    saveMempoolLocally,
+    loadMempoolLocally,
+    saveSignedCandidatesLocally,
+    loadSignedCandidatesLocally,
+    saveBannedPeersLocally,
+    loadBannedPeersLocally,
     saveJSON,
     loadJSON
 };
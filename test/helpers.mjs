@@ -1,8 +1,21 @@
+import * as chai from 'chai';
 import { Wallet } from '../src/wallet.mjs';
 import { Node } from '../src/node.mjs';
 import { Account } from '../src/account.mjs';
+import { UTXO } from '../src/transaction.mjs';
 import utils from '../src/utils.mjs';
 
+/** Adds `await expect(promise).to.be.rejectedWith(message)` to chai, like chai-as-promised: the message is optional, else the error message must include it */
+chai.use(function ({ Assertion }) {
+    Assertion.addMethod('rejectedWith', async function (message) {
+        let rejection;
+        try { await this._obj; } catch (error) { rejection = error; }
+
+        this.assert(rejection !== undefined, 'expected the promise to be rejected, but it was fulfilled', 'expected the promise not to be rejected');
+        if (message !== undefined) { new Assertion(rejection.message).to.include(message); }
+    });
+});
+
 export class BlockchainHelpers {
     constructor(useDevArgon2 = true) {
         this.wallet = new Wallet(utils.devParams.masterHex, useDevArgon2);
@@ -82,4 +95,43 @@ export class BlockchainHelpers {
         }
         return nodes;
     }
+}
+
+/** The ID of the transaction of the fake UTXOs, used to validate transactions without a blockchain */
+export const FAKE_TX_ID = 'aabbccdd';
+
+/**
+ * Get the anchor of an output of the fake transaction
+ * @param {number} vout - The index of the output
+ * @param {number} height - The height of the block including the fake transaction
+ * @returns {string}
+ */
+export function fakeAnchor(vout = 0, height = 1) {
+    return `${height}:${FAKE_TX_ID}:${vout}`;
+}
+
+/**
+ * Set up a suite validating transactions offline: the accounts of a deterministic wallet, and the fake UTXOs recreated before each test
+ * @param {Mocha.Suite} suite - The `this` of the describe callback
+ * @param {string} seedChar - A different hex character by suite, to derive different accounts
+ * @param {number} accountsCount - The number of accounts to derive
+ * @param {() => UTXO[]} createUTXOs - Called before each test, after the before hooks of the suite
+ * @returns {{ accounts: Account[], utxosByAnchor: Object<string, UTXO> }} Filled in place by the hooks
+ */
+export function setupOfflineTxSuite(suite, seedChar, accountsCount = 2, createUTXOs = () => []) {
+    const fixture = { accounts: [], utxosByAnchor: {} };
+    suite.timeout(60000); // the derivations are slow, even with the dev Argon2
+
+    suite.beforeAll(async function () {
+        const wallet = new Wallet(seedChar.repeat(60), true);
+        const { derivedAccounts } = await wallet.deriveAccounts(accountsCount, 'W');
+        fixture.accounts.push(...derivedAccounts);
+    });
+
+    suite.beforeEach(function () {
+        for (const anchor of Object.keys(fixture.utxosByAnchor)) { delete fixture.utxosByAnchor[anchor]; }
+        for (const utxo of createUTXOs()) { fixture.utxosByAnchor[utxo.anchor] = utxo; }
+    });
+
+    return fixture;
 }
\ No newline at end of file
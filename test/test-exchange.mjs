@@ -0,0 +1,72 @@
+import { expect } from 'chai';
+import { Transaction_Builder, UTXO } from '../src/transaction.mjs';
+import { TxValidation } from '../src/validation.mjs';
+import { UtxoCache } from '../src/utxoCache.mjs';
+import { fakeAnchor, setupOfflineTxSuite } from './helpers.mjs';
+
+describe('p2pExchange hash-time-locked outputs', function () {
+    const anchor = fakeAnchor();
+    const preimage = '42'.repeat(32);
+    const refundHeight = 100;
+    let sender;
+    let receiver;
+    let hashLock;
+    const { accounts, utxosByAnchor } = setupOfflineTxSuite(this, 'f', 2, () => [
+        { ...UTXO(anchor, 1_000_000, 'p2pExchange', receiver.address), hashLock, refundAddress: sender.address, refundHeight }
+    ]);
+
+    before(async function () {
+        [sender, receiver] = accounts;
+        hashLock = await Transaction_Builder.hashLockFromPreimage(preimage);
+    });
+
+    it('should create an exchange offer surviving serialization', async function () {
+        sender.UTXOs = [UTXO('0:11223344:0', 2_000_000, 'sig', sender.address)];
+        const transaction = await Transaction_Builder.createExchangeOffer(sender, receiver.address, 1_000_000, hashLock, refundHeight, 1);
+
+        expect(transaction.outputs[0]).to.deep.equal({ amount: 1_000_000, rule: 'p2pExchange', address: receiver.address, hashLock, refundAddress: sender.address, refundHeight });
+        expect(Transaction_Builder.clone(transaction)).to.deep.equal(transaction);
+    });
+
+    it('should let the receiver claim by revealing the preimage', async function () {
+        const transaction = await Transaction_Builder.createExchangeClaim(utxosByAnchor[anchor], preimage, 1);
+        await receiver.signTransaction(transaction);
+
+        const { success } = await TxValidation.fullTransactionValidation(utxosByAnchor, {}, transaction, false, 2, true);
+        expect(success).to.be.true;
+        expect(Transaction_Builder.extractPreimage(Transaction_Builder.clone(transaction), hashLock)).to.equal(preimage);
+    });
+
+    it('should reject a claim with a wrong preimage', async function () {
+        const transaction = await Transaction_Builder.createExchangeClaim(utxosByAnchor[anchor], preimage, 1);
+        transaction.witnesses[0] = `${'00'.repeat(32)}:${hashLock}`;
+        await receiver.signTransaction(transaction);
+
+        await expect(TxValidation.fullTransactionValidation(utxosByAnchor, {}, transaction, false, 2, true)).to.be.rejectedWith('Invalid preimage');
+    });
+
+    it('should refund the sender only from refundHeight', async function () {
+        const transaction = await Transaction_Builder.createExchangeRefund(utxosByAnchor[anchor], 1);
+        await sender.signTransaction(transaction);
+
+        expect(() => TxValidation.controlTransactionInputsRulesConditions(utxosByAnchor, transaction, refundHeight - 1)).to.throw('refundable from block 100');
+        const { success } = await TxValidation.fullTransactionValidation(utxosByAnchor, {}, transaction, false, refundHeight, true);
+        expect(success).to.be.true;
+    });
+
+    it('should reject a refund signed by the receiver', async function () {
+        const transaction = await Transaction_Builder.createExchangeRefund(utxosByAnchor[anchor], 1);
+        await receiver.signTransaction(transaction);
+
+        await expect(TxValidation.fullTransactionValidation(utxosByAnchor, {}, transaction, false, refundHeight, true)).to.be.rejectedWith(`Witness missing for address: ${sender.address}`);
+    });
+
+    it('should report exchange UTXOs as locked funds', function () {
+        const utxoCache = new UtxoCache({ [receiver.address]: [utxosByAnchor[anchor]] }, { [receiver.address]: 1_000_000 });
+        utxoCache.blockMiningData = [{ index: 1_000 }];
+
+        const { spendableBalance, lockedUTXOs } = utxoCache.getBalanceSpendableAndUTXOs(receiver.address);
+        expect(spendableBalance).to.equal(0);
+        expect(lockedUTXOs).to.have.lengthOf(1);
+    });
+});
@@ -0,0 +1,166 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import { BlockData } from '../src/block.mjs';
+import { Transaction_Builder, UTXO } from '../src/transaction.mjs';
+import { TxValidation } from '../src/validation.mjs';
+import { FraudProof, FraudProofWatcher } from '../src/fraud-proof.mjs';
+import { Vss } from '../src/vss.mjs';
+import { UtxoSetHash } from '../src/utxo-set-hash.mjs';
+import { Node } from '../src/node.mjs';
+import utils from '../src/utils.mjs';
+import { FAKE_TX_ID, fakeAnchor, setupOfflineTxSuite } from './helpers.mjs';
+
+describe('Fraud proofs and slashing', function () {
+    const prevHash = 'a'.repeat(64);
+    const stakeAnchor = fakeAnchor(0, 0);
+    let validator;
+    let reporter;
+    const { accounts, utxosByAnchor } = setupOfflineTxSuite(this, 'b', 2, () => [UTXO(stakeAnchor, 1_000_000, 'sigOrSlash', validator.address)]);
+
+    /** @param {number} posTimestamp - used to produce different candidates */
+    async function createSignedCandidate(account, posTimestamp, index = 1, candidatePrevHash = prevHash) {
+        const blockCandidate = BlockData(index, 1_000_000, utils.SETTINGS.blockReward, 100, 0, candidatePrevHash, [], posTimestamp);
+        blockCandidate.utxoSetHash = await new UtxoSetHash().digest();
+        const posTx = await Transaction_Builder.createPosReward(1000, blockCandidate, account.address, account.address);
+        const signedPosTx = await account.signTransaction(posTx);
+        blockCandidate.Txs.unshift(signedPosTx);
+        return blockCandidate;
+    }
+
+    before(function () {
+        [validator, reporter] = accounts;
+    });
+
+    describe('FraudProofWatcher', function () {
+        it('should catch two different candidates signed for the same block', async function () {
+            const watcher = new FraudProofWatcher();
+            expect(await watcher.watch(await createSignedCandidate(validator, 1000))).to.be.null;
+
+            const conflict = await watcher.watch(await createSignedCandidate(validator, 1001));
+            expect(conflict.offenderAddress).to.equal(validator.address);
+            expect(conflict.proofA.posTimestamp).to.equal(1000);
+            expect(conflict.proofB.posTimestamp).to.equal(1001);
+        });
+
+        it('should ignore candidates extending different blocks and already reported conflicts', async function () {
+            const watcher = new FraudProofWatcher();
+            await watcher.watch(await createSignedCandidate(validator, 1000));
+            expect(await watcher.watch(await createSignedCandidate(validator, 1001, 1, 'b'.repeat(64)))).to.be.null;
+
+            expect(await watcher.watch(await createSignedCandidate(validator, 1002))).to.not.be.null;
+            expect(await watcher.watch(await createSignedCandidate(validator, 1003))).to.be.null;
+        });
+    });
+
+    describe('fraud proof transaction', function () {
+        it('should be accepted and reward the reporter', async function () {
+            const proofA = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1000));
+            const proofB = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1001));
+            const stakesUTXOs = [utxosByAnchor[stakeAnchor]];
+            const fraudProofTx = await Transaction_Builder.createFraudProof(reporter.address, proofA, proofB, stakesUTXOs);
+
+            expect(Transaction_Builder.isFraudProofTx(fraudProofTx)).to.be.true;
+            expect(fraudProofTx.outputs[0].amount).to.equal(100_000);
+
+            const { fee, success } = await TxValidation.fullTransactionValidation(utxosByAnchor, {}, fraudProofTx, false, 1, true);
+            expect(success).to.be.true;
+            expect(fee).to.equal(900_000);
+        });
+
+        it('should be recognized by its version, not by the shape of its witness', async function () {
+            const proofA = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1000));
+            const proofB = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1001));
+            const fraudProofTx = await Transaction_Builder.createFraudProof(reporter.address, proofA, proofB, [utxosByAnchor[stakeAnchor]]);
+            expect(fraudProofTx.version).to.equal(utils.UTXO_RULES_GLOSSARY.sigOrSlash.fraudProofTxVersion);
+
+            const untaggedTx = { ...fraudProofTx, version: 1 };
+            untaggedTx.id = await Transaction_Builder.hashId(untaggedTx);
+            expect(Transaction_Builder.isFraudProofTx(untaggedTx)).to.be.false;
+            await expect(TxValidation.fullTransactionValidation(utxosByAnchor, {}, untaggedTx, false, 1, true)).to.be.rejectedWith(); // validated as a plain transfer
+        });
+
+        it('should survive serialization', async function () {
+            const proofA = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1000));
+            const proofB = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1001));
+            const fraudProofTx = await Transaction_Builder.createFraudProof(reporter.address, proofA, proofB, [utxosByAnchor[stakeAnchor]]);
+
+            const clone = Transaction_Builder.clone(fraudProofTx);
+            expect(clone).to.deep.equal(fraudProofTx);
+        });
+
+        it('should reject identical candidates', async function () {
+            const proof = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1000));
+            const fraudProofTx = await Transaction_Builder.createFraudProof(reporter.address, proof, proof, [utxosByAnchor[stakeAnchor]]);
+
+            await expect(TxValidation.fullTransactionValidation(utxosByAnchor, {}, fraudProofTx, false, 1, true)).to.be.rejectedWith('identical candidates');
+        });
+
+        it('should reject an excessive reporter reward', async function () {
+            const proofA = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1000));
+            const proofB = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1001));
+            const fraudProofTx = await Transaction_Builder.createFraudProof(reporter.address, proofA, proofB, [utxosByAnchor[stakeAnchor]]);
+            fraudProofTx.outputs[0].amount = 500_000;
+            fraudProofTx.id = await Transaction_Builder.hashId(fraudProofTx);
+
+            await expect(TxValidation.fullTransactionValidation(utxosByAnchor, {}, fraudProofTx, false, 1, true)).to.be.rejectedWith('reporter reward');
+        });
+
+        it('should reject slashing UTXOs of someone else', async function () {
+            const proofA = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1000));
+            const proofB = await FraudProof.fromBlockCandidate(await createSignedCandidate(validator, 1001));
+            const otherAnchor = '0:11223344:0';
+            utxosByAnchor[otherAnchor] = UTXO(otherAnchor, 1_000_000, 'sigOrSlash', reporter.address);
+            const fraudProofTx = await Transaction_Builder.createFraudProof(reporter.address, proofA, proofB, [utxosByAnchor[otherAnchor]]);
+
+            await expect(TxValidation.fullTransactionValidation(utxosByAnchor, {}, fraudProofTx, false, 1, true)).to.be.rejectedWith("isn't owned by the offender");
+        });
+    });
+
+    describe('Signed candidates', function () {
+        afterEach(function () {
+            fs.rmSync(`./databases/blockchainDB${validator.address}`, { recursive: true, force: true });
+            fs.rmSync(`./storage/candidates/${validator.address}.bin`, { force: true });
+        });
+
+        it('should broadcast the same candidate again after a restart, even if the mempool changed', async function () {
+            const broadcastedCandidates = [];
+            const startNode = async () => {
+                const node = new Node(validator);
+                node.p2pBroadcast = async (topic, message) => { broadcastedCandidates.push(message); };
+                await node.blockchain.init();
+                return node;
+            };
+
+            let node = await startNode();
+            expect(await node.createBlockCandidateAndBroadcast()).to.be.true;
+            await node.blockchain.close();
+
+            node = await startNode(); // restarted with a new transaction in its mempool
+            const pendingTx = await Transaction_Builder.createCoinbase(FAKE_TX_ID, reporter.address, 1_000);
+            node.memPool.getMostLucrativeTransactionsBatch = () => [pendingTx];
+            expect(await node.createBlockCandidateAndBroadcast()).to.be.true;
+            await node.blockchain.close();
+
+            const [firstCandidate, secondCandidate] = broadcastedCandidates;
+            expect(secondCandidate.Txs).to.deep.equal(firstCandidate.Txs);
+            const watcher = new FraudProofWatcher();
+            expect(await watcher.watch(firstCandidate)).to.be.null;
+            expect(await watcher.watch(secondCandidate)).to.be.null;
+        });
+    });
+
+    describe('Vss.removeStakes', function () {
+        it('should remove the slashed stake and keep the spectrum contiguous', function () {
+            const vss = new Vss();
+            vss.newStakes([
+                UTXO('0:aaaaaaaa:0', 100, 'sigOrSlash', 'W1'),
+                UTXO('0:bbbbbbbb:0', 200, 'sigOrSlash', 'W2'),
+                UTXO('0:cccccccc:0', 300, 'sigOrSlash', 'W3')
+            ]);
+
+            vss.removeStakes(['0:bbbbbbbb:0']);
+            expect(Object.keys(vss.spectrum)).to.deep.equal(['100', '400']);
+            expect(vss.spectrum[400].anchor).to.equal('0:cccccccc:0');
+        });
+    });
+});
@@ -0,0 +1,166 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import { BlockData, BlockUtils } from '../src/block.mjs';
+import { Transaction_Builder } from '../src/transaction.mjs';
+import { LightClient } from '../src/light-client.mjs';
+import { Blockchain } from '../src/blockchain.mjs';
+import { UtxoCache } from '../src/utxoCache.mjs';
+import { SyncHandler } from '../src/sync.mjs';
+import utils from '../src/utils.mjs';
+
+describe('Headers-first synchronization', function () {
+    this.timeout(60000);
+    /** @type {BlockData[]} */
+    const honestChain = [];
+    /** @type {Blockchain} */
+    let blockchain;
+    /** @type {SyncHandler} */
+    let syncHandler;
+
+    /**
+     * @param {number} index
+     * @param {string} prevHash
+     * @param {string} minerAddress
+     */
+    async function mineBlock(index, prevHash, minerAddress = 'WCHMD65Q7qR2uH9XF5dJ') {
+        const posTimestamp = (index + 1) * utils.SETTINGS.targetBlockTime;
+        const coinbaseTx = await Transaction_Builder.createCoinbase(index.toString(16).padStart(8, '0'), minerAddress, 1_000_000);
+        const block = BlockData(index, 0, 1_000_000, 1, 0, prevHash, [coinbaseTx], posTimestamp, posTimestamp + utils.SETTINGS.targetBlockTime, undefined, undefined, '0'.repeat(64));
+        block.merkleRoot = await BlockUtils.getBlockTxsHash(block);
+
+        for (let nonce = 0; ; nonce++) {
+            block.nonce = nonce.toString(16).padStart(8, '0');
+            const { hex, bitsArrayAsString } = await BlockUtils.getMinerHash(block, true);
+            if (!utils.mining.verifyBlockHashConformToDifficulty(bitsArrayAsString, block).conform) { continue; }
+
+            block.hash = hex;
+            return block;
+        }
+    }
+    /** Answers the sync messages like the SyncHandler of a peer serving this chain, records the requests and the reports
+     * @param {Object<string, BlockData[]>} chainsByPeer
+     * @param {Object<string, BlockData[]>} [bodiesByPeer] - default: the chains
+     * @param {Object<string, number>} [delayByPeer] - before answering getBlocks, in ms
+     */
+    function createP2PNetwork(chainsByPeer, bodiesByPeer = chainsByPeer, delayByPeer = {}) {
+        const requests = [];
+        const sendMessage = async (peerMultiaddr, message) => {
+            requests.push({ peerMultiaddr, type: message.type });
+            const chain = chainsByPeer[peerMultiaddr];
+            switch (message.type) {
+                case 'getStatus':
+                    return { status: 'success', currentHeight: chain.length - 1, latestBlockHash: chain[chain.length - 1].hash };
+                case 'getHeaders':
+                    const headers = [];
+                    for (const block of chain.slice(message.startIndex, message.endIndex + 1)) { headers.push(await LightClient.buildHeaderProof(block)); }
+                    return { status: 'success', headers };
+                case 'getBlocks':
+                    await new Promise(resolve => setTimeout(resolve, delayByPeer[peerMultiaddr] || 0));
+                    return { status: 'success', blocks: bodiesByPeer[peerMultiaddr].slice(message.startIndex, message.endIndex + 1) };
+            }
+        };
+        const reports = [];
+        const reportPeer = async (peerId, event) => { reports.push({ peerId, event }); };
+        return { sendMessage, reportPeer, requests, reports };
+    }
+
+    before(async function () {
+        honestChain.push(await mineBlock(0, '0'.repeat(64)));
+        honestChain.push(await mineBlock(1, honestChain[0].hash));
+        honestChain.push(await mineBlock(2, honestChain[1].hash));
+    });
+
+    beforeEach(async function () {
+        blockchain = new Blockchain('testHeadersFirstSync');
+        await blockchain.init();
+        syncHandler = new SyncHandler(blockchain, new UtxoCache());
+    });
+
+    afterEach(async function () {
+        await blockchain.close();
+        fs.rmSync('./databases/blockchainDBtestHeadersFirstSync', { recursive: true, force: true });
+    });
+
+    it('should only download the bodies of the best valid headers chain', async function () {
+        const forgedBlock = { ...honestChain[2], coinBase: 5_000_000 }; // the hash doesn't match anymore
+        const bogusChain = [...honestChain.slice(0, 2), forgedBlock, await mineBlock(3, forgedBlock.hash)];
+        const shortChain = honestChain.slice(0, 2);
+        const p2pNetwork = createP2PNetwork({ bogusPeer: bogusChain, shortPeer: shortChain, honestPeer: honestChain });
+
+        const processedBlocks = [];
+        const processed = await syncHandler.syncHeadersFirst(p2pNetwork, { A: ['bogusPeer'], B: ['shortPeer'], C: ['honestPeer'] }, block => processedBlocks.push(block), true);
+
+        expect(processed).to.equal(3);
+        expect(processedBlocks.map(block => block.hash)).to.deep.equal(honestChain.map(block => block.hash));
+        const bodiesRequests = p2pNetwork.requests.filter(request => request.type === 'getBlocks');
+        expect(bodiesRequests.map(request => request.peerMultiaddr)).to.deep.equal(['honestPeer']);
+        expect(p2pNetwork.reports).to.deep.include({ peerId: 'A', event: 'invalidBlock' });
+    });
+
+    it('should stop when a body does not match its header', async function () {
+        const otherBlock = await mineBlock(1, honestChain[0].hash, 'WKXmNF5xJTd58aWpo7QX');
+        const p2pNetwork = createP2PNetwork({ peer: honestChain }, { peer: [honestChain[0], otherBlock, honestChain[2]] });
+
+        const processedBlocks = [];
+        const processed = await syncHandler.syncHeadersFirst(p2pNetwork, { A: ['peer'] }, block => processedBlocks.push(block), true);
+
+        expect(processed).to.equal(0); // the window of the mismatching body is never processed
+        expect(processedBlocks).to.have.lengthOf(0);
+        expect(p2pNetwork.reports).to.deep.include({ peerId: 'A', event: 'invalidBlock' });
+    });
+
+    it('should download the windows from several peers and process them in height order', async function () {
+        syncHandler.downloadWindowSize = 1;
+        const p2pNetwork = createP2PNetwork({ slowPeer: honestChain, fastPeer: honestChain }, undefined, { slowPeer: 100 });
+
+        const processedBlocks = [];
+        const processed = await syncHandler.syncHeadersFirst(p2pNetwork, { A: ['slowPeer'], B: ['fastPeer'] }, block => processedBlocks.push(block), true);
+
+        expect(processed).to.equal(3);
+        expect(processedBlocks.map(block => block.hash)).to.deep.equal(honestChain.map(block => block.hash));
+        const bodiesPeers = p2pNetwork.requests.filter(request => request.type === 'getBlocks').map(request => request.peerMultiaddr);
+        expect(bodiesPeers).to.include('slowPeer');
+        expect(bodiesPeers).to.include('fastPeer');
+    });
+
+    it('should reassign the window of a failing or too slow peer', async function () {
+        syncHandler.downloadWindowSize = 1;
+        syncHandler.downloadWindowTimeout = 200;
+        const otherBlock = await mineBlock(1, honestChain[0].hash, 'WKXmNF5xJTd58aWpo7QX');
+        const chainsByPeer = { liarPeer: honestChain, stuckPeer: honestChain, honestPeer: honestChain };
+        const bodiesByPeer = { liarPeer: [honestChain[0], otherBlock, honestChain[2]], stuckPeer: honestChain, honestPeer: honestChain };
+        const p2pNetwork = createP2PNetwork(chainsByPeer, bodiesByPeer, { stuckPeer: 1_000, honestPeer: 20 });
+
+        const processedBlocks = [];
+        const peersMultiaddrs = { A: ['liarPeer'], B: ['stuckPeer'], C: ['honestPeer'] };
+        const processed = await syncHandler.syncHeadersFirst(p2pNetwork, peersMultiaddrs, block => processedBlocks.push(block), true);
+
+        expect(processed).to.equal(3);
+        expect(processedBlocks.map(block => block.hash)).to.deep.equal(honestChain.map(block => block.hash));
+        expect(p2pNetwork.reports).to.deep.include({ peerId: 'B', event: 'syncTimeout' });
+        expect(p2pNetwork.reports).to.not.deep.include({ peerId: 'C', event: 'syncTimeout' });
+    });
+
+    it('should not ask a pruned peer for the blocks it no longer serves', async function () {
+        const p2pNetwork = createP2PNetwork({ prunedPeer: honestChain, fullPeer: honestChain });
+        const sendMessage = p2pNetwork.sendMessage;
+        p2pNetwork.sendMessage = async (peerMultiaddr, message) => {
+            const response = await sendMessage(peerMultiaddr, message);
+            return peerMultiaddr === 'prunedPeer' && message.type === 'getStatus' ? { ...response, lowestBlockHeight: 2 } : response;
+        };
+
+        const processed = await syncHandler.syncHeadersFirst(p2pNetwork, { A: ['prunedPeer'], B: ['fullPeer'] }, () => { }, true);
+
+        expect(processed).to.equal(3);
+        const bodiesPeers = p2pNetwork.requests.filter(request => request.type === 'getBlocks').map(request => request.peerMultiaddr);
+        expect(bodiesPeers).to.deep.equal(['fullPeer']);
+        expect(p2pNetwork.reports).to.not.deep.include({ peerId: 'A', event: 'syncTimeout' });
+    });
+
+    it('should download nothing when no peer has a better chain', async function () {
+        const p2pNetwork = createP2PNetwork({ peer: [] });
+        p2pNetwork.sendMessage = async () => ({ status: 'success', currentHeight: -1, latestBlockHash: '0'.repeat(64) });
+
+        expect(await syncHandler.syncHeadersFirst(p2pNetwork, { A: ['peer'] }, () => { throw new Error('no block expected'); }, true)).to.equal(0);
+    });
+});
@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import { BlockData, BlockUtils } from '../src/block.mjs';
+import { Transaction, Transaction_Builder } from '../src/transaction.mjs';
+import { MerkleTree, MerkleProof } from '../src/merkle-tree.mjs';
+import { LightClient, HeaderProof, TxProof } from '../src/light-client.mjs';
+import utils from '../src/utils.mjs';
+
+describe('Light client', function () {
+    this.timeout(60000);
+    const minerAddress = 'WCHMD65Q7qR2uH9XF5dJ';
+    const walletAddress = 'WKXmNF5xJTd58aWpo7QX';
+    /** @type {BlockData[]} */
+    const blocks = [];
+
+    /**
+     * @param {number} index
+     * @param {string} prevHash
+     * @param {Transaction[]} transferTxs
+     */
+    async function mineBlock(index, prevHash, transferTxs = []) {
+        const posTimestamp = (index + 1) * utils.SETTINGS.targetBlockTime;
+        const coinbaseTx = await Transaction_Builder.createCoinbase(index.toString(16).padStart(8, '0'), minerAddress, 1_000_000);
+        const block = BlockData(index, 0, 1_000_000, 1, 0, prevHash, [coinbaseTx, ...transferTxs], posTimestamp, posTimestamp + utils.SETTINGS.targetBlockTime, undefined, undefined, '0'.repeat(64));
+        block.merkleRoot = await BlockUtils.getBlockTxsHash(block);
+
+        for (let nonce = 0; ; nonce++) {
+            block.nonce = nonce.toString(16).padStart(8, '0');
+            const { hex, bitsArrayAsString } = await BlockUtils.getMinerHash(block, true);
+            if (!utils.mining.verifyBlockHashConformToDifficulty(bitsArrayAsString, block).conform) { continue; }
+
+            block.hash = hex;
+            return block;
+        }
+    }
+    function newLightClient() {
+        const lightClient = new LightClient({});
+        lightClient.useDevArgon2 = true;
+        return lightClient;
+    }
+
+    before(async function () {
+        const paymentTx = Transaction(['0:aa000000:0'], [{ amount: 500, rule: 'sig', address: walletAddress }, { amount: 400, rule: 'sig', address: minerAddress }], 'bb000001', []);
+        blocks.push(await mineBlock(0, '0'.repeat(64)));
+        blocks.push(await mineBlock(1, blocks[0].hash, [paymentTx]));
+        blocks.push(await mineBlock(2, blocks[1].hash));
+    });
+
+    it('should follow the chain by verifying the headers only', async function () {
+        const lightClient = newLightClient();
+        for (const block of blocks) {
+            const headerProof = await LightClient.buildHeaderProof(block);
+            expect(headerProof.header.Txs).to.have.lengthOf(0);
+            await lightClient.addHeader(headerProof);
+        }
+
+        expect(lightClient.getCurrentHeight()).to.equal(2);
+        expect(lightClient.getLatestHeaderHash()).to.equal(blocks[2].hash);
+    });
+
+    it('should reject the headers which are not linked, not mined or not following the difficulty', async function () {
+        const lightClient = newLightClient();
+        await lightClient.addHeader(await LightClient.buildHeaderProof(blocks[0]));
+        const headerProof = await LightClient.buildHeaderProof(blocks[1]);
+
+        const rejections = [
+            HeaderProof({ ...headerProof.header, prevHash: 'f'.repeat(64) }, headerProof.coinbaseTx, headerProof.coinbaseSiblings),
+            HeaderProof({ ...headerProof.header, coinBase: 2_000_000 }, headerProof.coinbaseTx, headerProof.coinbaseSiblings),
+            HeaderProof({ ...headerProof.header, difficulty: 2 }, headerProof.coinbaseTx, headerProof.coinbaseSiblings),
+            HeaderProof(headerProof.header, blocks[2].Txs[0], headerProof.coinbaseSiblings),
+            await LightClient.buildHeaderProof(blocks[2])
+        ];
+        for (const rejectedProof of rejections) {
+            try {
+                await lightClient.addHeader(rejectedProof);
+                expect.fail('should have thrown');
+            } catch (error) { expect(error.message).to.not.equal('should have thrown'); }
+        }
+        expect(lightClient.getCurrentHeight()).to.equal(0);
+    });
+
+    it('should refuse a coinbase which is not the first transaction of the block', async function () {
+        const lightClient = newLightClient();
+        await lightClient.addHeader(await LightClient.buildHeaderProof(blocks[0]));
+        const txsHashes = await MerkleTree.getTxsHashes(blocks[1].Txs);
+        const headerProof = HeaderProof(BlockUtils.getBlockHeader(blocks[1]), blocks[1].Txs[1], await MerkleTree.getSiblings(txsHashes, 1));
+
+        try {
+            await lightClient.addHeader(headerProof);
+            expect.fail('should have thrown');
+        } catch (error) { expect(error.message).to.equal('Invalid coinbase transaction'); }
+    });
+
+    it('should only keep the UTXOs of the tracked address proven by a verified header', async function () {
+        const lightClient = newLightClient();
+        for (const block of blocks) { await lightClient.addHeader(await LightClient.buildHeaderProof(block)); }
+        lightClient.trackAddress(walletAddress);
+
+        const paymentTx = blocks[1].Txs[1];
+        const txsHashes = await MerkleTree.getTxsHashes(blocks[1].Txs);
+        const proof = MerkleProof(paymentTx.id, txsHashes[1], blocks[1].hash, 1, await MerkleTree.getSiblings(txsHashes, 1));
+        const forgedTx = Transaction(['0:aa000000:1'], [{ amount: 9_000, rule: 'sig', address: walletAddress }], 'bb000002', []);
+        const forgedProof = MerkleProof(forgedTx.id, await MerkleTree.getTxHash(forgedTx), blocks[1].hash, 1, []);
+
+        const anchors = ['1:bb000001:0', '1:bb000002:0'];
+        const UTXOs = await lightClient.updateAddressUTXOs(walletAddress, [TxProof(paymentTx, proof), TxProof(forgedTx, forgedProof)], anchors);
+        expect(UTXOs.map(utxo => utxo.anchor)).to.deep.equal(['1:bb000001:0']);
+        expect(lightClient.getBalanceAndUTXOs(walletAddress).balance).to.equal(500);
+
+        await lightClient.updateAddressUTXOs(walletAddress, [TxProof(paymentTx, proof)], []); // spent since
+        expect(lightClient.getBalanceAndUTXOs(walletAddress).balance).to.equal(0);
+    });
+});
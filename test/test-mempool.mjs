@@ -0,0 +1,397 @@
+import { expect } from 'chai';
+import { Wallet } from '../src/wallet.mjs';
+import { Transaction_Builder, UTXO } from '../src/transaction.mjs';
+import { MemPool } from '../src/memPool.mjs';
+import { BlockData, BlockUtils } from '../src/block.mjs';
+import utils from '../src/utils.mjs';
+import localStorage_v1 from '../storage/local-storage-management.mjs';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+describe('MemPool replace-by-fee', function () {
+    this.timeout(60000);
+
+    const anchorA = '1:aabbccdd:0';
+    const anchorB = '1:aabbccdd:1';
+    let sender;
+    let recipient;
+    let utxosByAnchor;
+    let memPool;
+
+    before(async function () {
+        const wallet = new Wallet('9'.repeat(60), true);
+        const { derivedAccounts } = await wallet.deriveAccounts(2, 'W');
+        [sender, recipient] = derivedAccounts;
+    });
+
+    beforeEach(function () {
+        utxosByAnchor = {
+            [anchorA]: UTXO(anchorA, 1_000_000, 'sig', sender.address),
+            [anchorB]: UTXO(anchorB, 1_000_000, 'sig', sender.address)
+        };
+        memPool = new MemPool();
+        memPool.useDevArgon2 = true;
+    });
+
+    /**
+     * @param {string[]} anchors
+     * @param {number} amount - used to produce different transactions
+     * @param {number} feePerByte
+     */
+    async function createSignedTransfer(anchors, amount, feePerByte) {
+        sender.UTXOs = anchors.map(anchor => utxosByAnchor[anchor]);
+        const transaction = await Transaction_Builder.createTransfer(sender, [{ recipientAddress: recipient.address, amount }], feePerByte);
+        return await sender.signTransaction(transaction);
+    }
+
+    it('should refuse a conflicting transaction without a higher fee', async function () {
+        await memPool.pushTransaction(utxosByAnchor, await createSignedTransfer([anchorA], 1000, 5), 1);
+
+        try {
+            await memPool.pushTransaction(utxosByAnchor, await createSignedTransfer([anchorA], 2000, 5), 1);
+            expect.fail('should have thrown');
+        } catch (error) { expect(error.message).to.include('Conflicting UTXOs'); }
+    });
+
+    it('should tell the rejections of the mempool policy from the invalid transactions', async function () {
+        const transaction = await createSignedTransfer([anchorA], 1000, 5);
+        await memPool.pushTransaction(utxosByAnchor, transaction, 1);
+        const rejections = [];
+        const conflictingTx = await createSignedTransfer([anchorA], 2000, 5);
+        const unknownUtxoTx = await createSignedTransfer([anchorB], 1000, 5);
+        const tamperedTx = await createSignedTransfer([anchorB], 1000, 5);
+        tamperedTx.outputs[0].amount += 1;
+        tamperedTx.id = await Transaction_Builder.hashId(tamperedTx); // the signature doesn't match anymore
+
+        for (const [utxos, tx] of [[utxosByAnchor, conflictingTx], [{}, unknownUtxoTx], [utxosByAnchor, tamperedTx]]) {
+            try {
+                await memPool.pushTransaction(utxos, tx, 1);
+                expect.fail('should have thrown');
+            } catch (error) { rejections.push(MemPool.isPolicyRejection(error) ? 'policy' : error.message); }
+        }
+        expect(rejections.slice(0, 2)).to.deep.equal(['policy', 'policy']);
+        expect(rejections[2]).to.include('Invalid signature');
+    });
+
+    it('should control the conflicts again once the validations of overlapping pushes are done', async function () {
+        const transaction = await createSignedTransfer([anchorA], 1000, 5);
+        const conflictingTx = await createSignedTransfer([anchorA], 2000, 5);
+
+        const results = await Promise.allSettled([transaction, conflictingTx].map(tx => memPool.pushTransaction(utxosByAnchor, tx, 1)));
+        expect(results.map(result => result.status)).to.deep.equal(['fulfilled', 'rejected']);
+        expect(results[1].reason.message).to.include('Conflicting UTXOs');
+        expect(Object.keys(memPool.transactionsByID)).to.deep.equal([transaction.id]);
+        expect(memPool.transactionByAnchor[anchorA]).to.equal(transaction);
+        expect(memPool.txsCountByAddress[sender.address]).to.equal(1);
+    });
+
+    it('should refuse a replacement without the minimum bump', async function () {
+        const transaction = await createSignedTransfer([anchorA], 1000, 5);
+        await memPool.pushTransaction(utxosByAnchor, transaction, 1);
+
+        sender.UTXOs = [utxosByAnchor[anchorA]];
+        const replacement = await Transaction_Builder.createTransfer(sender, [{ recipientAddress: recipient.address, amount: 1000 }], 5);
+        replacement.outputs[1].amount -= 1; // higher feePerByte, but only 1 microCont more
+        replacement.id = await Transaction_Builder.hashId(replacement);
+        await sender.signTransaction(replacement);
+
+        try {
+            await memPool.pushTransaction(utxosByAnchor, replacement, 1);
+            expect.fail('should have thrown');
+        } catch (error) { expect(error.message).to.match(/Conflicting UTXOs with: \w+ \| fee \d+ < \d+/); }
+    });
+
+    it('should evict every conflicting transaction and report it', async function () {
+        const evicted = [];
+        memPool.wsCallbacks.onTransactionEvicted = { execute: (evictionInfo) => evicted.push(evictionInfo) };
+
+        const txA = await createSignedTransfer([anchorA], 1000, 2);
+        const txB = await createSignedTransfer([anchorB], 1000, 2);
+        await memPool.pushTransaction(utxosByAnchor, txA, 1);
+        await memPool.pushTransaction(utxosByAnchor, txB, 1);
+
+        const replacement = await createSignedTransfer([anchorA, anchorB], 1000, 10);
+        await memPool.pushTransaction(utxosByAnchor, replacement, 1);
+
+        expect(Object.keys(memPool.transactionsByID)).to.deep.equal([replacement.id]);
+        expect(memPool.transactionByAnchor[anchorA].id).to.equal(replacement.id);
+        expect(memPool.transactionByAnchor[anchorB].id).to.equal(replacement.id);
+        expect(evicted).to.deep.equal([
+            { evictedTxId: txA.id, reason: 'replaced', replacedBy: replacement.id },
+            { evictedTxId: txB.id, reason: 'replaced', replacedBy: replacement.id }
+        ]);
+    });
+});
+
+describe('MemPool transaction chains', function () {
+    this.timeout(60000);
+
+    const anchor = '1:aabbccdd:0';
+    const nextBlockHeight = 2;
+    let sender;
+    let recipient;
+    let utxosByAnchor;
+    let memPool;
+
+    before(async function () {
+        const wallet = new Wallet('8'.repeat(60), true);
+        const { derivedAccounts } = await wallet.deriveAccounts(2, 'W');
+        [sender, recipient] = derivedAccounts;
+    });
+
+    beforeEach(function () {
+        utxosByAnchor = { [anchor]: UTXO(anchor, 1_000_000, 'sig', sender.address) };
+        memPool = new MemPool();
+        memPool.useDevArgon2 = true;
+    });
+
+    /**
+     * @param {UTXO[]} UTXOs
+     * @param {number} feePerByte
+     */
+    async function pushSignedTransfer(UTXOs, feePerByte) {
+        sender.UTXOs = UTXOs;
+        const transaction = await Transaction_Builder.createTransfer(sender, [{ recipientAddress: recipient.address, amount: 1000 }], feePerByte);
+        await memPool.pushTransaction(utxosByAnchor, await sender.signTransaction(transaction), nextBlockHeight);
+        return transaction;
+    }
+
+    it('should accept a child spending the change of a pending parent', async function () {
+        const parent = await pushSignedTransfer([utxosByAnchor[anchor]], 1);
+        const changeUTXO = memPool.virtualUtxosByAnchor[`${nextBlockHeight}:${parent.id}:1`];
+        expect(changeUTXO.address).to.equal(sender.address);
+
+        const child = await pushSignedTransfer([changeUTXO], 10);
+        expect(memPool.transactionsByID[child.id]).to.not.be.undefined;
+    });
+
+    it('should put the parent before its child paying for it', async function () {
+        const parent = await pushSignedTransfer([utxosByAnchor[anchor]], 1);
+        const child = await pushSignedTransfer([memPool.virtualUtxosByAnchor[`${nextBlockHeight}:${parent.id}:1`]], 10);
+
+        const batch = memPool.getMostLucrativeTransactionsBatch();
+        expect(batch.map(tx => tx.id)).to.deep.equal([parent.id, child.id]);
+
+        const blockData = BlockData(nextBlockHeight, 0, 0, 0, 0, '', batch, 0);
+        const childInput = child.inputs[0];
+        expect(BlockUtils.getBlockInputsUTXOs(utxosByAnchor, blockData)[childInput].amount).to.equal(memPool.virtualUtxosByAnchor[childInput].amount);
+
+        blockData.Txs.reverse(); // child before its parent
+        expect(BlockUtils.getBlockInputsUTXOs(utxosByAnchor, blockData)[childInput]).to.be.undefined;
+    });
+
+    it('should drop the child when its parent misses the block', async function () {
+        const parent = await pushSignedTransfer([utxosByAnchor[anchor]], 1);
+        const child = await pushSignedTransfer([memPool.virtualUtxosByAnchor[`${nextBlockHeight}:${parent.id}:1`]], 10);
+
+        memPool.clearTransactionsWhoUTXOsAreSpent(utxosByAnchor, nextBlockHeight + 1);
+        expect(Object.keys(memPool.transactionsByID)).to.deep.equal([parent.id]);
+        expect(memPool.virtualUtxosByAnchor[`${nextBlockHeight + 1}:${parent.id}:1`]).to.not.be.undefined;
+        expect(memPool.transactionsByID[child.id]).to.be.undefined;
+    });
+
+    it('should evict the descendants of a replaced transaction', async function () {
+        const parent = await pushSignedTransfer([utxosByAnchor[anchor]], 1);
+        const child = await pushSignedTransfer([memPool.virtualUtxosByAnchor[`${nextBlockHeight}:${parent.id}:1`]], 2);
+
+        const replacement = await pushSignedTransfer([utxosByAnchor[anchor]], 20);
+        expect(Object.keys(memPool.transactionsByID)).to.deep.equal([replacement.id]);
+        expect(memPool.virtualUtxosByAnchor[`${nextBlockHeight}:${child.id}:0`]).to.be.undefined;
+    });
+});
+
+describe('MemPool limits', function () {
+    this.timeout(60000);
+
+    const anchors = ['1:aabbccdd:0', '1:aabbccdd:1', '1:aabbccdd:2'];
+    let sender;
+    let recipient;
+    let utxosByAnchor;
+
+    before(async function () {
+        const wallet = new Wallet('7'.repeat(60), true);
+        const { derivedAccounts } = await wallet.deriveAccounts(2, 'W');
+        [sender, recipient] = derivedAccounts;
+        utxosByAnchor = {};
+        for (const anchor of anchors) { utxosByAnchor[anchor] = UTXO(anchor, 1_000_000, 'sig', sender.address); }
+    });
+
+    /** @param {Object} options */
+    function newMemPool(options) {
+        const memPool = new MemPool(options);
+        memPool.useDevArgon2 = true;
+        return memPool;
+    }
+    /**
+     * @param {string} anchor
+     * @param {number} feePerByte
+     */
+    async function createSignedTransfer(anchor, feePerByte) {
+        sender.UTXOs = [utxosByAnchor[anchor]];
+        const transaction = await Transaction_Builder.createTransfer(sender, [{ recipientAddress: recipient.address, amount: 1000 }], feePerByte);
+        return await sender.signTransaction(transaction);
+    }
+
+    it('should evict the lowest feePerByte transaction when full and raise the minimum fee', async function () {
+        const cheapTx = await createSignedTransfer(anchors[0], 2);
+        const memPool = newMemPool({ maxBytes: Transaction_Builder.getTxWeight(cheapTx) * 1.5 });
+        const evicted = [];
+        memPool.wsCallbacks.onTransactionEvicted = { execute: (evictionInfo) => evicted.push(evictionInfo) };
+
+        await memPool.pushTransaction(utxosByAnchor, cheapTx, 2);
+        const betterTx = await createSignedTransfer(anchors[1], 5);
+        await memPool.pushTransaction(utxosByAnchor, betterTx, 2);
+
+        expect(Object.keys(memPool.transactionsByID)).to.deep.equal([betterTx.id]);
+        expect(evicted).to.deep.equal([{ evictedTxId: cheapTx.id, reason: 'mempoolFull' }]);
+        expect(memPool.minFeePerByte).to.be.above(Number(cheapTx.feePerByte));
+
+        try {
+            await memPool.pushTransaction(utxosByAnchor, await createSignedTransfer(anchors[2], 2), 2);
+            expect.fail('should have thrown');
+        } catch (error) { expect(error.message).to.include('Fee too low'); }
+    });
+
+    it('should keep the replaced transaction when its replacement does not fit', async function () {
+        const originalTx = await createSignedTransfer(anchors[0], 2);
+        const highFeeTx = await createSignedTransfer(anchors[1], 20);
+        const memPool = newMemPool({ maxBytes: Transaction_Builder.getTxWeight(originalTx) + Transaction_Builder.getTxWeight(highFeeTx) + 1 });
+        await memPool.pushTransaction(utxosByAnchor, originalTx, 2);
+        await memPool.pushTransaction(utxosByAnchor, highFeeTx, 2);
+
+        sender.UTXOs = [utxosByAnchor[anchors[0]], utxosByAnchor[anchors[2]]]; // heavier: two inputs
+        const replacementTx = await sender.signTransaction(await Transaction_Builder.createTransfer(sender, [{ recipientAddress: recipient.address, amount: 1000 }], 10));
+        try {
+            await memPool.pushTransaction(utxosByAnchor, replacementTx, 2);
+            expect.fail('should have thrown');
+        } catch (error) { expect(error.message).to.include('Mempool full'); }
+
+        expect(Object.keys(memPool.transactionsByID)).to.have.members([originalTx.id, highFeeTx.id]);
+        expect(memPool.minFeePerByte).to.equal(utils.SETTINGS.minTransactionFeePerByte);
+    });
+
+    it('should evict the transactions after expiryBlocks', async function () {
+        const memPool = newMemPool({ expiryBlocks: 2 });
+        const transaction = await createSignedTransfer(anchors[0], 2);
+        await memPool.pushTransaction(utxosByAnchor, transaction, 2);
+
+        memPool.clearTransactionsWhoUTXOsAreSpent(utxosByAnchor, 3);
+        expect(memPool.transactionsByID[transaction.id]).to.not.be.undefined;
+        memPool.clearTransactionsWhoUTXOsAreSpent(utxosByAnchor, 4);
+        expect(memPool.transactionsByID[transaction.id]).to.be.undefined;
+        expect(memPool.totalBytes).to.equal(0);
+    });
+
+    it('should limit the pending transactions per address', async function () {
+        const memPool = newMemPool({ maxTxsPerAddress: 2 });
+        await memPool.pushTransaction(utxosByAnchor, await createSignedTransfer(anchors[0], 2), 2);
+        await memPool.pushTransaction(utxosByAnchor, await createSignedTransfer(anchors[1], 2), 2);
+
+        try {
+            await memPool.pushTransaction(utxosByAnchor, await createSignedTransfer(anchors[2], 2), 2);
+            expect.fail('should have thrown');
+        } catch (error) { expect(error.message).to.include(`Too many pending transactions for address: ${sender.address}`); }
+        expect(memPool.txsCountByAddress[sender.address]).to.equal(2);
+    });
+});
+
+describe('MemPool block candidates', function () {
+    this.timeout(60000);
+
+    const anchors = ['1:aabbccdd:0', '1:aabbccdd:1', '1:aabbccdd:2'];
+    let sender;
+    let recipient;
+    let utxosByAnchor;
+
+    before(async function () {
+        const wallet = new Wallet('5'.repeat(60), true);
+        const { derivedAccounts } = await wallet.deriveAccounts(2, 'W');
+        [sender, recipient] = derivedAccounts;
+        utxosByAnchor = {};
+        for (const anchor of anchors) { utxosByAnchor[anchor] = UTXO(anchor, 1_000_000, 'sig', sender.address); }
+    });
+
+    it('should batch by decreasing feePerByte without the mempool fields', async function () {
+        const memPool = new MemPool();
+        memPool.useDevArgon2 = true;
+        const transactions = [];
+        for (const [i, feePerByte] of [3, 7, 5].entries()) {
+            sender.UTXOs = [utxosByAnchor[anchors[i]]];
+            const transaction = await Transaction_Builder.createTransfer(sender, [{ recipientAddress: recipient.address, amount: 1000 }], feePerByte);
+            await memPool.pushTransaction(utxosByAnchor, await sender.signTransaction(transaction), 2);
+            transactions.push(transaction);
+        }
+
+        const batch = memPool.getMostLucrativeTransactionsBatch();
+        expect(batch.map(tx => tx.id)).to.deep.equal([transactions[1].id, transactions[2].id, transactions[0].id]);
+        expect(Object.keys(batch[0])).to.have.members(['id', 'witnesses', 'version', 'inputs', 'outputs']);
+        expect(memPool.transactionsQueue.size()).to.equal(3);
+    });
+});
+
+describe('MemPool persistence', function () {
+    this.timeout(60000);
+
+    const saveId = 'test-mempool-persistence';
+    const savePath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../storage/mempool', `${saveId}.bin`);
+    const anchors = ['1:aabbccdd:0', '1:aabbccdd:1'];
+    const nextBlockHeight = 2;
+    let sender;
+    let recipient;
+    let utxosByAnchor;
+
+    before(async function () {
+        const wallet = new Wallet('6'.repeat(60), true);
+        const { derivedAccounts } = await wallet.deriveAccounts(2, 'W');
+        [sender, recipient] = derivedAccounts;
+        utxosByAnchor = {};
+        for (const anchor of anchors) { utxosByAnchor[anchor] = UTXO(anchor, 1_000_000, 'sig', sender.address); }
+    });
+
+    after(function () {
+        if (fs.existsSync(savePath)) { fs.unlinkSync(savePath); }
+    });
+
+    function newMemPool() {
+        const memPool = new MemPool();
+        memPool.useDevArgon2 = true;
+        return memPool;
+    }
+    /**
+     * @param {MemPool} memPool
+     * @param {UTXO} utxo
+     * @param {number} feePerByte
+     */
+    async function pushSignedTransfer(memPool, utxo, feePerByte) {
+        sender.UTXOs = [utxo];
+        const transaction = await Transaction_Builder.createTransfer(sender, [{ recipientAddress: recipient.address, amount: 1000 }], feePerByte);
+        await memPool.pushTransaction(utxosByAnchor, await sender.signTransaction(transaction), nextBlockHeight);
+        return transaction;
+    }
+
+    it('should restore the saved transactions and drop those no longer valid', async function () {
+        const memPool = newMemPool();
+        const parent = await pushSignedTransfer(memPool, utxosByAnchor[anchors[0]], 1);
+        const child = await pushSignedTransfer(memPool, memPool.virtualUtxosByAnchor[`${nextBlockHeight}:${parent.id}:1`], 10);
+        const spentTx = await pushSignedTransfer(memPool, utxosByAnchor[anchors[1]], 2);
+
+        expect(localStorage_v1.saveMempoolLocally(saveId, memPool.getTransactionsParentsFirst())).to.be.true;
+        expect(fs.existsSync(`${savePath}.tmp`)).to.be.false; // renamed over the saved mempool
+        const loadedTxs = localStorage_v1.loadMempoolLocally(saveId);
+        expect(loadedTxs.map(tx => tx.id)).to.have.members([parent.id, child.id, spentTx.id]);
+        expect(loadedTxs.findIndex(tx => tx.id === parent.id)).to.be.below(loadedTxs.findIndex(tx => tx.id === child.id));
+
+        const utxosAfterRestart = { [anchors[0]]: utxosByAnchor[anchors[0]] }; // anchors[1] spent meanwhile
+        const restartedMemPool = newMemPool();
+        for (const transaction of loadedTxs) {
+            try { await restartedMemPool.pushTransaction(utxosAfterRestart, transaction, nextBlockHeight); } catch (error) { }
+        }
+
+        expect(Object.keys(restartedMemPool.transactionsByID)).to.have.members([parent.id, child.id]);
+    });
+
+    it('should load nothing when no mempool was saved', function () {
+        expect(localStorage_v1.loadMempoolLocally('unknown-node-id')).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,58 @@
+import { expect } from 'chai';
+import { Transaction } from '../src/transaction.mjs';
+import { BlockData, BlockUtils } from '../src/block.mjs';
+import { MerkleTree, MerkleProof } from '../src/merkle-tree.mjs';
+
+describe('MerkleTree', function () {
+    /** @param {number} count */
+    function createTxs(count) {
+        const Txs = [];
+        for (let i = 0; i < count; i++) {
+            const id = `aa${i.toString(16).padStart(6, '0')}`;
+            Txs.push(Transaction([`0:bb00000${i % 10}:0`], [{ amount: 1_000 + i, rule: 'sig', address: 'WCHMD65Q7qR2uH9XF5dJ' }], id, [`${'c'.repeat(128)}:${'d'.repeat(64)}`]));
+        }
+        return Txs;
+    }
+
+    it('should prove the inclusion of every transaction, whatever the number of leaves', async function () {
+        for (let count = 1; count <= 7; count++) {
+            const txsHashes = await MerkleTree.getTxsHashes(createTxs(count));
+            const root = await MerkleTree.getRoot(txsHashes);
+            for (let i = 0; i < count; i++) {
+                const siblings = await MerkleTree.getSiblings(txsHashes, i);
+                expect(await MerkleTree.verifySiblings(txsHashes[i], siblings, root)).to.be.true;
+                expect(siblings.length).to.be.at.most(Math.ceil(Math.log2(count)));
+            }
+        }
+    });
+
+    it('should not share a root between two lists of transactions', async function () {
+        const txsHashes = await MerkleTree.getTxsHashes(createTxs(3));
+        const duplicatedLast = [...txsHashes, txsHashes[2]];
+
+        expect(await MerkleTree.getRoot(txsHashes)).to.not.equal(await MerkleTree.getRoot(duplicatedLast));
+    });
+
+    it('should cover the witnesses, not only the transaction ID', async function () {
+        const [tx] = createTxs(1);
+        const tamperedTx = { ...tx, witnesses: [`${'e'.repeat(128)}:${'d'.repeat(64)}`] };
+
+        expect(await MerkleTree.getTxHash(tx)).to.not.equal(await MerkleTree.getTxHash(tamperedTx));
+    });
+
+    it('should verify a proof against the block header only', async function () {
+        const Txs = createTxs(5);
+        const block = BlockData(1, 0, 1_000_000, 1, 0, 'a'.repeat(64), Txs, 1, 2, 'b'.repeat(64), '00000001', '0'.repeat(64));
+        block.merkleRoot = await BlockUtils.getBlockTxsHash(block);
+        const header = BlockUtils.getBlockHeader(block);
+
+        const txsHashes = await MerkleTree.getTxsHashes(Txs);
+        const proof = MerkleProof(Txs[3].id, txsHashes[3], block.hash, block.index, await MerkleTree.getSiblings(txsHashes, 3));
+        expect(await MerkleTree.verifyTxInclusion(Txs[3], proof, header)).to.be.true;
+
+        const tamperedTx = { ...Txs[3], outputs: [{ ...Txs[3].outputs[0], amount: 1 }] };
+        expect(await MerkleTree.verifyTxInclusion(tamperedTx, proof, header)).to.be.false;
+        expect(await MerkleTree.verifyTxInclusion(Txs[2], { ...proof, txId: Txs[2].id }, header)).to.be.false;
+        expect(await MerkleTree.verifyTxInclusion(Txs[3], proof, { ...header, hash: 'c'.repeat(64) })).to.be.false;
+    });
+});
@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import { Transaction_Builder, UTXO } from '../src/transaction.mjs';
+import { TxValidation } from '../src/validation.mjs';
+import utils from '../src/utils.mjs';
+import { fakeAnchor, setupOfflineTxSuite } from './helpers.mjs';
+
+describe('MultiSig M-of-N', function () {
+    const anchor = fakeAnchor();
+    let signers;
+    let recipient;
+    let pubKeys;
+    let multiSigAddress;
+    const { accounts, utxosByAnchor } = setupOfflineTxSuite(this, 'e', 4, () => [UTXO(anchor, 1_000_000, 'multiSigCreate', multiSigAddress)]);
+
+    before(async function () {
+        signers = accounts.slice(0, 3);
+        recipient = accounts[3];
+        pubKeys = signers.map(account => account.pubKey);
+        multiSigAddress = await utils.addressUtils.deriveMultiSigAddress(2, pubKeys);
+    });
+
+    async function createUnsignedTransfer() {
+        const transfers = [{ recipientAddress: recipient.address, amount: 100_000 }];
+        return await Transaction_Builder.createMultiSigTransfer(2, pubKeys, [utxosByAnchor[anchor]], transfers, 1);
+    }
+
+    it('should derive the same address whatever the pubKeys order', async function () {
+        const reversedAddress = await utils.addressUtils.deriveMultiSigAddress(2, [...pubKeys].reverse());
+        expect(reversedAddress).to.equal(multiSigAddress);
+        expect(utils.addressUtils.conformityCheck(multiSigAddress)).to.be.a('string');
+        expect(await utils.addressUtils.deriveMultiSigAddress(3, pubKeys)).to.not.equal(multiSigAddress);
+        await expect(utils.addressUtils.deriveMultiSigAddress(4, pubKeys)).to.be.rejectedWith('Required signers > number of pubKeys');
+    });
+
+    it('should lock the payments and the change to a multiSig address with multiSigCreate', async function () {
+        const transaction = await createUnsignedTransfer();
+        const changeOutput = transaction.outputs[transaction.outputs.length - 1];
+        expect(changeOutput.rule).to.equal('multiSigCreate');
+        expect(changeOutput.address).to.equal(multiSigAddress);
+
+        expect(() => TxValidation.isConformOutput({ amount: 1, rule: 'sig', address: multiSigAddress })).to.throw('!== multiSigCreate');
+        expect(() => TxValidation.isConformOutput({ amount: 1, rule: 'multiSigCreate', address: recipient.address })).to.throw('not a multiSig address');
+    });
+
+    it('should accept a spend signed by 2 of the 3 signers', async function () {
+        const transaction = await createUnsignedTransfer();
+        await signers[0].signTransaction(transaction);
+        await signers[2].signTransaction(transaction);
+
+        const { success } = await TxValidation.fullTransactionValidation(utxosByAnchor, {}, transaction, false, 2, true);
+        expect(success).to.be.true;
+    });
+
+    it('should reject a spend signed by only 1 of the 3 signers', async function () {
+        const transaction = await createUnsignedTransfer();
+        await signers[1].signTransaction(transaction);
+
+        await expect(TxValidation.fullTransactionValidation(utxosByAnchor, {}, transaction, false, 2, true)).to.be.rejectedWith('Not enough multiSig signatures: 1/2');
+    });
+
+    it('should collect the signatures through partially signed exports', async function () {
+        const transaction = await createUnsignedTransfer();
+        const exported = Transaction_Builder.exportPartiallySigned(transaction);
+
+        const firstCopy = await signers[0].signTransaction(Transaction_Builder.importPartiallySigned(exported));
+        const secondCopy = await signers[1].signTransaction(Transaction_Builder.importPartiallySigned(exported));
+        const merged = Transaction_Builder.mergeWitnesses(firstCopy, secondCopy);
+        expect(merged.witnesses).to.have.lengthOf(3); // descriptor + 2 signatures
+
+        const { success } = await TxValidation.fullTransactionValidation(utxosByAnchor, {}, merged, false, 2, true);
+        expect(success).to.be.true;
+    });
+
+    it('should reject an invalid signature', async function () {
+        const transaction = await createUnsignedTransfer();
+        await signers[0].signTransaction(transaction);
+        await signers[1].signTransaction(transaction);
+        const [signature, pubKeyHex] = transaction.witnesses[2].split(':');
+        transaction.witnesses[2] = `${signature.slice(0, -2)}${signature.endsWith('00') ? '11' : '00'}:${pubKeyHex}`;
+
+        await expect(TxValidation.fullTransactionValidation(utxosByAnchor, {}, transaction, false, 2, true)).to.be.rejectedWith('Invalid signature');
+    });
+});
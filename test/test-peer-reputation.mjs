@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PeerReputation, REPUTATION_EVENTS } from '../src/peer-reputation.mjs';
+import { BlockData } from '../src/block.mjs';
+import { Transaction } from '../src/transaction.mjs';
+import { Account } from '../src/account.mjs';
+import { Node } from '../src/node.mjs';
+import { TaskQueue } from '../src/taskQueue.mjs';
+import LevelUp from 'levelup';
+
+describe('Peer reputation', function () {
+    const storageId = 'test-peer-reputation';
+    const savePath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../storage/peers', `${storageId}-banned.json`);
+
+    afterEach(function () {
+        if (fs.existsSync(savePath)) { fs.unlinkSync(savePath); }
+    });
+
+    it('should lower the score of a misbehaving peer and raise it for useful data, up to the maximum', function () {
+        const reputation = new PeerReputation(null, { maxScore: 3 });
+        reputation.report('peerA', 'malformedMessage');
+        reputation.report('peerA', 'usefulData');
+        expect(reputation.getScore('peerA')).to.equal(REPUTATION_EVENTS.malformedMessage + REPUTATION_EVENTS.usefulData);
+
+        for (let i = 0; i < 10; i++) { reputation.report('peerB', 'usefulData'); }
+        expect(reputation.getScore('peerB')).to.equal(3);
+        expect(() => reputation.report('peerA', 'unknownEvent')).to.throw('Unknown reputation event: unknownEvent');
+    });
+
+    it('should ban a peer falling to the threshold, until the end of the ban', async function () {
+        const reputation = new PeerReputation(null, { banThreshold: -100, banDuration: 50 });
+        expect(reputation.report('peerA', 'invalidBlock')).to.be.false;
+        expect(reputation.report('peerA', 'invalidBlock')).to.be.true;
+        expect(reputation.isBanned('peerA')).to.be.true;
+        expect(reputation.report('peerA', 'invalidBlock')).to.be.false; // already banned
+        expect(reputation.getBannedPeers()).to.deep.equal(['peerA']);
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(reputation.isBanned('peerA')).to.be.false;
+        expect(reputation.getScore('peerA')).to.equal(0);
+    });
+
+    it('should keep the bans across restarts', function () {
+        const reputation = new PeerReputation(storageId);
+        reputation.ban('peerA');
+        reputation.ban('peerB');
+        reputation.unban('peerB');
+
+        const restartedReputation = new PeerReputation(storageId);
+        expect(restartedReputation.getBannedPeers()).to.deep.equal(['peerA']);
+        expect(fs.existsSync(`${savePath}.tmp`)).to.be.false; // renamed over the saved bans
+        expect(new PeerReputation('unknown-node-id').getBannedPeers()).to.deep.equal([]);
+    });
+
+    describe('reports of the task queue', function () {
+        this.timeout(30000);
+        /** @type {Node} */
+        let node;
+
+        /** @param {() => boolean} condition */
+        async function waitFor(condition) {
+            while (!condition()) { await new Promise(resolve => setTimeout(resolve, 10)); }
+        }
+
+        beforeEach(async function () {
+            node = new Node(new Account('', '', 'WtestTaskQueue000000'));
+            node.miner = { canProceedMining: false }; // the task queue pauses the miner, not started here
+            await node.blockchain.init();
+            node.taskQueue = TaskQueue.buildNewStack(node);
+        });
+
+        afterEach(async function () {
+            node.taskQueue.stop();
+            await node.blockchain.close();
+            fs.rmSync('./databases/blockchainDBWtestTaskQueue000000', { recursive: true, force: true });
+        });
+
+        it('should lower the score of the sender of an invalid block, not of a stale one', async function () {
+            const coinbaseTx = Transaction(['00000000'], [{ amount: 1_000_000, rule: 'sig', address: 'WCHMD65Q7qR2uH9XF5dJ' }], 'c0000000', []);
+            const invalidBlock = BlockData(0, 0, 1_000_000, 1, 0, '0'.repeat(64), [coinbaseTx], 1, 1, '1'.repeat(64), '00000000', '0'.repeat(64), '0'.repeat(64));
+            const aheadBlock = { ...invalidBlock, index: 5 };
+
+            node.taskQueue.push('digestPowProposal', aheadBlock, false, 'aheadPeer');
+            node.taskQueue.push('digestPowProposal', invalidBlock, false, 'invalidPeer');
+            const reputation = node.p2pNetwork.reputation;
+            await waitFor(() => reputation.getScore('invalidPeer') !== 0);
+
+            expect(reputation.getScore('invalidPeer')).to.equal(REPUTATION_EVENTS.invalidBlock);
+            expect(reputation.getScore('aheadPeer')).to.equal(0); // processed first
+        });
+
+        it('should not lower the score of the sender of a block the node fails to validate', async function () {
+            const coinbaseTx = Transaction(['00000000'], [{ amount: 1_000_000, rule: 'sig', address: 'WCHMD65Q7qR2uH9XF5dJ' }], 'c0000000', []);
+            const invalidBlock = BlockData(0, 0, 1_000_000, 1, 0, '0'.repeat(64), [coinbaseTx], 1, 1, '1'.repeat(64), '00000000', '0'.repeat(64), '0'.repeat(64));
+            const getLatestBlockHash = node.blockchain.getLatestBlockHash.bind(node.blockchain);
+            let calls = 0;
+            node.blockchain.getLatestBlockHash = () => { // fails during the validation of the first block
+                if (++calls === 2) { throw new LevelUp.errors.ReadError('Database is not open'); }
+                return getLatestBlockHash();
+            };
+
+            node.taskQueue.push('digestPowProposal', invalidBlock, false, 'honestPeer');
+            node.taskQueue.push('digestPowProposal', invalidBlock, false, 'invalidPeer');
+            const reputation = node.p2pNetwork.reputation;
+            await waitFor(() => reputation.getScore('invalidPeer') !== 0);
+
+            expect(calls).to.be.above(2);
+            expect(reputation.getScore('honestPeer')).to.equal(0);
+        });
+
+        it('should lower the score of the sender of an invalid transaction, not of one refused by the mempool policy', async function () {
+            const outputs = [{ amount: 1_000, rule: 'sig', address: 'WCHMD65Q7qR2uH9XF5dJ' }];
+            const spendingSpentTx = Transaction(['0:aabbccdd:0'], outputs, 'aa000001', []);
+            const malformedTx = Transaction(['0:aabbccdd:1'], outputs, 'aa000002', [], 0);
+
+            node.taskQueue.push('pushTransaction', { utxosByAnchor: {}, transaction: spendingSpentTx }, false, 'latePeer');
+            node.taskQueue.push('pushTransaction', { utxosByAnchor: {}, transaction: malformedTx }, false, 'invalidPeer');
+            const reputation = node.p2pNetwork.reputation;
+            await waitFor(() => reputation.getScore('invalidPeer') !== 0);
+
+            expect(reputation.getScore('invalidPeer')).to.equal(REPUTATION_EVENTS.invalidTransaction);
+            expect(reputation.getScore('latePeer')).to.equal(0);
+        });
+    });
+});
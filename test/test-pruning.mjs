@@ -0,0 +1,138 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import { BlockData } from '../src/block.mjs';
+import { Transaction } from '../src/transaction.mjs';
+import { Blockchain } from '../src/blockchain.mjs';
+import { UtxoCache } from '../src/utxoCache.mjs';
+import { Vss } from '../src/vss.mjs';
+import { SyncHandler } from '../src/sync.mjs';
+import utils from '../src/utils.mjs';
+
+describe('Pruned mode', function () {
+    this.timeout(30000);
+    /** @type {BlockData[]} */
+    let chain;
+    /** @type {Blockchain} */
+    let blockchain;
+    /** @type {UtxoCache} */
+    let utxoCache;
+    /** @type {Vss} */
+    let vss;
+
+    /** @param {number} index */
+    function createBlock(index, prevHash) {
+        const indexHex = index.toString(16).padStart(7, '0');
+        const coinbaseTx = Transaction(['0' + indexHex], [{ amount: 1_000_000, rule: 'sig', address: 'WCHMD65Q7qR2uH9XF5dJ' }], `c${indexHex}`, []);
+        return BlockData(index, 0, 1_000_000, 1, 0, prevHash, [coinbaseTx], index + 1, index + 1, (index + 1).toString(16).padStart(64, 'f'), `0${indexHex}`, '0'.repeat(64), '0'.repeat(64));
+    }
+    async function openBlockchain() {
+        blockchain = new Blockchain('testPruning', { maxReorgDepth: 2, prune: true });
+        await blockchain.init();
+        utxoCache = new UtxoCache();
+        utxoCache.bypassValidation = true; // the test blocks don't respect the supply
+        vss = new Vss();
+    }
+    /** Sends the message through the stream handler, like a peer would
+     * @param {SyncHandler} syncHandler
+     */
+    async function request(syncHandler, message) {
+        const serializedMessage = utils.serializer.rawData.toBinary_v1(message); // < 128 bytes: a single byte length prefix
+        const written = [];
+        const stream = {
+            source: (async function* () { yield new Uint8Array([serializedMessage.length, ...serializedMessage]); })(),
+            sink: async (source) => { for await (const chunk of source) { written.push(Buffer.from(chunk.subarray ? chunk.subarray() : chunk)); } },
+            close: async () => { }
+        };
+        await syncHandler.handleIncomingStream({ stream });
+
+        const bytes = Buffer.concat(written);
+        let offset = 0;
+        while (bytes[offset] & 0x80) { offset++; } // varint length prefix
+        return utils.serializer.rawData.fromBinary_v1(bytes.subarray(offset + 1));
+    }
+
+    beforeEach(async function () {
+        await openBlockchain();
+        chain = [];
+        for (let index = 0; index < 6; index++) {
+            const block = createBlock(index, index === 0 ? '0'.repeat(64) : chain[index - 1].hash);
+            await blockchain.addConfirmedBlocks(utxoCache, [block]);
+            await blockchain.applyChainReorg(utxoCache, vss, [block]);
+            chain.push(block);
+        }
+    });
+
+    afterEach(async function () {
+        await blockchain.close();
+        fs.rmSync('./databases/blockchainDBtestPruning', { recursive: true, force: true });
+    });
+
+    it('should delete the bodies below the prune depth and keep the headers, the infos and the reorganization window', async function () {
+        expect(blockchain.prunedHeight).to.equal(2);
+        expect(blockchain.getLowestBlockHeight()).to.equal(3);
+        for (let height = 0; height <= 2; height++) {
+            expect(await blockchain.getBlockByIndex(height)).to.be.null;
+            expect((await blockchain.getHeaderProofByIndex(height)).header.hash).to.equal(chain[height].hash);
+            expect(await blockchain.getBlockInfoFromDiskByHeight(height)).to.not.be.null;
+        }
+        expect((await blockchain.getBlockByIndex(3)).hash).to.equal(chain[3].hash); // the finalized block: the anchor of the window
+
+        // the window can still be reverted
+        await blockchain.undoLastBlock(utxoCache, vss);
+        await blockchain.undoLastBlock(utxoCache, vss);
+        expect(blockchain.lastBlock.hash).to.equal(chain[3].hash);
+    });
+
+    it('should keep pruning from where it stopped after a restart', async function () {
+        await blockchain.close();
+        await openBlockchain();
+        expect(await blockchain.loadState(utxoCache, vss)).to.equal(5);
+        expect(blockchain.prunedHeight).to.equal(2);
+
+        const block = createBlock(6, chain[5].hash);
+        await blockchain.addConfirmedBlocks(utxoCache, [block]);
+        await blockchain.applyChainReorg(utxoCache, vss, [block]);
+        expect(blockchain.prunedHeight).to.equal(3);
+        expect(await blockchain.getBlockByIndex(3)).to.be.null;
+    });
+
+    it('should tell which block ranges are pruned, but still serve their headers', async function () {
+        const syncHandler = new SyncHandler(blockchain, utxoCache);
+
+        const prunedResponse = await request(syncHandler, { type: 'getBlocks', startIndex: 1, endIndex: 5 });
+        expect(prunedResponse.status).to.equal('error');
+        expect(prunedResponse.message).to.equal('Blocks #1-#2 pruned, the bodies are served from #3');
+
+        const blocksResponse = await request(syncHandler, { type: 'getBlocks', startIndex: 3, endIndex: 5 });
+        expect(blocksResponse.blocks.map(block => block.hash)).to.deep.equal(chain.slice(3).map(block => block.hash));
+
+        const headersResponse = await request(syncHandler, { type: 'getHeaders', startIndex: 0, endIndex: 5 });
+        expect(headersResponse.headers.map(headerProof => headerProof.header.hash)).to.deep.equal(chain.map(block => block.hash));
+
+        const statusResponse = await request(syncHandler, { type: 'getStatus' });
+        expect(statusResponse.lowestBlockHeight).to.equal(3);
+    });
+
+    it('should only keep the mining data of the difficulty adjustment, across restarts', async function () {
+        const miningDataWindow = 2 + utils.MINING_PARAMS.blocksBeforeAdjustment; // maxUndoBlocks + the adjustment period
+        for (let index = 6; index < miningDataWindow + 10; index++) {
+            const block = createBlock(index, chain[index - 1].hash);
+            await blockchain.addConfirmedBlocks(utxoCache, [block]);
+            await blockchain.applyChainReorg(utxoCache, vss, [block]);
+            chain.push(block);
+        }
+        const lastMiningData = utxoCache.blockMiningData.slice(-miningDataWindow);
+        expect(utxoCache.blockMiningData).to.have.lengthOf(miningDataWindow);
+        expect(await blockchain.db.get('miningData-9').catch(() => null)).to.be.null;
+
+        await blockchain.close();
+        await openBlockchain();
+        await blockchain.loadState(utxoCache, vss);
+        expect(utxoCache.blockMiningData).to.deep.equal(lastMiningData);
+        expect(utxoCache.blockMiningData[0].index).to.equal(10);
+    });
+
+    it('should refuse a prune depth inside the reorganization window', function () {
+        expect(() => new Blockchain('testPruningRefused', { maxReorgDepth: 2, prune: true, pruneDepth: 1 })).to.throw('pruneDepth');
+    });
+});
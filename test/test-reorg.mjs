@@ -1,6 +1,14 @@
 import { expect } from 'chai';
 import { BlockTree } from '../src/block-tree.mjs';
 import { ForkChoiceRule } from '../src/fork-rule.mjs';
+import utils from '../src/utils.mjs';
+import fs from 'fs';
+import { Wallet } from '../src/wallet.mjs';
+import { Transaction } from '../src/transaction.mjs';
+import { UtxoCache } from '../src/utxoCache.mjs';
+import { Vss } from '../src/vss.mjs';
+import { BlockData } from '../src/block.mjs';
+import { Blockchain } from '../src/blockchain.mjs';
 
 describe('BlockTree and ForkChoiceRule', () => {
     let blockTree;
@@ -180,6 +188,34 @@ describe('BlockTree and ForkChoiceRule', () => {
             const commonAncestor = blockTree.getCommonAncestor('block3A', 'block3B');
             expect(commonAncestor).to.equal('block1');
         });
+
+        /**
+         * Invalid Branch Removal Test
+         *
+         * A branch whose block fails the validation during a reorganization is discarded:
+         * its blocks leave the tree and its parent becomes a leaf again.
+         */
+        it('should remove an invalid branch with its descendants', () => {
+            blockTree.addBlock({ hash: 'block1', prevHash: 'genesis', height: 1, score: 1 });
+            blockTree.addBlock({ hash: 'block2A', prevHash: 'block1', height: 2, score: 1 });
+            blockTree.addBlock({ hash: 'block2B', prevHash: 'block1', height: 2, score: 2 });
+            blockTree.addBlock({ hash: 'block3B', prevHash: 'block2B', height: 3, score: 2 });
+
+            expect(blockTree.removeBranch('block2B')).to.have.members(['block2B', 'block3B']);
+            expect(blockTree.blocks.has('block3B')).to.be.false;
+            expect([...blockTree.leaves]).to.deep.equal(['block2A']);
+            expect(blockTree.getBlockScore('block1')).to.equal(2);
+            expect(forkChoiceRule.findBestBlock()).to.equal('block2A');
+        });
+
+        it('should refuse a block contradicting a checkpoint', () => {
+            blockTree = new BlockTree('genesis', { checkpoints: { 2: 'block2A' } });
+
+            expect(blockTree.addBlock({ hash: 'block1', prevHash: 'genesis', height: 1, score: 1 })).to.be.true;
+            expect(blockTree.addBlock({ hash: 'block2B', prevHash: 'block1', height: 2, score: 5 })).to.be.false;
+            expect(blockTree.addBlock({ hash: 'block2A', prevHash: 'block1', height: 2, score: 1 })).to.be.true;
+            expect([...blockTree.leaves]).to.deep.equal(['block2A']);
+        });
     });
 
     describe('ForkChoiceRule', () => {
@@ -284,6 +320,49 @@ describe('BlockTree and ForkChoiceRule', () => {
             expect(shouldReorg).to.be.true;
         });
 
+        /**
+         * Cumulative Work Test
+         *
+         * The whole chains are compared, not their tips: a longer chain of low difficulty
+         * blocks must not win against a shorter one holding more work.
+         */
+        it('should follow the chain with the most cumulative work', () => {
+            blockTree.addBlock({ hash: 'block1A', prevHash: 'genesis', height: 1, score: 16 });
+            blockTree.addBlock({ hash: 'block2A', prevHash: 'block1A', height: 2, score: 1 });
+            blockTree.addBlock({ hash: 'block1B', prevHash: 'genesis', height: 1, score: 4 });
+            blockTree.addBlock({ hash: 'block2B', prevHash: 'block1B', height: 2, score: 4 });
+            blockTree.addBlock({ hash: 'block3B', prevHash: 'block2B', height: 3, score: 4 });
+
+            expect(blockTree.getChainScore('block2A')).to.equal(17);
+            expect(forkChoiceRule.shouldReorg('block2A', 'block3B')).to.be.false;
+            expect(forkChoiceRule.findBestBlock()).to.equal('block2A');
+        });
+
+        /**
+         * Maximum Reorganization Depth Test
+         *
+         * The blocks buried deeper than the max reorg depth are final: a heavier branch
+         * forking below them is ignored.
+         */
+        it('should not reorganize deeper than the max reorg depth', () => {
+            forkChoiceRule = new ForkChoiceRule(blockTree, 1);
+            blockTree.addBlock({ hash: 'block1A', prevHash: 'genesis', height: 1, score: 1 });
+            blockTree.addBlock({ hash: 'block2A', prevHash: 'block1A', height: 2, score: 1 });
+            blockTree.addBlock({ hash: 'block1B', prevHash: 'genesis', height: 1, score: 2 });
+            blockTree.addBlock({ hash: 'block2B', prevHash: 'block1B', height: 2, score: 2 });
+            blockTree.addBlock({ hash: 'block3A', prevHash: 'block2A', height: 3, score: 1 });
+            blockTree.addBlock({ hash: 'block3C', prevHash: 'block2A', height: 3, score: 2 });
+
+            expect(forkChoiceRule.shouldReorg('block3A', 'block2B')).to.be.false; // 3 blocks deep
+            expect(forkChoiceRule.shouldReorg('block3A', 'block3C')).to.be.true; // 1 block deep
+        });
+
+        it('should score the blocks by the work their final difficulty requires', () => {
+            expect(utils.mining.getDifficultyWork(16)).to.equal(2);
+            expect(utils.mining.getDifficultyWork(32)).to.equal(4);
+            expect(utils.mining.getDifficultyWork(40)).to.equal(4 * 32 / 24);
+        });
+
         /**
                  * Reorganization Path Calculation Test (continued)
                  *
@@ -394,4 +473,151 @@ describe('BlockTree and ForkChoiceRule', () => {
             });
         });
     });
-});
\ No newline at end of file
+});
+describe('Block undo data', function () {
+    this.timeout(60000);
+
+    let miner;
+    let sender;
+    let utxoCache;
+    let vss;
+    let blockchain;
+
+    before(async function () {
+        const wallet = new Wallet('3'.repeat(60), true);
+        const { derivedAccounts } = await wallet.deriveAccounts(2, 'W');
+        [miner, sender] = derivedAccounts;
+    });
+
+    beforeEach(async function () {
+        utxoCache = new UtxoCache();
+        utxoCache.bypassValidation = true; // the test blocks don't respect the supply
+        vss = new Vss();
+        blockchain = new Blockchain('testBlockUndoData');
+        await blockchain.init();
+    });
+
+    afterEach(async function () {
+        await blockchain.close();
+        fs.rmSync('./databases/blockchainDBtestBlockUndoData', { recursive: true, force: true });
+    });
+
+    /**
+     * @param {number} index
+     * @param {string} prevHash
+     * @param {Transaction[]} transferTxs
+     */
+    function createBlock(index, prevHash, transferTxs = []) {
+        const coinbaseTx = Transaction(['0000000' + index], [{ amount: 1_000_000, rule: 'sig', address: miner.address }], `c000000${index}`, []);
+        return BlockData(index, 0, 1_000_000, 1, 0, prevHash, [coinbaseTx, ...transferTxs], index + 1, index + 1, `${index + 1}`.repeat(64), `0000000${index}`, '0'.repeat(64), '0'.repeat(64));
+    }
+    /** @param {BlockData} block */
+    async function applyBlock(block) {
+        await blockchain.addConfirmedBlocks(utxoCache, [block]);
+        await blockchain.applyChainReorg(utxoCache, vss, [block]);
+    }
+    function getState() {
+        const balances = Object.entries(utxoCache.addressesBalances).filter(([, balance]) => balance !== 0);
+        return JSON.parse(JSON.stringify({ utxosByAnchor: utxoCache.utxosByAnchor, balances, spectrum: vss.spectrum }));
+    }
+
+    it('should revert a block to the exact previous UTXOs, balances and stakes', async function () {
+        const block0 = createBlock(0, '0'.repeat(64));
+        await applyBlock(block0);
+        const stateAfterBlock0 = getState();
+        const utxoSetHashAfterBlock0 = utxoCache.utxoSetHash.toHex();
+
+        const stakeTx = Transaction(['0:c0000000:0'], [
+            { amount: 300_000, rule: 'sigOrSlash', address: miner.address },
+            { amount: 300_000, rule: 'sig', address: miner.address }
+        ], 'aa000001', []);
+        const childTx = Transaction(['1:aa000001:1'], [{ amount: 250_000, rule: 'sig', address: sender.address }], 'aa000002', []); // spends in the same block
+        const block1 = createBlock(1, block0.hash, [stakeTx, childTx]);
+        await applyBlock(block1);
+
+        expect(utxoCache.utxosByAnchor['0:c0000000:0']).to.be.undefined;
+        expect(utxoCache.addressesBalances[sender.address]).to.equal(250_000);
+        expect(Object.keys(vss.spectrum)).to.have.lengthOf(1);
+        expect(utxoCache.utxoSetHash.toHex()).to.not.equal(utxoSetHashAfterBlock0);
+
+        const revertedBlock = await blockchain.undoLastBlock(utxoCache, vss);
+        expect(revertedBlock.hash).to.equal(block1.hash);
+        expect(getState()).to.deep.equal(stateAfterBlock0);
+        expect(utxoCache.utxoSetHash.toHex()).to.equal(utxoSetHashAfterBlock0);
+        expect(utxoCache.blockMiningData).to.have.lengthOf(1);
+        expect(blockchain.currentHeight).to.equal(0);
+        expect(blockchain.lastBlock.hash).to.equal(block0.hash);
+        expect(blockchain.blocksByHeight.has(1)).to.be.false;
+        expect(blockchain.blockTree.blocks.has(block1.hash)).to.be.true; // kept as a side block
+    });
+
+    it('should only revert the blocks it kept the undo data of', async function () {
+        blockchain.maxUndoBlocks = 1;
+        const block0 = createBlock(0, '0'.repeat(64));
+        await applyBlock(block0);
+        await applyBlock(createBlock(1, block0.hash));
+
+        await blockchain.undoLastBlock(utxoCache, vss);
+        try {
+            await blockchain.undoLastBlock(utxoCache, vss);
+            expect.fail('should have thrown');
+        } catch (error) { expect(error.message).to.include('No undo data for block #0'); }
+    });
+
+    it('should report the blocks buried deeper than the max reorg depth as final', async function () {
+        blockchain.maxReorgDepth = 1;
+        const block0 = createBlock(0, '0'.repeat(64));
+        await applyBlock(block0);
+        const block1 = createBlock(1, block0.hash);
+        expect(blockchain.isFinal(0)).to.be.false;
+        await applyBlock(block1);
+        expect(blockchain.isFinal(0)).to.be.true;
+
+        await applyBlock(createBlock(2, block1.hash));
+        expect(blockchain.getFinalizedHeight()).to.equal(1);
+        expect(blockchain.isFinal(2)).to.be.false;
+        expect(blockchain.addSideBlock({ ...createBlock(1, block0.hash), hash: 'a'.repeat(64) })).to.be.false;
+    });
+
+    it('should load the state of the last digested block after a restart', async function () {
+        const block0 = createBlock(0, '0'.repeat(64));
+        await applyBlock(block0);
+        const stakeTx = Transaction(['0:c0000000:0'], [{ amount: 300_000, rule: 'sigOrSlash', address: sender.address }], 'aa000001', []);
+        const block1 = createBlock(1, block0.hash, [stakeTx]);
+        await applyBlock(block1);
+        await applyBlock(createBlock(2, block1.hash));
+        await blockchain.undoLastBlock(utxoCache, vss);
+        const state = getState();
+        const utxoSetHash = utxoCache.utxoSetHash.toHex();
+
+        await blockchain.close();
+        blockchain = new Blockchain('testBlockUndoData');
+        await blockchain.init();
+        utxoCache = new UtxoCache();
+        vss = new Vss();
+        expect(await blockchain.loadState(utxoCache, vss)).to.equal(1);
+
+        expect(getState()).to.deep.equal(state);
+        expect(utxoCache.utxoSetHash.toHex()).to.equal(utxoSetHash);
+        expect(utxoCache.addressesUTXOs[sender.address].map(utxo => utxo.anchor)).to.deep.equal(['1:aa000001:0']);
+        expect(utxoCache.blockMiningData.map(data => data.index)).to.deep.equal([0, 1]);
+        expect(blockchain.lastBlock.hash).to.equal(block1.hash);
+        expect(blockchain.blockTree.getHeaviestLeaf()).to.equal(block1.hash);
+        expect(await blockchain.recoverBlocksFromStorage(2)).to.have.lengthOf(0);
+    });
+
+    it('should keep the undo data on disk across restarts', async function () {
+        const block0 = createBlock(0, '0'.repeat(64));
+        await applyBlock(block0);
+        const block1 = createBlock(1, block0.hash, [Transaction(['0:c0000000:0'], [{ amount: 900_000, rule: 'sig', address: sender.address }], 'aa000001', [])]);
+        await applyBlock(block1);
+        const undoData = await blockchain.getBlockUndoData(block1.hash);
+        expect(undoData.spentUTXOs.map(utxo => utxo.anchor)).to.deep.equal(['0:c0000000:0']);
+        expect(undoData.createdAnchors).to.have.members(['1:c0000001:0', '1:aa000001:0']);
+
+        await blockchain.close();
+        blockchain = new Blockchain('testBlockUndoData');
+        await blockchain.init();
+        expect(await blockchain.getBlockUndoData(block1.hash)).to.deep.equal(undoData);
+    });
+});
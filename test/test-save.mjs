@@ -120,8 +120,7 @@ describe('Blockchain Save and Load Tests', function () {
             const block2 = createValidBlock(2, block1.hash, genesisBlock.supply + block1.coinBase);
 
             await blockchain.addConfirmedBlocks(utxoCache, [block1, block2]);
-            const blocks = await blockchain.checkAndHandleReorg(utxoCache);
-            await blockchain.applyChainReorg(utxoCache, vss, blocks);
+            await blockchain.applyChainReorg(utxoCache, vss, [block1, block2]);
             // Close the first blockchain instance
             await blockchain.close();
 
@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+import { Transaction, Transaction_Builder, UTXO } from '../src/transaction.mjs';
+import { TxValidation } from '../src/validation.mjs';
+import { UtxoCache } from '../src/utxoCache.mjs';
+import { Vss } from '../src/vss.mjs';
+import utils from '../src/utils.mjs';
+import { fakeAnchor, setupOfflineTxSuite } from './helpers.mjs';
+
+describe('Stake unbonding', function () {
+    const stakeAnchor = fakeAnchor(0, 0);
+    const withdrawLockBlocks = utils.UTXO_RULES_GLOSSARY.sigOrSlash.withdrawLockBlocks;
+    let staker;
+    let recipient;
+    const { accounts, utxosByAnchor } = setupOfflineTxSuite(this, 'c', 2, () => [UTXO(stakeAnchor, 1_000_000, 'sigOrSlash', staker.address)]);
+
+    before(function () {
+        [staker, recipient] = accounts;
+    });
+
+    /** @param {UTXO} utxo */
+    async function createSignedWithdrawal(utxo) {
+        staker.UTXOs = [utxo];
+        const transaction = await Transaction_Builder.createTransfer(staker, [{ recipientAddress: recipient.address, amount: 1000 }], 1);
+        return await staker.signTransaction(transaction);
+    }
+
+    it('should accept an unbonding transaction without the staking fee', async function () {
+        const unbondingTx = await Transaction_Builder.createUnbonding(staker, [utxosByAnchor[stakeAnchor]]);
+        const signedTx = await staker.signTransaction(unbondingTx);
+
+        expect(Transaction_Builder.isUnbondingTx(signedTx)).to.be.true;
+        expect(signedTx.version).to.equal(utils.UTXO_RULES_GLOSSARY.sigOrSlash.unbondingTxVersion);
+        expect(signedTx.outputs[0].rule).to.equal('sigOrSlash');
+
+        const { success } = await TxValidation.fullTransactionValidation(utxosByAnchor, {}, signedTx, false, 10, true);
+        expect(success).to.be.true;
+    });
+
+    it('should not unbond the stakes merged by a transaction of the same shape, without the unbonding version', async function () {
+        const otherStakeAnchor = fakeAnchor(1, 0);
+        utxosByAnchor[otherStakeAnchor] = UTXO(otherStakeAnchor, 1_000_000, 'sigOrSlash', staker.address);
+        const mergingTx = Transaction([stakeAnchor, otherStakeAnchor], [{ amount: 1_900_000, rule: 'sigOrSlash', address: staker.address }]);
+        mergingTx.id = await Transaction_Builder.hashId(mergingTx);
+
+        expect(Transaction_Builder.isUnbondingTx(mergingTx)).to.be.false;
+        expect(() => TxValidation.controlTransactionInputsRulesConditions(utxosByAnchor, mergingTx, 10)).to.throw('must be unbonded');
+    });
+
+    it('should refuse an unbonding transaction not spending stakes into a stake of the same address', async function () {
+        const unbondingTx = await Transaction_Builder.createUnbonding(staker, [utxosByAnchor[stakeAnchor]]);
+        const redirectedTx = { ...unbondingTx, outputs: [{ ...unbondingTx.outputs[0], address: recipient.address }] };
+        redirectedTx.id = await Transaction_Builder.hashId(redirectedTx);
+        const withdrawingTx = { ...unbondingTx, outputs: [{ ...unbondingTx.outputs[0], rule: 'sig' }] };
+        withdrawingTx.id = await Transaction_Builder.hashId(withdrawingTx);
+
+        expect(() => TxValidation.isConformTransaction(utxosByAnchor, redirectedTx, false)).to.throw(`not a stake of ${recipient.address}`);
+        expect(() => TxValidation.isConformTransaction(utxosByAnchor, withdrawingTx, false)).to.throw('output rule sig !== sigOrSlash');
+    });
+
+    it('should take the unbonding stake out of the spectrum, but keep it slashable', async function () {
+        const utxoCache = new UtxoCache({ [staker.address]: [utxosByAnchor[stakeAnchor]] }, { [staker.address]: 1_000_000 }, { ...utxosByAnchor });
+        utxoCache.bypassValidation = true; // no coinbase in the test block
+        const vss = new Vss();
+        vss.newStakes([utxosByAnchor[stakeAnchor]]);
+
+        const unbondingTx = await staker.signTransaction(await Transaction_Builder.createUnbonding(staker, [utxosByAnchor[stakeAnchor]]));
+        const { newStakesOutputs, spentStakesAnchors } = await utxoCache.digestFinalizedBlocks([{ index: 10, supply: 0, coinBase: 0, Txs: [unbondingTx] }]);
+        vss.newStakes(newStakesOutputs);
+        vss.removeStakes(spentStakesAnchors);
+
+        expect(vss.spectrum).to.deep.equal({});
+        const unbondingUTXO = utxoCache.utxosByAnchor[`10:${unbondingTx.id}:0`];
+        expect(unbondingUTXO).to.deep.include({ rule: 'sigOrSlash', unbondHeight: 10 });
+    });
+
+    it('should refuse to spend a stake which is not unbonded', async function () {
+        const signedTx = await createSignedWithdrawal(utxosByAnchor[stakeAnchor]);
+
+        expect(() => TxValidation.controlTransactionInputsRulesConditions(utxosByAnchor, signedTx, 10_000)).to.throw('must be unbonded');
+    });
+
+    it('should refuse to spend an unbonding stake before the end of the lock', async function () {
+        utxosByAnchor[stakeAnchor].unbondHeight = 10;
+        const signedTx = await createSignedWithdrawal(utxosByAnchor[stakeAnchor]);
+
+        expect(() => TxValidation.controlTransactionInputsRulesConditions(utxosByAnchor, signedTx, 10 + withdrawLockBlocks - 1)).to.throw('locked until');
+        expect(() => TxValidation.controlTransactionInputsRulesConditions(utxosByAnchor, signedTx, 10 + withdrawLockBlocks)).to.not.throw();
+    });
+
+    it('should report locked and released stakes in getBalanceSpendableAndUTXOs', function () {
+        const unbondingAnchor = '10:11223344:0';
+        const addressUTXOs = [
+            UTXO(stakeAnchor, 1_000_000, 'sigOrSlash', staker.address),
+            { ...UTXO(unbondingAnchor, 500_000, 'sigOrSlash', staker.address), unbondHeight: 10 },
+            UTXO('3:55667788:1', 200, 'sig', staker.address)
+        ];
+        const utxoCache = new UtxoCache({ [staker.address]: addressUTXOs }, { [staker.address]: 1_500_200 });
+
+        utxoCache.blockMiningData = [{ index: 20 }];
+        const locked = utxoCache.getBalanceSpendableAndUTXOs(staker.address);
+        expect(locked.spendableBalance).to.equal(200);
+        expect(locked.lockedUTXOs.map(utxo => utxo.anchor)).to.deep.equal([stakeAnchor, unbondingAnchor]);
+        expect(locked.lockedUTXOs[1].unlockHeight).to.equal(10 + withdrawLockBlocks);
+
+        utxoCache.blockMiningData = [{ index: 10 + withdrawLockBlocks - 1 }];
+        const released = utxoCache.getBalanceSpendableAndUTXOs(staker.address);
+        expect(released.spendableBalance).to.equal(500_200);
+        expect(released.UTXOs.map(utxo => utxo.anchor)).to.include(unbondingAnchor);
+    });
+});
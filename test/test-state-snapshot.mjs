@@ -0,0 +1,186 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import { BlockData, BlockUtils } from '../src/block.mjs';
+import { Transaction, Transaction_Builder } from '../src/transaction.mjs';
+import { LightClient } from '../src/light-client.mjs';
+import { Blockchain } from '../src/blockchain.mjs';
+import { UtxoCache } from '../src/utxoCache.mjs';
+import { Vss } from '../src/vss.mjs';
+import { SyncHandler } from '../src/sync.mjs';
+import { StateSnapshotUtils } from '../src/state-snapshot.mjs';
+import utils from '../src/utils.mjs';
+
+describe('State snapshots', function () {
+    this.timeout(60000);
+    const minerAddress = 'WCHMD65Q7qR2uH9XF5dJ';
+    /** @type {BlockData[]} */
+    const chain = [];
+    let stateAtSnapshot;
+    /** @type {Blockchain} */
+    let sourceBlockchain;
+    /** @type {Blockchain} */
+    let blockchain;
+
+    /**
+     * @param {number} index
+     * @param {string} prevHash
+     * @param {string} utxoSetHash
+     * @param {Transaction[]} transferTxs
+     */
+    async function mineBlock(index, prevHash, utxoSetHash, transferTxs = []) {
+        const posTimestamp = (index + 1) * utils.SETTINGS.targetBlockTime;
+        const coinbaseTx = await Transaction_Builder.createCoinbase(index.toString(16).padStart(8, '0'), minerAddress, 1_000_000);
+        const block = BlockData(index, 0, 1_000_000, 1, 0, prevHash, [coinbaseTx, ...transferTxs], posTimestamp, posTimestamp + utils.SETTINGS.targetBlockTime, undefined, undefined, utxoSetHash);
+        block.merkleRoot = await BlockUtils.getBlockTxsHash(block);
+
+        for (let nonce = 0; ; nonce++) {
+            block.nonce = nonce.toString(16).padStart(8, '0');
+            const { hex, bitsArrayAsString } = await BlockUtils.getMinerHash(block, true);
+            if (!utils.mining.verifyBlockHashConformToDifficulty(bitsArrayAsString, block).conform) { continue; }
+
+            block.hash = hex;
+            return block;
+        }
+    }
+    /**
+     * @param {UtxoCache} utxoCache
+     * @param {Vss} vss
+     */
+    function getState(utxoCache, vss) {
+        const balances = Object.entries(utxoCache.addressesBalances).filter(([, balance]) => balance !== 0);
+        return JSON.parse(JSON.stringify({ utxosByAnchor: utxoCache.utxosByAnchor, balances, spectrum: vss.spectrum, blockMiningData: utxoCache.blockMiningData, utxoSetHash: utxoCache.utxoSetHash.toHex() }));
+    }
+    async function getServedSnapshot() {
+        const info = await sourceBlockchain.getStateSnapshotInfo();
+        const chunks = [];
+        for (let i = 0; i < info.chunksCount; i++) { chunks.push(await sourceBlockchain.getStateSnapshotChunk(i)); }
+        return StateSnapshotUtils.fromChunks(chunks);
+    }
+    /** Answers the sync messages like the SyncHandler of a peer, a snapshot can be replaced
+     * @param {Object<string, Uint8Array[]>} [chunksByPeer] - default: the chunks of the source blockchain
+     */
+    function createP2PNetwork(peers, chunksByPeer = {}) {
+        const reports = [];
+        const sendMessage = async (peerMultiaddr, message) => {
+            switch (message.type) {
+                case 'getStatus':
+                    return { status: 'success', currentHeight: chain.length - 1, latestBlockHash: chain[chain.length - 1].hash };
+                case 'getHeaders':
+                    const headers = [];
+                    for (const block of chain.slice(message.startIndex, message.endIndex + 1)) { headers.push(await LightClient.buildHeaderProof(block)); }
+                    return { status: 'success', headers };
+                case 'getSnapshotInfo':
+                    return { status: 'success', ...await sourceBlockchain.getStateSnapshotInfo() };
+                case 'getSnapshotChunk':
+                    const chunks = chunksByPeer[peerMultiaddr];
+                    return { status: 'success', chunk: chunks ? chunks[message.index] : await sourceBlockchain.getStateSnapshotChunk(message.index) };
+            }
+        };
+        const reportPeer = async (peerId, event) => { reports.push({ peerId, event }); };
+        return { p2pNetwork: { sendMessage, reportPeer, reports }, peersMultiaddrs: Object.fromEntries(peers.map((peer, i) => [`peer${i}`, [peer]])) };
+    }
+
+    before(async function () {
+        sourceBlockchain = new Blockchain('testStateSnapshotSource', { snapshotInterval: 2, snapshotChunkSize: 300 });
+        await sourceBlockchain.init();
+        const utxoCache = new UtxoCache();
+        utxoCache.bypassValidation = true; // the test blocks don't respect the supply
+        const vss = new Vss();
+
+        for (let index = 0; index < 4; index++) {
+            const prevHash = index === 0 ? '0'.repeat(64) : chain[index - 1].hash;
+            const stakeTxs = index === 1 ? [Transaction([`0:${chain[0].Txs[0].id}:0`], [{ amount: 300_000, rule: 'sigOrSlash', address: minerAddress }], 'aa000001', [])] : [];
+            const block = await mineBlock(index, prevHash, await utxoCache.getUtxoSetHashAfter(index, stakeTxs), stakeTxs);
+            await sourceBlockchain.addConfirmedBlocks(utxoCache, [block]);
+            await sourceBlockchain.applyChainReorg(utxoCache, vss, [block]);
+            chain.push(block);
+            if (index === 2) { stateAtSnapshot = getState(utxoCache, vss); }
+        }
+    });
+
+    after(async function () {
+        await sourceBlockchain.close();
+        fs.rmSync('./databases/blockchainDBtestStateSnapshotSource', { recursive: true, force: true });
+    });
+
+    beforeEach(async function () {
+        blockchain = new Blockchain('testStateSnapshot');
+        await blockchain.init();
+    });
+
+    afterEach(async function () {
+        await blockchain.close();
+        fs.rmSync('./databases/blockchainDBtestStateSnapshot', { recursive: true, force: true });
+    });
+
+    it('should take a snapshot at each interval and serve it by chunks', async function () {
+        const info = await sourceBlockchain.getStateSnapshotInfo();
+        expect(info.height).to.equal(2);
+        expect(info.blockHash).to.equal(chain[2].hash);
+        expect(info.chunksCount).to.be.above(1);
+
+        const snapshot = await getServedSnapshot();
+        const headers = chain.map(block => BlockUtils.getBlockHeader(block));
+        await StateSnapshotUtils.verify(snapshot, headers[2], StateSnapshotUtils.getBlockMiningData(headers.slice(0, 3)), true);
+        expect(Object.keys(snapshot.spectrum)).to.have.lengthOf(1);
+    });
+
+    it('should refuse a snapshot not matching the headers', async function () {
+        const snapshot = await getServedSnapshot();
+        const headers = chain.map(block => BlockUtils.getBlockHeader(block));
+        const miningData = StateSnapshotUtils.getBlockMiningData(headers.slice(0, 3));
+        const stake = Object.values(snapshot.spectrum)[0];
+
+        const tamperedSnapshots = [
+            { ...snapshot, utxos: snapshot.utxos.map(utxo => ({ ...utxo, amount: utxo.amount + 1 })) },
+            { ...snapshot, spectrum: { [stake.amount + 1]: { ...stake, amount: stake.amount + 1 } } },
+            { ...snapshot, blockMiningData: miningData.map(data => ({ ...data, difficulty: 2 })) },
+            { ...snapshot, blockMiningData: miningData.slice(1) }, // not enough for the difficulty adjustment
+            { ...snapshot, block: chain[1], height: 1 }
+        ];
+        for (const tamperedSnapshot of tamperedSnapshots) {
+            try {
+                await StateSnapshotUtils.verify(tamperedSnapshot, headers[2], miningData, true);
+                expect.fail('should have thrown');
+            } catch (error) { expect(error.message).to.not.equal('should have thrown'); }
+        }
+    });
+
+    it('should start an empty chain from a verified snapshot of the peers, across restarts', async function () {
+        const tamperedSnapshot = await getServedSnapshot();
+        tamperedSnapshot.utxos[0].amount += 1;
+        const tamperedChunks = StateSnapshotUtils.toChunks(tamperedSnapshot, 300);
+        const { p2pNetwork, peersMultiaddrs } = createP2PNetwork(['liarPeer', 'honestPeer'], { liarPeer: tamperedChunks });
+
+        const syncHandler = new SyncHandler(blockchain, new UtxoCache());
+        const snapshot = await syncHandler.fetchStateSnapshot(p2pNetwork, peersMultiaddrs, true);
+        expect(snapshot.height).to.equal(2);
+        expect(p2pNetwork.reports).to.deep.include({ peerId: 'peer0', event: 'invalidBlock' });
+
+        let utxoCache = new UtxoCache();
+        let vss = new Vss();
+        await blockchain.restoreStateSnapshot(snapshot, utxoCache, vss);
+        expect(getState(utxoCache, vss)).to.deep.equal(stateAtSnapshot);
+        expect(blockchain.lastBlock.hash).to.equal(chain[2].hash);
+        expect(blockchain.getFinalizedHeight()).to.equal(2); // can't be reverted
+        expect(await utxoCache.getUtxoSetHashAfter(3, chain[3].Txs)).to.equal(chain[3].utxoSetHash); // the next block can be validated
+
+        await blockchain.close();
+        blockchain = new Blockchain('testStateSnapshot');
+        await blockchain.init();
+        utxoCache = new UtxoCache();
+        vss = new Vss();
+        expect(await blockchain.loadState(utxoCache, vss)).to.equal(2);
+        expect(getState(utxoCache, vss)).to.deep.equal(stateAtSnapshot);
+        expect(blockchain.getFinalizedHeight()).to.equal(2);
+        expect((await blockchain.getStateSnapshotInfo()).blockHash).to.equal(chain[2].hash); // served in turn
+    });
+
+    it('should not look for a snapshot when no peer serves one', async function () {
+        const { p2pNetwork, peersMultiaddrs } = createP2PNetwork(['peer']);
+        p2pNetwork.sendMessage = async () => { throw new Error('No state snapshot available'); };
+
+        const syncHandler = new SyncHandler(blockchain, new UtxoCache());
+        expect(await syncHandler.fetchStateSnapshot(p2pNetwork, peersMultiaddrs, true)).to.be.null;
+    });
+});
@@ -0,0 +1,60 @@
+import { expect } from 'chai';
+import { Transaction_Builder, TxIO_Builder, UTXO } from '../src/transaction.mjs';
+import { TxValidation } from '../src/validation.mjs';
+import { UtxoCache } from '../src/utxoCache.mjs';
+import { fakeAnchor, setupOfflineTxSuite } from './helpers.mjs';
+
+describe('lockUntilBlock rule', function () {
+    const anchor = fakeAnchor();
+    let sender;
+    let recipient;
+    const { accounts } = setupOfflineTxSuite(this, 'd');
+
+    before(function () {
+        [sender, recipient] = accounts;
+    });
+
+    it('should create vesting payouts surviving serialization', async function () {
+        sender.UTXOs = [UTXO(anchor, 1_000_000, 'sig', sender.address)];
+        const vestingPayouts = [
+            { recipientAddress: recipient.address, amount: 100_000, lockUntilBlock: 100 },
+            { recipientAddress: recipient.address, amount: 100_000, lockUntilBlock: 200 }
+        ];
+        const transaction = await Transaction_Builder.createVestingPayouts(sender, vestingPayouts, 1);
+
+        expect(transaction.outputs[0]).to.deep.equal({ amount: 100_000, rule: 'lockUntilBlock', address: recipient.address, lockUntilBlock: 100 });
+        expect(transaction.outputs[1].lockUntilBlock).to.equal(200);
+        expect(transaction.outputs[2].rule).to.equal('sig'); // change
+
+        const clone = Transaction_Builder.clone(transaction);
+        expect(clone).to.deep.equal(transaction);
+    });
+
+    it('should reject malformed timelocked outputs', function () {
+        expect(() => TxIO_Builder.newOutput(100, 'lockUntilBlock', recipient.address)).to.throw('Invalid lockUntilBlock');
+        expect(() => TxIO_Builder.newOutput(100, 'lockUntilBlock', recipient.address, 1.5)).to.throw('not a positive integer');
+        expect(() => TxIO_Builder.newOutput(100, 'sig', recipient.address, 100)).to.throw('Invalid lockUntilBlock for rule');
+    });
+
+    it('should refuse to spend a timelocked UTXO until the lock height is reached', async function () {
+        const utxosByAnchor = { [anchor]: { ...UTXO(anchor, 1_000_000, 'lockUntilBlock', recipient.address), lockUntilBlock: 100 } };
+        recipient.UTXOs = [utxosByAnchor[anchor]];
+        const transaction = await Transaction_Builder.createTransfer(recipient, [{ recipientAddress: sender.address, amount: 1000 }], 1);
+        const signedTx = await recipient.signTransaction(transaction);
+
+        expect(() => TxValidation.controlTransactionInputsRulesConditions(utxosByAnchor, signedTx, 100)).to.throw('locked until block 100');
+        const { success } = await TxValidation.fullTransactionValidation(utxosByAnchor, {}, signedTx, false, 101, true);
+        expect(success).to.be.true;
+    });
+
+    it('should report timelocked UTXOs as locked funds', function () {
+        const addressUTXOs = [{ ...UTXO(anchor, 1_000, 'lockUntilBlock', recipient.address), lockUntilBlock: 100 }];
+        const utxoCache = new UtxoCache({ [recipient.address]: addressUTXOs }, { [recipient.address]: 1_000 });
+
+        utxoCache.blockMiningData = [{ index: 99 }];
+        expect(utxoCache.getBalanceSpendableAndUTXOs(recipient.address).spendableBalance).to.equal(0);
+
+        utxoCache.blockMiningData = [{ index: 100 }];
+        expect(utxoCache.getBalanceSpendableAndUTXOs(recipient.address).spendableBalance).to.equal(1_000);
+    });
+});
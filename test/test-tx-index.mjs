@@ -0,0 +1,120 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import { BlockData } from '../src/block.mjs';
+import { Transaction } from '../src/transaction.mjs';
+import { Account } from '../src/account.mjs';
+import { Node } from '../src/node.mjs';
+import { MerkleTree } from '../src/merkle-tree.mjs';
+import utils from '../src/utils.mjs';
+
+describe('Transaction index', function () {
+    this.timeout(30000);
+    const address = 'WCHMD65Q7qR2uH9XF5dJ';
+    /** @type {Node} */
+    let node;
+
+    /**
+     * @param {number} index
+     * @param {string} prevHash
+     * @param {Transaction[]} transferTxs
+     */
+    function createBlock(index, prevHash, transferTxs = []) {
+        const coinbaseTx = Transaction(['0000000' + index], [{ amount: 1_000_000, rule: 'sig', address }], `c000000${index}`, []);
+        return BlockData(index, 0, 1_000_000, 1, 0, prevHash, [coinbaseTx, ...transferTxs], index + 1, index + 1, `${index + 1}`.repeat(64), `0000000${index}`, '0'.repeat(64), '0'.repeat(64));
+    }
+    /** @param {BlockData} block */
+    async function applyBlock(block) {
+        await node.blockchain.addConfirmedBlocks(node.utxoCache, [block]);
+        await node.blockchain.applyChainReorg(node.utxoCache, node.vss, [block]);
+    }
+
+    beforeEach(async function () {
+        node = new Node(new Account('', '', 'WtestTxIndex00000000'), ['validator'], {}, { txIndex: true });
+        node.utxoCache.bypassValidation = true; // the test blocks don't respect the supply
+        await node.blockchain.init();
+    });
+
+    afterEach(async function () {
+        await node.blockchain.close();
+        fs.rmSync('./databases/blockchainDBWtestTxIndex00000000', { recursive: true, force: true });
+    });
+
+    it('should find a confirmed transaction with its confirmations count', async function () {
+        const block0 = createBlock(0, '0'.repeat(64));
+        const transferTx = Transaction([`0:${block0.Txs[0].id}:0`], [{ amount: 900_000, rule: 'sig', address }], 'aa000001', []);
+        const block1 = createBlock(1, block0.hash, [transferTx]);
+        await applyBlock(block0);
+        await applyBlock(block1);
+        await applyBlock(createBlock(2, block1.hash));
+
+        const result = await node.getTransaction('aa000001');
+        expect(result).to.deep.include({ status: 'confirmed', blockHeight: 1, blockHash: block1.hash, position: 1, confirmations: 2 });
+        expect(result.transaction.outputs).to.deep.equal(transferTx.outputs);
+        expect(await node.getTransaction('ffffffff')).to.be.null;
+    });
+
+    it('should remove the transactions of a reverted block from the index', async function () {
+        const block0 = createBlock(0, '0'.repeat(64));
+        const transferTx = Transaction([`0:${block0.Txs[0].id}:0`], [{ amount: 900_000, rule: 'sig', address }], 'aa000001', []);
+        await applyBlock(block0);
+        await applyBlock(createBlock(1, block0.hash, [transferTx]));
+
+        await node.blockchain.undoLastBlock(node.utxoCache, node.vss);
+        expect(await node.getTransaction('aa000001')).to.be.null;
+        expect((await node.getTransaction(block0.Txs[0].id)).confirmations).to.equal(1);
+    });
+
+    it('should locate the transactions sharing an ID in several blocks', async function () {
+        const block0 = createBlock(0, '0'.repeat(64));
+        const block1 = createBlock(1, block0.hash, [Transaction([`0:${block0.Txs[0].id}:0`], [{ amount: 900_000, rule: 'sig', address }], 'aa000001', [])]);
+        const block2 = createBlock(2, block1.hash, [Transaction([`1:aa000001:0`], [{ amount: 800_000, rule: 'sig', address }], 'aa000001', [])]);
+        await applyBlock(block0);
+        await applyBlock(block1);
+        await applyBlock(block2);
+
+        expect((await node.getTransaction('aa000001')).transaction.outputs[0].amount).to.equal(800_000); // the most recent
+        expect((await node.getTransaction('aa000001', 1)).transaction.outputs[0].amount).to.equal(900_000);
+
+        await node.blockchain.undoLastBlock(node.utxoCache, node.vss);
+        expect((await node.getTransaction('aa000001')).blockHeight).to.equal(1);
+    });
+
+    it('should not find a transaction whose index entry points to a height the node does not hold', async function () {
+        await applyBlock(createBlock(0, '0'.repeat(64)));
+        await node.blockchain.db.put('tx-dd000001', Buffer.from(utils.serializer.rawData.toBinary_v1([{ height: 9, position: 1 }])));
+
+        expect(await node.getTransaction('dd000001')).to.be.null;
+    });
+
+    it('should return a transaction of the mempool as pending', async function () {
+        const pendingTx = Transaction(['0:c0000000:0'], [{ amount: 900_000, rule: 'sig', address }], 'bb000001', []);
+        node.memPool.transactionsByID[pendingTx.id] = pendingTx;
+
+        expect(await node.getTransaction('bb000001')).to.deep.equal({ status: 'pending', transaction: pendingTx });
+    });
+
+    it('should refuse the lookup when the transactions are not indexed', async function () {
+        node.blockchain.txIndex = false;
+        try {
+            await node.getTransaction('aa000001');
+            expect.fail('should have thrown');
+        } catch (error) { expect(error.message).to.include('not indexed'); }
+        try {
+            await node.getTxInclusionProof('aa000001');
+            expect.fail('should have thrown');
+        } catch (error) { expect(error.message).to.include('block height is required'); }
+    });
+
+    it('should prove the inclusion of a transaction located by the index', async function () {
+        const block0 = createBlock(0, '0'.repeat(64));
+        const transferTx = Transaction([`0:${block0.Txs[0].id}:0`], [{ amount: 900_000, rule: 'sig', address }], 'aa000001', []);
+        const block1 = createBlock(1, block0.hash, [transferTx]);
+        await applyBlock(block0);
+        await applyBlock(block1);
+
+        const proof = await node.getTxInclusionProof('aa000001');
+        expect(proof).to.deep.include({ txId: 'aa000001', txHash: await MerkleTree.getTxHash(transferTx), blockHash: block1.hash, blockIndex: 1 });
+        expect(await node.getTxInclusionProof('aa000001', 0)).to.be.null;
+        expect(await node.getTxInclusionProof('ffffffff')).to.be.null;
+    });
+});
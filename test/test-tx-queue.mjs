@@ -239,6 +239,24 @@ describe('TransactionPriorityQueue', () => {
             }
         });
 
+        it('should iterate by priority without modifying the queue', () => {
+            for (let i = 0; i < 1000; i++) {
+                queue.add({ id: `tx${i}`, feePerByte: Math.random() * 100, size: 100 });
+            }
+            const heapBefore = [...queue.heap];
+
+            const firstTen = [];
+            for (const tx of queue.byPriority()) {
+                firstTen.push(tx);
+                if (firstTen.length === 10) { break; }
+            }
+
+            const sortedFees = queue.heap.map(tx => tx.feePerByte).sort((a, b) => b - a).slice(0, 10);
+            expect(firstTen.map(tx => tx.feePerByte)).to.deep.equal(sortedFees);
+            expect(queue.heap).to.deep.equal(heapBefore);
+            expect([...queue.byPriority()]).to.have.lengthOf(1000);
+        });
+
         it('should handle getTransactions with varying transaction sizes', () => {
             for (let i = 0; i < 20; i++) {
                 queue.add({ id: `tx${i}`, feePerByte: 20 - i, size: (i + 1) * 50 });
@@ -0,0 +1,84 @@
+import { expect } from 'chai';
+import { Transaction, TxIO_Builder, UTXO } from '../src/transaction.mjs';
+import { UtxoSetHash } from '../src/utxo-set-hash.mjs';
+import { UtxoCache } from '../src/utxoCache.mjs';
+
+describe('UtxoSetHash', function () {
+    const utxoA = UTXO('0:aa000001:0', 1_000, 'sig', 'WCHMD65Q7qR2uH9XF5dJ');
+    const utxoB = UTXO('0:aa000001:1', 2_000, 'sigOrSlash', 'WCHMD65Q7qR2uH9XF5dJ');
+    const utxoC = UTXO('1:bb000001:0', 3_000, 'sig', 'WKXmNF5xJTd58aWpo7QX');
+
+    it('should not depend on the order of the updates', async function () {
+        const hash1 = new UtxoSetHash();
+        await hash1.update([utxoA, utxoB, utxoC], []);
+        const hash2 = new UtxoSetHash();
+        await hash2.update([utxoC], []);
+        await hash2.update([utxoB, utxoA], []);
+
+        expect(hash1.toHex()).to.equal(hash2.toHex());
+        expect(hash1.toHex()).to.have.lengthOf(768);
+        expect(await hash1.digest()).to.have.lengthOf(64);
+    });
+
+    it('should expand the hash of a UTXO to the 3072-bit group', async function () {
+        const element = await UtxoSetHash.hashUTXO(utxoA);
+        expect(element.toString(2).length).to.be.above(3000);
+        expect(element < 2n ** 3072n - 1103717n).to.be.true;
+    });
+
+    it('should come back to the previous hash when the UTXOs are removed', async function () {
+        const utxoSetHash = new UtxoSetHash();
+        const emptySetHash = utxoSetHash.toHex();
+        await utxoSetHash.update([utxoA], []);
+        const hashWithA = utxoSetHash.toHex();
+
+        await utxoSetHash.update([utxoB, utxoC], [utxoA]);
+        expect(utxoSetHash.toHex()).to.not.equal(hashWithA);
+        await utxoSetHash.update([utxoA], [utxoB, utxoC]);
+        expect(utxoSetHash.toHex()).to.equal(hashWithA);
+        await utxoSetHash.update([], [utxoA]);
+        expect(utxoSetHash.toHex()).to.equal(emptySetHash);
+    });
+
+    it('should change with any field of a UTXO', async function () {
+        const utxoSetHash = new UtxoSetHash();
+        await utxoSetHash.update([utxoA], []);
+        const otherUtxoSetHash = new UtxoSetHash();
+        await otherUtxoSetHash.update([{ ...utxoA, amount: 1_001 }], []);
+
+        expect(utxoSetHash.toHex()).to.not.equal(otherUtxoSetHash.toHex());
+    });
+
+    it('should be restored from its hex value', async function () {
+        const utxoSetHash = new UtxoSetHash();
+        await utxoSetHash.update([utxoA, utxoB], []);
+        const restored = new UtxoSetHash(utxoSetHash.toHex());
+        await utxoSetHash.update([utxoC], [utxoA]);
+        await restored.update([utxoC], [utxoA]);
+
+        expect(restored.toHex()).to.equal(utxoSetHash.toHex());
+    });
+});
+
+describe('UtxoCache.getUtxoSetHashAfter', function () {
+    const address = 'WCHMD65Q7qR2uH9XF5dJ';
+
+    it('should give the hash of the UTXO set after the block, its rewards excluded, without modifying the cache', async function () {
+        const utxoCache = new UtxoCache();
+        utxoCache.bypassValidation = true; // the test blocks don't respect the supply
+        const coinbaseTx0 = Transaction(['00000000'], [{ amount: 1_000_000, rule: 'sig', address }], 'c0000000', []);
+        await utxoCache.digestFinalizedBlocks([{ index: 0, supply: 0, coinBase: 1_000_000, Txs: [coinbaseTx0] }]);
+
+        const transferTx = Transaction(['0:c0000000:0'], [{ amount: 900_000, rule: 'sig', address }], 'aa000001', []);
+        const childTx = Transaction(['1:aa000001:0'], [{ amount: 800_000, rule: 'lockUntilBlock', address, lockUntilBlock: 10 }], 'aa000002', []);
+        const utxoSetHashBefore = utxoCache.utxoSetHash.toHex();
+        const committedUtxoSetHash = await utxoCache.getUtxoSetHashAfter(1, [transferTx, childTx]);
+        expect(utxoCache.utxoSetHash.toHex()).to.equal(utxoSetHashBefore);
+
+        const coinbaseTx1 = Transaction(['00000001'], [{ amount: 1_000_000, rule: 'sig', address }], 'c0000001', []);
+        await utxoCache.digestFinalizedBlocks([{ index: 1, supply: 1_000_000, coinBase: 1_000_000, Txs: [coinbaseTx1, transferTx, childTx] }]);
+        const withoutRewards = new UtxoSetHash(utxoCache.utxoSetHash.toHex());
+        await withoutRewards.update([], TxIO_Builder.newUTXOsFromTransaction(1, coinbaseTx1));
+        expect(await withoutRewards.digest()).to.equal(committedUtxoSetHash);
+    });
+});
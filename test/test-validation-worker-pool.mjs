@@ -0,0 +1,65 @@
+import { expect } from 'chai';
+import { Transaction_Builder, UTXO } from '../src/transaction.mjs';
+import { MemPool } from '../src/memPool.mjs';
+import { ValidationWorkerPool } from '../src/validation-worker-pool.mjs';
+import { fakeAnchor, setupOfflineTxSuite } from './helpers.mjs';
+
+describe('ValidationWorkerPool', function () {
+    const anchors = [fakeAnchor(0), fakeAnchor(1)];
+    const nextBlockHeight = 2;
+    let sender;
+    let recipient;
+    let validationPool;
+    const { accounts, utxosByAnchor } = setupOfflineTxSuite(this, '4', 2, () => anchors.map(anchor => UTXO(anchor, 1_000_000, 'sig', sender.address)));
+
+    before(function () {
+        [sender, recipient] = accounts;
+        validationPool = new ValidationWorkerPool(2);
+    });
+
+    after(function () { validationPool.terminate(); });
+
+    /**
+     * @param {UTXO} utxo
+     * @param {number} feePerByte
+     */
+    async function createSignedTransfer(utxo, feePerByte) {
+        sender.UTXOs = [utxo];
+        const transaction = await Transaction_Builder.createTransfer(sender, [{ recipientAddress: recipient.address, amount: 1000 }], feePerByte);
+        return await sender.signTransaction(transaction);
+    }
+
+    it('should confirm the ownership in a worker and return the derived addresses', async function () {
+        const transaction = await createSignedTransfer(utxosByAnchor[anchors[0]], 1);
+        const knownPubKeysAddresses = {};
+        const { success } = await validationPool.fullTransactionValidation(utxosByAnchor, knownPubKeysAddresses, transaction, false, nextBlockHeight, true);
+
+        expect(success).to.be.true;
+        expect(knownPubKeysAddresses[sender.pubKey]).to.equal(sender.address);
+    });
+
+    it('should reject an invalid signature with the validation error', async function () {
+        const transaction = await createSignedTransfer(utxosByAnchor[anchors[0]], 1);
+        const [signature, pubKeyHex] = transaction.witnesses[0].split(':');
+        transaction.witnesses[0] = `${signature.slice(0, -2)}${signature.endsWith('00') ? '11' : '00'}:${pubKeyHex}`;
+
+        await expect(validationPool.validateTransaction({ [anchors[0]]: utxosByAnchor[anchors[0]] }, transaction, {}, false, true)).to.be.rejectedWith('Invalid signature');
+    });
+
+    it('should push a batch of transactions validated in parallel, a child after its parent', async function () {
+        const memPool = new MemPool();
+        memPool.useDevArgon2 = true;
+        memPool.validationPool = validationPool;
+
+        const parent = await createSignedTransfer(utxosByAnchor[anchors[0]], 1);
+        const changeOutput = parent.outputs[1];
+        const child = await createSignedTransfer(UTXO(`${nextBlockHeight}:${parent.id}:1`, changeOutput.amount, changeOutput.rule, changeOutput.address), 10);
+        const unsigned = await createSignedTransfer(utxosByAnchor[anchors[1]], 2);
+        unsigned.witnesses = [];
+
+        const errors = await memPool.pushTransactions(utxosByAnchor, [parent, child, unsigned], nextBlockHeight);
+        expect(Object.keys(errors)).to.deep.equal([unsigned.id]);
+        expect(Object.keys(memPool.transactionsByID)).to.have.members([parent.id, child.id]);
+        expect(memPool.knownPubKeysAddresses[sender.pubKey]).to.equal(sender.address);
+    });
+});
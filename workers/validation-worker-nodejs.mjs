@@ -0,0 +1,34 @@
+import { parentPort } from 'worker_threads';
+import { TxValidation } from '../src/validation.mjs';
+
+// The validation worker is able to:
+// control the witnesses signatures and the address ownership of a transaction (argon2 derivations)
+
+parentPort.on('message', async (task) => {
+	const id = task.id;
+	const response = { id };
+	switch (task.type) {
+		case 'validateTransaction':
+			try {
+				const { inputsUTXOs, transaction, knownPubKeysAddresses, specialTx, useDevArgon2 } = task;
+
+				// medium computation cost
+				await TxValidation.controlAllWitnessesSignatures(transaction);
+
+				// high computation cost | knownPubKeysAddresses will be filled with new known pubKeys:address
+				if (specialTx !== 'miner') { await TxValidation.addressOwnershipConfirmation(inputsUTXOs, transaction, knownPubKeysAddresses, useDevArgon2); }
+
+				response.knownPubKeysAddresses = knownPubKeysAddresses;
+			} catch (err) {
+				response.error = err.message;
+			}
+			break;
+		case 'terminate':
+			parentPort.close(); // close the worker
+			break;
+		default:
+			response.error = 'Invalid task type';
+			break;
+	}
+	parentPort.postMessage(response);
+});